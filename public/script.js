@@ -240,6 +240,31 @@ const defaultConfig = {
     { value: 'watched ', label: 'Watched' },
     { value: 'collected', label: 'Collected' },
   ],
+  letterboxdSortOptions: [
+    { value: 'default', label: 'List Order' },
+    { value: 'added', label: 'Date Added' },
+    { value: 'title', label: 'Film Name' },
+    { value: 'released', label: 'Release Date' },
+    { value: 'rating', label: 'Average Rating' },
+    { value: 'popularity', label: 'Letterboxd Popularity' },
+    { value: 'runtime', label: 'Runtime' },
+    { value: 'random', label: 'Shuffle' }
+  ],
+  tmdbSortOptions: [
+    { value: 'added', label: 'Date Added' },
+    { value: 'title', label: 'Title' },
+    { value: 'released', label: 'Release Date' },
+    { value: 'rating', label: 'TMDB Rating' },
+    { value: 'popularity', label: 'TMDB Popularity' }
+  ],
+  smartListSortOptions: [
+    { value: 'default', label: 'Source Order' },
+    { value: 'title', label: 'Title' },
+    { value: 'released', label: 'Release Year' },
+    { value: 'imdbrating', label: 'IMDb Rating' },
+    { value: 'runtime', label: 'Runtime' },
+    { value: 'random', label: 'Random' }
+  ],
   enableRandomListFeature: false,
   randomMDBListUsernames: ['showtime416', 'garycrawfordgc', 'linaspurinis', 'hdlists']
 };
@@ -262,6 +287,9 @@ document.addEventListener('DOMContentLoaded', function() {
         randomMDBListUsernames: [...defaultConfig.randomMDBListUsernames],
         availableSortOptions: [...defaultConfig.availableSortOptions],
         traktSortOptions: [...defaultConfig.traktSortOptions],
+        smartListSortOptions: [...defaultConfig.smartListSortOptions],
+        letterboxdSortOptions: [...defaultConfig.letterboxdSortOptions],
+        tmdbSortOptions: [...defaultConfig.tmdbSortOptions],
         hiddenLists: new Set(),
         removedLists: new Set(),
         importedAddons: {},
@@ -277,6 +305,12 @@ document.addEventListener('DOMContentLoaded', function() {
     currentLists: [],
     validationTimeout: null,
     upstashSaveTimeout: null,
+    traktAddingAccount: false,
+    traktDevicePollTimer: null,
+    traktDeviceAttempt: 0,
+    addonUpdates: {},
+    sourceHealth: {},
+    editingCustomCatalogId: null,
     universalImportTimeout: null,
     isMobile: window.matchMedia('(max-width: 600px)').matches,
     appVersion: "...",
@@ -306,6 +340,13 @@ document.addEventListener('DOMContentLoaded', function() {
     traktPin: document.getElementById('traktPin'),
     submitTraktPin: document.getElementById('submitTraktPin'),
     cancelTraktPin: document.getElementById('cancelTraktPin'),
+    traktDeviceLoginBtn: document.getElementById('traktDeviceLoginBtn'),
+    traktDeviceContainer: document.getElementById('traktDeviceContainer'),
+    traktDeviceUserCode: document.getElementById('traktDeviceUserCode'),
+    traktDeviceLink: document.getElementById('traktDeviceLink'),
+    cancelTraktDevice: document.getElementById('cancelTraktDevice'),
+    traktAddAccountBtn: document.getElementById('traktAddAccountBtn'),
+    traktAccountsList: document.getElementById('traktAccountsList'),
     traktPersistenceContainer: document.getElementById('traktPersistenceContainer'),
     traktStatus: document.getElementById('traktStatus'),
     upstashContainer: document.getElementById('upstashContainer'),
@@ -314,6 +355,11 @@ document.addEventListener('DOMContentLoaded', function() {
     upstashForm: document.getElementById('upstashForm'),
     closeUpstashBtn: document.getElementById('closeUpstashBtn'),
     universalImportInput: document.getElementById('universalImportInput'),
+    imdbCsvInput: document.getElementById('imdbCsvInput'),
+    animeServiceSelect: document.getElementById('animeServiceSelect'),
+    animeUsernameInput: document.getElementById('animeUsernameInput'),
+    animeStatusSelect: document.getElementById('animeStatusSelect'),
+    importAnimeListBtn: document.getElementById('importAnimeListBtn'),
     importedAddonsContainer: document.getElementById('importedAddons'),
     addonsList: document.getElementById('addonsList'),
     listContainer: document.getElementById('listContainer'),
@@ -329,6 +375,16 @@ document.addEventListener('DOMContentLoaded', function() {
     settingsNotification: document.getElementById('settingsNotification'),
     toggleGenreFilterBtn: document.getElementById('toggleGenreFilterBtn'),
     genreFilterStatusInfo: document.getElementById('genreFilterStatusInfo'),
+    toggleTrailerStreamsBtn: document.getElementById('toggleTrailerStreamsBtn'),
+    trailerStreamsStatusInfo: document.getElementById('trailerStreamsStatusInfo'),
+    toggleListEditLinksBtn: document.getElementById('toggleListEditLinksBtn'),
+    listEditLinksStatusInfo: document.getElementById('listEditLinksStatusInfo'),
+    traktCalendarDaysSelect: document.getElementById('traktCalendarDaysSelect'),
+    traktCalendarStatusInfo: document.getElementById('traktCalendarStatusInfo'),
+    traktMinRatingSelect: document.getElementById('traktMinRatingSelect'),
+    autoHideFailingSelect: document.getElementById('autoHideFailingSelect'),
+    autoHideFailingStatusInfo: document.getElementById('autoHideFailingStatusInfo'),
+    traktMinRatingStatusInfo: document.getElementById('traktMinRatingStatusInfo'),
     toggleRandomListBtn: document.getElementById('toggleRandomListBtn'),
     randomListFeatureInfo: document.getElementById('randomListFeatureInfo'),
     randomListFeatureContainer: document.getElementById('randomListFeatureContainer'),
@@ -360,7 +416,52 @@ document.addEventListener('DOMContentLoaded', function() {
     searchTmdb: document.getElementById('searchTmdb'),
     mergedSearchTmdb: document.getElementById('mergedSearchTmdb'),
     animeSearchEnabled: document.getElementById('animeSearchEnabled'),
-    searchNotification: document.getElementById('searchNotification')
+    addonSearchGroup: document.getElementById('addonSearchGroup'),
+    addonSearchSources: document.getElementById('addonSearchSources'),
+    searchNotification: document.getElementById('searchNotification'),
+    // Custom catalog builders
+    customCatalogsNotification: document.getElementById('customCatalogsNotification'),
+    customCatalogsList: document.getElementById('customCatalogsList'),
+    newSmartListBtn: document.getElementById('newSmartListBtn'),
+    smartListForm: document.getElementById('smartListForm'),
+    smartListFormTitle: document.getElementById('smartListFormTitle'),
+    smartListName: document.getElementById('smartListName'),
+    smartListSources: document.getElementById('smartListSources'),
+    smartListType: document.getElementById('smartListType'),
+    smartListMinRating: document.getElementById('smartListMinRating'),
+    smartListYearFrom: document.getElementById('smartListYearFrom'),
+    smartListYearTo: document.getElementById('smartListYearTo'),
+    smartListGenres: document.getElementById('smartListGenres'),
+    smartListExcludeGenres: document.getElementById('smartListExcludeGenres'),
+    smartListMaxItems: document.getElementById('smartListMaxItems'),
+    smartListUnwatched: document.getElementById('smartListUnwatched'),
+    newCombinedListBtn: document.getElementById('newCombinedListBtn'),
+    combinedListForm: document.getElementById('combinedListForm'),
+    combinedListFormTitle: document.getElementById('combinedListFormTitle'),
+    combinedListName: document.getElementById('combinedListName'),
+    combinedListOperation: document.getElementById('combinedListOperation'),
+    combinedListBase: document.getElementById('combinedListBase'),
+    combinedListSources: document.getElementById('combinedListSources'),
+    combinedListMaxItems: document.getElementById('combinedListMaxItems'),
+    newTmdbDiscoverBtn: document.getElementById('newTmdbDiscoverBtn'),
+    tmdbDiscoverForm: document.getElementById('tmdbDiscoverForm'),
+    tmdbDiscoverFormTitle: document.getElementById('tmdbDiscoverFormTitle'),
+    tmdbDiscoverName: document.getElementById('tmdbDiscoverName'),
+    tmdbDiscoverMediaType: document.getElementById('tmdbDiscoverMediaType'),
+    tmdbDiscoverSortBy: document.getElementById('tmdbDiscoverSortBy'),
+    tmdbDiscoverGenres: document.getElementById('tmdbDiscoverGenres'),
+    tmdbDiscoverYearFrom: document.getElementById('tmdbDiscoverYearFrom'),
+    tmdbDiscoverYearTo: document.getElementById('tmdbDiscoverYearTo'),
+    tmdbDiscoverMinRating: document.getElementById('tmdbDiscoverMinRating'),
+    tmdbDiscoverMaxRating: document.getElementById('tmdbDiscoverMaxRating'),
+    tmdbDiscoverMinVotes: document.getElementById('tmdbDiscoverMinVotes'),
+    tmdbDiscoverLanguage: document.getElementById('tmdbDiscoverLanguage'),
+    tmdbDiscoverProviders: document.getElementById('tmdbDiscoverProviders'),
+    tmdbDiscoverRegion: document.getElementById('tmdbDiscoverRegion'),
+    tmdbDiscoverKeywords: document.getElementById('tmdbDiscoverKeywords'),
+    tmdbDiscoverCompanies: document.getElementById('tmdbDiscoverCompanies'),
+    tmdbDiscoverNetworks: document.getElementById('tmdbDiscoverNetworks'),
+    tmdbDiscoverNetworksGroup: document.getElementById('tmdbDiscoverNetworksGroup')
   };
 
   async function init() {
@@ -734,6 +835,17 @@ document.addEventListener('DOMContentLoaded', function() {
     elements.submitTraktPin?.addEventListener('click', handleTraktPinSubmit);
     elements.traktPin?.addEventListener('keypress', function(e) { if (e.key === 'Enter') handleTraktPinSubmit(); });
     elements.cancelTraktPin?.addEventListener('click', handleTraktPinCancel);
+    elements.traktDeviceLoginBtn?.addEventListener('click', handleTraktDeviceLogin);
+    elements.traktAddAccountBtn?.addEventListener('click', () => {
+      // Same flows as the first connection; the server files the result under traktAccounts
+      state.traktAddingAccount = true;
+      if (state.env?.hasTraktDeviceAuth) handleTraktDeviceLogin();
+      else elements.traktLoginBtn.click();
+    });
+    elements.cancelTraktDevice?.addEventListener('click', () => {
+      resetTraktDeviceContainer();
+      showNotification('connections', 'Trakt authentication cancelled', 'info');
+    });
     
     // Trakt login button click handler
     elements.traktLoginBtn.addEventListener('click', async function(e) {
@@ -745,7 +857,7 @@ document.addEventListener('DOMContentLoaded', function() {
         }
         
         // First, check the server to determine if we need PIN flow or redirect flow
-        const response = await fetch(`/${state.configHash}/trakt/login`, {
+        const response = await fetch(`/${state.configHash}/trakt/login${state.traktAddingAccount ? '?addAccount=1' : ''}`, {
           method: 'GET',
           headers: {
             'Accept': 'application/json'
@@ -786,11 +898,26 @@ document.addEventListener('DOMContentLoaded', function() {
     
     elements.universalImportInput.addEventListener('paste', handleUniversalPaste);
     elements.universalImportInput.addEventListener('input', handleUniversalInputChange);
+    elements.imdbCsvInput?.addEventListener('change', handleImdbCsvImport);
+    elements.importAnimeListBtn?.addEventListener('click', handleAnimeListImport);
     elements.copyManifestBtn?.addEventListener('click', copyManifestUrlToClipboard);
     elements.updateStremioBtn?.addEventListener('click', handleInstallToStremio);
     elements.toggleGenreFilterBtn?.addEventListener('click', handleToggleGenreFilter);
+    elements.toggleTrailerStreamsBtn?.addEventListener('click', handleToggleTrailerStreams);
+    elements.toggleListEditLinksBtn?.addEventListener('click', handleToggleListEditLinks);
+    elements.traktCalendarDaysSelect?.addEventListener('change', handleTraktCalendarDaysChange);
+    elements.traktMinRatingSelect?.addEventListener('change', handleTraktMinRatingChange);
+    elements.autoHideFailingSelect?.addEventListener('change', handleAutoHideFailingChange);
     elements.toggleRandomListBtn?.addEventListener('click', handleToggleRandomListFeature);
     elements.settingsHeader?.addEventListener('click', toggleSettingsSection);
+    elements.newSmartListBtn?.addEventListener('click', () => openSmartListForm());
+    elements.smartListForm?.addEventListener('submit', handleSmartListSubmit);
+    elements.newCombinedListBtn?.addEventListener('click', () => openCombinedListForm());
+    elements.combinedListForm?.addEventListener('submit', handleCombinedListSubmit);
+    elements.newTmdbDiscoverBtn?.addEventListener('click', () => openTmdbDiscoverForm());
+    elements.tmdbDiscoverForm?.addEventListener('submit', handleTmdbDiscoverSubmit);
+    elements.tmdbDiscoverMediaType?.addEventListener('change', updateTmdbDiscoverNetworksVisibility);
+    document.querySelectorAll('.custom-catalog-cancel').forEach(btn => btn.addEventListener('click', hideCustomCatalogForms));
     
     // Search provider event listeners
     elements.searchCinemeta?.addEventListener('change', saveSearchPreferences);
@@ -840,7 +967,7 @@ document.addEventListener('DOMContentLoaded', function() {
     let MOCK_listUrlInput = {value: ''};
     let MOCK_manifestUrlInput = {value: ''};
 
-    if ((value.includes('trakt.tv/users/') && value.includes('/lists/')) || value.includes('mdblist.com/lists/')) {
+    if ((value.includes('trakt.tv/users/') && value.includes('/lists/')) || value.includes('mdblist.com/lists/') || value.includes('letterboxd.com/') || value.includes('imdb.com/') || value.includes('anilist.co/') || value.includes('myanimelist.net/') || value.includes('themoviedb.org/')) {
         MOCK_listUrlInput.value = value;
         await handleListUrlImport(MOCK_listUrlInput);
     } else if (value.endsWith('/manifest.json') || value.includes('/manifest.json?')) {
@@ -849,7 +976,7 @@ document.addEventListener('DOMContentLoaded', function() {
     } else if (value.startsWith('H4sIAAAAAAA') && value.length > 200) {
         window.location.href = `/import-shared/${value}`;
     } else {
-        showNotification('import', 'Cannot determine input type or invalid. Supported: Trakt/MDBList URLs, manifest URLs, AIOLists config hashes.', 'error', true);
+        showNotification('import', 'Cannot determine input type or invalid. Supported: Trakt/MDBList/IMDb/Letterboxd/AniList/MyAnimeList URLs, manifest URLs, AIOLists config hashes.', 'error', true);
     }
   }
 
@@ -880,6 +1007,141 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  async function handleToggleTrailerStreams() {
+    const newEnableState = !state.userConfig.enableTrailerStreams;
+    try {
+      const response = await fetch(`/${state.configHash}/config/trailer-streams`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enable: newEnableState }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to update trailer streams setting');
+      }
+      if (data.configHash && data.configHash !== state.configHash) {
+        state.configHash = data.configHash;
+        updateURL();
+        updateStremioButtonHref();
+      }
+      state.userConfig.enableTrailerStreams = newEnableState;
+      updateTrailerStreamsButtonText();
+      showNotification('settings', `Trailer streams ${newEnableState ? 'enabled' : 'disabled'}. Reinstall the addon in Stremio to apply.`, 'success');
+    } catch (error) {
+      console.error('Error updating trailer streams setting:', error);
+      showNotification('settings', `Error: ${error.message}`, 'error', true);
+      updateTrailerStreamsButtonText();
+    }
+  }
+
+  async function handleToggleListEditLinks() {
+    const newEnableState = !state.userConfig.enableListEditLinks;
+    try {
+      const response = await fetch(`/${state.configHash}/config/list-edit-links`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enable: newEnableState }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to update list edit links setting');
+      }
+      if (data.configHash && data.configHash !== state.configHash) {
+        state.configHash = data.configHash;
+        updateURL();
+        updateStremioButtonHref();
+      }
+      state.userConfig.enableListEditLinks = newEnableState;
+      updateListEditLinksButtonText();
+      showNotification('settings', `"Add to list" links ${newEnableState ? 'enabled' : 'disabled'}.`, 'success');
+    } catch (error) {
+      console.error('Error updating list edit links setting:', error);
+      showNotification('settings', `Error: ${error.message}`, 'error', true);
+      updateListEditLinksButtonText();
+    }
+  }
+
+  async function handleTraktCalendarDaysChange() {
+    const days = parseInt(elements.traktCalendarDaysSelect.value, 10);
+    try {
+      const response = await fetch(`/${state.configHash}/config/trakt-calendar`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ days }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to update Trakt calendar setting');
+      }
+      if (data.configHash && data.configHash !== state.configHash) {
+        state.configHash = data.configHash;
+        updateURL();
+        updateStremioButtonHref();
+      }
+      state.userConfig.traktCalendarDays = days;
+      updateTraktCalendarUI();
+      showNotification('settings', `Trakt calendar now covers ${days === 1 ? 'today' : `the next ${days} days`}.`, 'success');
+    } catch (error) {
+      console.error('Error updating Trakt calendar setting:', error);
+      showNotification('settings', `Error: ${error.message}`, 'error', true);
+      updateTraktCalendarUI();
+    }
+  }
+
+  async function handleAutoHideFailingChange() {
+    const days = parseInt(elements.autoHideFailingSelect.value, 10);
+    try {
+      const response = await fetch(`/${state.configHash}/config/auto-hide-failing`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ days }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to update auto-hide setting');
+      }
+      if (data.configHash && data.configHash !== state.configHash) {
+        state.configHash = data.configHash;
+        updateURL();
+        updateStremioButtonHref();
+      }
+      state.userConfig.autoHideFailingDays = days;
+      updateAutoHideFailingUI();
+      showNotification('settings', days ? `Failing imports are hidden after ${days} day${days !== 1 ? 's' : ''}.` : 'Failing imports are never hidden.', 'success');
+    } catch (error) {
+      console.error('Error updating auto-hide setting:', error);
+      showNotification('settings', `Error: ${error.message}`, 'error', true);
+      updateAutoHideFailingUI();
+    }
+  }
+
+  async function handleTraktMinRatingChange() {
+    const minRating = parseInt(elements.traktMinRatingSelect.value, 10);
+    try {
+      const response = await fetch(`/${state.configHash}/config/trakt-min-rating`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ minRating }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to update Trakt rating threshold');
+      }
+      if (data.configHash && data.configHash !== state.configHash) {
+        state.configHash = data.configHash;
+        updateURL();
+        updateStremioButtonHref();
+      }
+      state.userConfig.traktMinRating = minRating;
+      updateTraktMinRatingUI();
+      showNotification('settings', 'Trakt rating threshold updated.', 'success');
+    } catch (error) {
+      console.error('Error updating Trakt rating threshold:', error);
+      showNotification('settings', `Error: ${error.message}`, 'error', true);
+      updateTraktMinRatingUI();
+    }
+  }
+
   async function handleToggleRandomListFeature() {
     if (!state.userConfig.apiKey) {
         showNotification('settings', 'MDBList API Key required to enable this feature.', 'error', true);
@@ -933,6 +1195,77 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  function updateTrailerStreamsButtonText() {
+    if (elements.toggleTrailerStreamsBtn) {
+      if (state.userConfig.enableTrailerStreams) {
+        elements.toggleTrailerStreamsBtn.textContent = 'Disable Trailer Streams';
+        elements.toggleTrailerStreamsBtn.classList.add('active-setting');
+        elements.trailerStreamsStatusInfo.textContent = 'Trailer streams are ENABLED. YouTube trailers show up as streams.';
+      } else {
+        elements.toggleTrailerStreamsBtn.textContent = 'Enable Trailer Streams';
+        elements.toggleTrailerStreamsBtn.classList.remove('active-setting');
+        elements.trailerStreamsStatusInfo.textContent = 'Trailer streams are DISABLED.';
+      }
+    }
+  }
+
+  function updateListEditLinksButtonText() {
+    if (elements.toggleListEditLinksBtn) {
+      if (state.userConfig.enableListEditLinks) {
+        elements.toggleListEditLinksBtn.textContent = 'Disable "Add to List" Links';
+        elements.toggleListEditLinksBtn.classList.add('active-setting');
+        elements.listEditLinksStatusInfo.textContent = 'Title pages show links to add the title to your Trakt, MDBList and TMDB lists.';
+      } else {
+        elements.toggleListEditLinksBtn.textContent = 'Enable "Add to List" Links';
+        elements.toggleListEditLinksBtn.classList.remove('active-setting');
+        elements.listEditLinksStatusInfo.textContent = '"Add to list" links are DISABLED.';
+      }
+    }
+  }
+
+  function updateAutoHideFailingUI() {
+    if (elements.autoHideFailingSelect) {
+      const days = String(state.userConfig.autoHideFailingDays || 0);
+      if (!Array.from(elements.autoHideFailingSelect.options).some(option => option.value === days)) {
+        elements.autoHideFailingSelect.add(new Option(`Hide after ${days} days`, days));
+      }
+      elements.autoHideFailingSelect.value = days;
+      elements.autoHideFailingStatusInfo.textContent = days === '0'
+        ? 'Imported addons and URL imports stay in Stremio while failing.'
+        : `Imported addons and URL imports failing for ${days} day${days !== '1' ? 's' : ''} are hidden until they recover.`;
+    }
+  }
+
+  function updateTraktCalendarUI() {
+    if (elements.traktCalendarDaysSelect) {
+      const days = String(state.userConfig.traktCalendarDays || 7);
+      if (!Array.from(elements.traktCalendarDaysSelect.options).some(option => option.value === days)) {
+        elements.traktCalendarDaysSelect.add(new Option(`Next ${days} days`, days));
+      }
+      elements.traktCalendarDaysSelect.value = days;
+      elements.traktCalendarStatusInfo.textContent = days === '1'
+        ? 'Upcoming Episodes/Movies catalogs cover today.'
+        : `Upcoming Episodes/Movies catalogs cover the next ${days} days.`;
+    }
+  }
+
+  function updateTraktMinRatingUI() {
+    if (elements.traktMinRatingSelect) {
+      const minRating = String(state.userConfig.traktMinRating || 1);
+      if (!Array.from(elements.traktMinRatingSelect.options).some(option => option.value === minRating)) {
+        elements.traktMinRatingSelect.add(new Option(`Rated ${minRating}+`, minRating));
+      }
+      elements.traktMinRatingSelect.value = minRating;
+      if (minRating === '1') {
+        elements.traktMinRatingStatusInfo.textContent = 'Rated Movies/Shows catalogs include every rating.';
+      } else if (minRating === '10') {
+        elements.traktMinRatingStatusInfo.textContent = 'Rated Movies/Shows catalogs only include titles you rated 10.';
+      } else {
+        elements.traktMinRatingStatusInfo.textContent = `Rated Movies/Shows catalogs only include titles you rated ${minRating} or higher.`;
+      }
+    }
+  }
+
   function createRandomUsersEditor() {
     if (!elements.randomListFeatureContainer || !elements.randomListFeatureInfo) return;
 
@@ -1151,6 +1484,11 @@ document.addEventListener('DOMContentLoaded', function() {
       }
       updateMetadataSourceUI();
       updateGenreFilterButtonText();
+      updateTrailerStreamsButtonText();
+      updateListEditLinksButtonText();
+      updateTraktCalendarUI();
+      updateTraktMinRatingUI();
+      updateAutoHideFailingUI();
       updateRandomListButtonState();
       updateSearchSourcesUI();
 
@@ -1160,19 +1498,21 @@ document.addEventListener('DOMContentLoaded', function() {
       
       const isTraktTokenExpired = state.userConfig.traktExpiresAt && new Date() >= new Date(state.userConfig.traktExpiresAt);
 
-      if (isTraktTokenExpired && !state.userConfig.upstashUrl) {
-          // If the token is expired and there's no Upstash for persistence/refresh, treat as disconnected
+      if (isTraktTokenExpired && !state.userConfig.isConnected?.traktPersistent) {
+          // If the token is expired and there's no token vault for persistence/refresh, treat as disconnected
           state.userConfig.traktAccessToken = null;
           state.userConfig.traktRefreshToken = null;
           state.userConfig.traktExpiresAt = null;
           showNotification('connections', 'Trakt connection expired. Please reconnect.', 'error', true);
       }
 
-      const isTraktConnected = !!(state.userConfig.traktAccessToken || (state.userConfig.upstashUrl && state.userConfig.traktUuid));
+      const isTraktConnected = !!(state.userConfig.traktAccessToken || (state.userConfig.isConnected?.traktPersistent && state.userConfig.traktUuid));
       updateTraktUI(isTraktConnected, state.userConfig.traktUsername);
       
       const isTmdbConnected = !!state.userConfig.tmdbSessionId;
       updateTmdbConnectionUI(isTmdbConnected, state.userConfig.tmdbUsername);
+
+      updateSimklConnectionUI(!!state.userConfig.simklAccessToken, state.userConfig.simklUsername);
       
       await loadUserListsAndAddons();
     } catch (error) { 
@@ -1440,6 +1780,7 @@ document.addEventListener('DOMContentLoaded', function() {
         elements.traktConnectedState.style.setProperty('display', 'flex', 'important');
         elements.traktPersistenceContainer.style.setProperty('display', 'flex', 'important');
         elements.traktPinContainer.style.setProperty('display', 'none', 'important');
+        resetTraktDeviceContainer();
         
         // Update the connected state text
         const connectedText = elements.traktConnectedState.querySelector('b');
@@ -1447,7 +1788,9 @@ document.addEventListener('DOMContentLoaded', function() {
           connectedText.textContent = username ? `[Trakt] Connected as ${username}` : '[Trakt] Connected';
         }
         
-        const isPersistent = !!(state.userConfig.upstashUrl && state.userConfig.upstashToken && state.userConfig.traktUuid);
+        renderTraktAccounts();
+        
+        const isPersistent = !!(state.userConfig.isConnected?.traktPersistent || (state.userConfig.upstashUrl && state.userConfig.upstashToken && state.userConfig.traktUuid));
         updatePersistenceStatus(isPersistent);
     } else {
         // Disconnected state: show connect button, hide connected state
@@ -1457,12 +1800,54 @@ document.addEventListener('DOMContentLoaded', function() {
         elements.traktPinContainer.style.setProperty('display', 'none', 'important');
         elements.traktPin.value = '';
         elements.upstashContainer.classList.add('hidden');
+        if (elements.traktAccountsList) elements.traktAccountsList.style.display = 'none';
+        if (!state.traktDevicePollTimer) resetTraktDeviceContainer();
     }
     
     // Update search sources UI when Trakt connection changes
     updateSearchSourcesUI();
   }
 
+  function renderTraktAccounts() {
+    if (!elements.traktAccountsList) return;
+    const accounts = Object.entries(state.userConfig.traktAccounts || {});
+    elements.traktAccountsList.innerHTML = '';
+    elements.traktAccountsList.style.display = accounts.length ? 'flex' : 'none';
+
+    accounts.forEach(([accountKey, account]) => {
+      const row = document.createElement('div');
+      row.className = 'connected-state';
+      const label = document.createElement('b');
+      label.textContent = `[Trakt] Also connected as ${account.username || accountKey}`;
+      const removeBtn = createButton('Remove', 'disconnect-btn', () => removeTraktAccount(accountKey, account.username || accountKey));
+      row.append(label, removeBtn);
+      elements.traktAccountsList.appendChild(row);
+    });
+  }
+
+  async function removeTraktAccount(accountKey, username) {
+    try {
+      const response = await fetch(`/${state.configHash}/trakt/accounts/remove`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ accountKey })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.error || 'Failed to remove Trakt account');
+
+      state.configHash = data.configHash;
+      updateURL();
+      updateStremioButtonHref();
+      delete state.userConfig.traktAccounts?.[accountKey];
+      renderTraktAccounts();
+      await loadUserListsAndAddons();
+      showNotification('connections', `Removed Trakt account ${username} and its lists.`, 'success');
+    } catch (error) {
+      console.error('Trakt Account Remove Error:', error);
+      showNotification('connections', `Trakt Error: ${error.message}`, 'error', true);
+    }
+  }
+
   function updatePersistenceStatus(isPersistent) {
     elements.traktStatus.innerHTML = ''; // Clear previous state
 
@@ -1478,7 +1863,8 @@ document.addEventListener('DOMContentLoaded', function() {
     if (isPersistent) {
         statusIcon.textContent = '✔';
         statusIcon.classList.add('persistent');
-        statusText.textContent = 'Trakt persistent';
+        const usesServerVault = state.env?.hasTokenVault && !(state.userConfig.upstashUrl && state.userConfig.upstashToken);
+        statusText.textContent = usesServerVault ? 'Trakt persistent (server vault)' : 'Trakt persistent';
         actionLink.textContent = 'Edit';
         actionLink.onclick = () => {
             elements.upstashForm.style.display = 'block';
@@ -1503,9 +1889,10 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 
   function handleTraktPinCancel() {
-    // Hide PIN container and show login button again
+    // Hide PIN container and show login button again (unless we were only adding another account)
     elements.traktPinContainer.style.setProperty('display', 'none', 'important');
-    elements.traktLoginBtn.style.setProperty('display', 'inline-flex', 'important');
+    if (!state.traktAddingAccount) elements.traktLoginBtn.style.setProperty('display', 'inline-flex', 'important');
+    state.traktAddingAccount = false;
     elements.traktPin.value = '';
     showNotification('connections', 'Trakt authentication cancelled', 'info');
   }
@@ -1517,7 +1904,7 @@ document.addEventListener('DOMContentLoaded', function() {
       const response = await fetch(`/${state.configHash}/trakt/auth`, {
         method: 'POST', 
         headers: { 'Content-Type': 'application/json' }, 
-        body: JSON.stringify({ code: pin }) 
+        body: JSON.stringify({ code: pin, addAccount: state.traktAddingAccount }) 
       });
       const data = await response.json();
       if (!response.ok || !data.success) {
@@ -1525,6 +1912,7 @@ document.addEventListener('DOMContentLoaded', function() {
       }
 
       if (data.configHash) {
+          state.traktAddingAccount = false;
           state.configHash = data.configHash;
           
                 updateURL();
@@ -1542,12 +1930,91 @@ document.addEventListener('DOMContentLoaded', function() {
       // Hide PIN container on error, keep login button visible
       elements.traktPinContainer.style.setProperty('display', 'none', 'important');
       elements.traktPin.value = ''; // Clear the PIN field
+      state.traktAddingAccount = false;
     }
   }
 
+  async function handleTraktDeviceLogin() {
+    // Cancelling or starting over bumps the attempt, polls of an older attempt stop after their next await
+    const attempt = ++state.traktDeviceAttempt;
+    const isCurrentAttempt = () => attempt === state.traktDeviceAttempt;
+    try {
+      showNotification('connections', 'Getting Trakt code...', 'info');
+      const response = await fetch('/trakt/device/code');
+      const data = await response.json();
+      if (!isCurrentAttempt()) return;
+      if (!response.ok || !data.success) throw new Error(data.error || 'Failed to get Trakt code');
+
+      elements.traktLoginBtn.style.setProperty('display', 'none', 'important');
+      elements.traktDeviceLoginBtn.style.display = 'none';
+      elements.traktDeviceContainer.style.display = 'block';
+      elements.traktDeviceUserCode.textContent = data.userCode;
+      elements.traktDeviceLink.href = data.verificationUrl;
+      showNotification('connections', `Enter code ${data.userCode} on ${data.verificationUrl} to connect.`, 'info', true);
+
+      const expiresAt = Date.now() + (data.expiresIn || 600) * 1000;
+      let pollInterval = Math.max(data.interval || 5, 5) * 1000;
+      const pollTrakt = async () => {
+        if (!isCurrentAttempt()) return;
+        if (Date.now() >= expiresAt) {
+          resetTraktDeviceContainer();
+          showNotification('connections', 'Trakt code expired. Please try again.', 'error', true);
+          return;
+        }
+        try {
+          const authResponse = await fetch(`/${state.configHash}/trakt/device/auth`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ deviceCode: data.deviceCode, addAccount: state.traktAddingAccount })
+          });
+          const authData = await authResponse.json();
+          if (!isCurrentAttempt()) return;
+          if (!authResponse.ok) throw new Error(authData.error || 'Trakt auth failed');
+          if (authData.pending) {
+            // Trakt asks to slow down with a 429, back off by 5 seconds like the device flow spec says
+            if (authData.slowDown) pollInterval += 5000;
+            state.traktDevicePollTimer = setTimeout(pollTrakt, pollInterval);
+            return;
+          }
+
+          state.traktDevicePollTimer = null;
+          state.traktAddingAccount = false;
+          state.configHash = authData.configHash;
+          updateURL();
+          updateStremioButtonHref();
+          showNotification('connections', `Successfully connected to Trakt as ${authData.username || 'user'}!`, 'success');
+          await loadConfiguration();
+        } catch (error) {
+          if (!isCurrentAttempt()) return;
+          console.error('Trakt Error:', error);
+          resetTraktDeviceContainer();
+          showNotification('connections', `Trakt Error: ${error.message}`, 'error', true);
+        }
+      };
+      state.traktDevicePollTimer = setTimeout(pollTrakt, pollInterval);
+    } catch (error) {
+      if (!isCurrentAttempt()) return;
+      console.error('Trakt Login Error:', error);
+      showNotification('connections', `Trakt Login Error: ${error.message}`, 'error', true);
+      resetTraktDeviceContainer();
+    }
+  }
+
+  function resetTraktDeviceContainer() {
+    if (state.traktDevicePollTimer) clearTimeout(state.traktDevicePollTimer);
+    state.traktDevicePollTimer = null;
+    state.traktDeviceAttempt++;
+    state.traktAddingAccount = false;
+    if (!elements.traktDeviceContainer) return;
+    elements.traktDeviceContainer.style.display = 'none';
+    const isConnected = elements.traktConnectedState.style.display === 'flex';
+    elements.traktDeviceLoginBtn.style.display = state.env?.hasTraktDeviceAuth && !isConnected ? 'inline-flex' : 'none';
+    if (!isConnected) elements.traktLoginBtn.style.setProperty('display', 'inline-flex', 'important');
+  }
+
   async function handleListUrlImport(mockListUrlInput) {
     const url = (mockListUrlInput || elements.listUrlInput).value.trim();
-    if (!url) return showNotification('import', 'Please enter a MDBList or Trakt list URL.', 'error');
+    if (!url) return showNotification('import', 'Please enter a MDBList, Trakt, IMDb or Letterboxd list URL.', 'error');
     try {
       const response = await fetch(`/${state.configHash}/import-list-url`, {
           method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ url }) });
@@ -1561,6 +2028,45 @@ document.addEventListener('DOMContentLoaded', function() {
     } catch (error) { console.error('Import Error:', error); showNotification('import', `Import Error: ${error.message}`, 'error', true); }
   }
 
+  async function handleImdbCsvImport() {
+    const file = elements.imdbCsvInput?.files?.[0];
+    if (!file) return;
+    try {
+      showNotification('import', `Processing ${file.name}...`, 'info');
+      const csvText = await file.text();
+      const listName = file.name.replace(/\.csv$/i, '');
+      const response = await fetch(`/${state.configHash}/import-imdb-csv?name=${encodeURIComponent(listName)}`, {
+          method: 'POST', headers: { 'Content-Type': 'text/csv' }, body: csvText });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.error || 'Failed to import CSV');
+
+      state.configHash = data.configHash;
+      updateURL(); updateStremioButtonHref();
+      showNotification('import', data.message || `${data.addon.name} imported.`, 'success');
+      await loadUserListsAndAddons();
+    } catch (error) { console.error('IMDb CSV Import Error:', error); showNotification('import', `Import Error: ${error.message}`, 'error', true); }
+    finally { elements.imdbCsvInput.value = ''; }
+  }
+
+  async function handleAnimeListImport() {
+    const username = elements.animeUsernameInput?.value.trim();
+    if (!username) return showNotification('import', 'Please enter a username.', 'error');
+    try {
+      showNotification('import', `Importing ${username}'s anime list...`, 'info');
+      const response = await fetch(`/${state.configHash}/import-anime-list`, {
+          method: 'POST', headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ service: elements.animeServiceSelect.value, username, status: elements.animeStatusSelect.value }) });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.error || 'Failed to import anime list');
+
+      state.configHash = data.configHash;
+      updateURL(); updateStremioButtonHref();
+      showNotification('import', data.message || `${data.addon.name} imported.`, 'success');
+      elements.animeUsernameInput.value = '';
+      await loadUserListsAndAddons();
+    } catch (error) { console.error('Anime List Import Error:', error); showNotification('import', `Import Error: ${error.message}`, 'error', true); }
+  }
+
   async function handleAddonImport(mockManifestUrlInput) {
     const manifestUrl = (mockManifestUrlInput || elements.manifestUrlInput).value.trim();
     if (!manifestUrl) return showNotification('import', 'Please enter a manifest URL.', 'error');
@@ -1573,6 +2079,11 @@ document.addEventListener('DOMContentLoaded', function() {
       state.configHash = data.configHash;
       updateURL(); updateStremioButtonHref();
       showNotification('import', data.message || `${data.addon.name} imported.`, 'success');
+      // The server switches new search catalogs on, mirror that so the next save keeps them
+      if (data.addon?.searchCatalogs?.length > 0) {
+        const searchSourceId = `addon:${data.addon.id}`;
+        state.userConfig.searchSources = [...new Set([...(state.userConfig.searchSources || []), searchSourceId])];
+      }
       await loadUserListsAndAddons();
     } catch (error) { console.error('Addon Import Error:', error); showNotification('import', `Addon Import Error: ${error.message}`, 'error', true); }
   }
@@ -1598,10 +2109,15 @@ document.addEventListener('DOMContentLoaded', function() {
 
       state.currentLists = data.lists || [];
       state.userConfig.importedAddons = data.importedAddons || {};
+      state.addonUpdates = data.addonUpdates || {};
+      await loadSourceHealth();
       state.userConfig.listsMetadata = data.listsMetadata || state.userConfig.listsMetadata || {};
       state.userConfig.customMediaTypeNames = data.customMediaTypeNames || state.userConfig.customMediaTypeNames || {};
       state.userConfig.availableSortOptions = [...defaultConfig.availableSortOptions];
       state.userConfig.traktSortOptions = [...defaultConfig.traktSortOptions];
+      state.userConfig.smartListSortOptions = [...defaultConfig.smartListSortOptions];
+      state.userConfig.letterboxdSortOptions = [...defaultConfig.letterboxdSortOptions];
+      state.userConfig.tmdbSortOptions = [...defaultConfig.tmdbSortOptions];
       state.isPotentiallySharedConfig = data.isPotentiallySharedConfig || false;
       const randomCatalogEntry = data.lists.find(list => list.id === 'random_mdblist_catalog');
       state.userConfig.enableRandomListFeature = !!(randomCatalogEntry && !randomCatalogEntry.isHidden);
@@ -1631,6 +2147,8 @@ document.addEventListener('DOMContentLoaded', function() {
       }
 
       renderImportedAddons();
+      renderCustomCatalogs();
+      renderAddonSearchSources();
       updateRandomListButtonState();
       showNotification('lists', 'Lists loaded.', 'success', false);
     } catch (error) {
@@ -1666,6 +2184,39 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  async function loadSourceHealth() {
+    try {
+      const response = await fetch(`/${state.configHash}/health`);
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.error || 'Failed to load source health');
+      state.sourceHealth = Object.fromEntries((data.sources || []).map(source => [String(source.id), source]));
+    } catch (error) {
+      // Health is informational only, the lists still load without it
+      console.error('Error loading source health:', error);
+      state.sourceHealth = {};
+    }
+  }
+
+  // Health of the imported addon or URL import behind a list row, keyed by importedAddons id
+  function getListSourceHealth(list) {
+    const listId = String(list.id);
+    if (state.sourceHealth[listId]) return state.sourceHealth[listId];
+    if (list.source !== 'addon_manifest') return null;
+    const parentAddon = Object.values(state.userConfig.importedAddons || {})
+      .find(addon => addon?.catalogs?.some(catalog => String(catalog.id) === listId));
+    return parentAddon ? state.sourceHealth[String(parentAddon.id)] || null : null;
+  }
+
+  function createHealthBadge(health) {
+    if (!health || health.status !== 'failing') return null;
+    const badge = document.createElement('span');
+    badge.className = 'source-health-badge';
+    badge.textContent = health.autoHidden ? '⚠ Hidden (failing)' : '⚠ Failing';
+    const lastSuccess = health.lastSuccess ? new Date(health.lastSuccess).toLocaleString() : 'never since restart';
+    badge.title = `${health.lastError?.message || 'Unknown error'}\n${health.consecutiveFailures} failed fetch${health.consecutiveFailures !== 1 ? 'es' : ''} in a row. Last success: ${lastSuccess}`;
+    return badge;
+  }
+
   function createListItemElement(list) {
     const li = document.createElement('li');
     li.className = `list-item`;
@@ -1682,9 +2233,11 @@ document.addEventListener('DOMContentLoaded', function() {
     if (list.source === 'mdblist' || list.source === 'mdblist_url' || list.source === 'random_mdblist') {
         needsApiKey = true; apiKeyType = 'MDBList';
         // apiKeyMissing is already set by apiKeyMissingForList
-    } else if (list.source === 'trakt' && (list.isTraktList || list.isTraktWatchlist) && !list.isTraktTrending && !list.isTraktPopular && !list.isTraktRecommendations) {
+    } else if (list.source === 'trakt' && (list.isTraktList || list.isTraktWatchlist || list.isTraktUpNext || list.isTraktCalendar || list.isTraktLibrary) && !list.isTraktTrending && !list.isTraktPopular && !list.isTraktRecommendations) {
         needsApiKey = true; apiKeyType = 'Trakt';
         // apiKeyMissing is already set by apiKeyMissingForList
+    } else if (list.source === 'simkl') {
+        needsApiKey = true; apiKeyType = 'Simkl';
     }
 
     if (apiKeyMissing && state.isPotentiallySharedConfig) {
@@ -1707,7 +2260,7 @@ document.addEventListener('DOMContentLoaded', function() {
     const nameSpan = document.createElement('span');
     nameSpan.className = 'list-name clickable-list-name';
     let displayName = list.customName || list.name;
-    const isEffectivelyUrlImported = list.source === 'mdblist_url' || list.source === 'trakt_public';
+    const isEffectivelyUrlImported = list.source === 'mdblist_url' || list.source === 'trakt_public' || list.source === 'letterboxd_url' || list.source === 'imdb_url' || list.source === 'anime_list' || list.source === 'tmdb_url';
     if (isEffectivelyUrlImported || list.source === 'addon_manifest') {
         displayName = displayName.replace(/\s*\((Movies|Series)\)$/i, '').trim();
     }
@@ -1717,6 +2270,16 @@ document.addEventListener('DOMContentLoaded', function() {
         startNameEditing(li, list);
     });
 
+    // With several Trakt accounts connected, say which one a list belongs to
+    let traktAccountLabel = null;
+    if (list.source === 'trakt' && list.traktAccount && Object.keys(state.userConfig.traktAccounts || {}).length > 0) {
+        traktAccountLabel = document.createElement('span');
+        traktAccountLabel.className = 'trakt-account-label';
+        traktAccountLabel.textContent = `@${list.traktAccount}`;
+    }
+
+    const healthBadge = createHealthBadge(getListSourceHealth(list));
+
     const isRandomCatalog = list.id === 'random_mdblist_catalog';
     const isExternalAddonList = list.source === 'addon_manifest';
 
@@ -1760,12 +2323,36 @@ document.addEventListener('DOMContentLoaded', function() {
         if (apiKeyMissing && state.isPotentiallySharedConfig) mergeToggle.style.display = 'none';
       }
 
+    let hideWatchedToggle = null;
+    const isTraktConnected = !!(state.userConfig.traktAccessToken || (state.userConfig.isConnected?.traktPersistent && state.userConfig.traktUuid));
+    if (isTraktConnected && !isRandomCatalog) {
+      const isHidingWatched = (state.userConfig.hideWatchedLists || []).includes(String(list.id));
+      hideWatchedToggle = createButton(
+          isHidingWatched ? 'Unwatched' : 'All',
+          `merge-toggle watched-toggle ${isHidingWatched ? 'hiding' : 'showing'}`,
+          async (e) => {
+              e.stopPropagation();
+              const hideWatchedLists = new Set(state.userConfig.hideWatchedLists || []);
+              const newHideState = !hideWatchedLists.has(String(list.id));
+              if (newHideState) hideWatchedLists.add(String(list.id));
+              else hideWatchedLists.delete(String(list.id));
+              state.userConfig.hideWatchedLists = Array.from(hideWatchedLists);
+              hideWatchedToggle.textContent = newHideState ? 'Unwatched' : 'All';
+              hideWatchedToggle.className = `merge-toggle watched-toggle ${newHideState ? 'hiding' : 'showing'}`;
+              hideWatchedToggle.title = newHideState ? 'Click to show items you have watched on Trakt' : 'Click to hide items you have watched on Trakt';
+              await updateListPreference(String(list.id), 'hidewatched', { hideWatched: newHideState });
+          },
+          isHidingWatched ? 'Click to show items you have watched on Trakt' : 'Click to hide items you have watched on Trakt'
+      );
+      if (apiKeyMissing && state.isPotentiallySharedConfig) hideWatchedToggle.style.display = 'none';
+    }
+
     let sortControlsContainer = null;
     const isSpecialTraktNonSortable = list.isTraktTrending || list.isTraktPopular || list.isTraktRecommendations;
     const isMDBListUrlWithoutApiKey = list.source === 'mdblist_url' && !state.userConfig.apiKey;
     const isSortableList = (list.source === 'mdblist' || (list.source === 'mdblist_url' && !isMDBListUrlWithoutApiKey) ||
                            (list.source === 'trakt' && (list.isTraktList || list.isTraktWatchlist)) ||
-                           list.source === 'trakt_public' || list.id === 'random_mdblist_catalog')
+                           list.source === 'trakt_public' || list.source === 'letterboxd_url' || list.source === 'tmdb' || list.source === 'smartlist' || list.source === 'combinedlist' || list.id === 'random_mdblist_catalog')
                            && !isSpecialTraktNonSortable;
 
     if (isSortableList) {
@@ -1775,6 +2362,12 @@ document.addEventListener('DOMContentLoaded', function() {
         let currentSortOptions;
         if (list.source === 'trakt' || list.source === 'trakt_public') {
           currentSortOptions = state.userConfig.traktSortOptions || [];
+      } else if (list.source === 'letterboxd_url') {
+          currentSortOptions = state.userConfig.letterboxdSortOptions || [];
+      } else if (list.source === 'tmdb') {
+          currentSortOptions = state.userConfig.tmdbSortOptions || [];
+      } else if (list.source === 'smartlist' || list.source === 'combinedlist') {
+          currentSortOptions = state.userConfig.smartListSortOptions || [];
       } else {
             currentSortOptions = state.userConfig.availableSortOptions || [];
         }
@@ -1849,7 +2442,7 @@ document.addEventListener('DOMContentLoaded', function() {
         if (tagImageSrc) {
             const img = document.createElement('img'); img.src = tagImageSrc; img.alt = list.source || 'icon'; tag.appendChild(img);
             tag.classList.add('tag-with-image');
-            if (list.source === 'trakt' || list.source === 'trakt_public' || list.source === 'addon_manifest') {
+            if (list.source === 'trakt' || list.source === 'trakt_public' || list.source === 'simkl' || list.source === 'letterboxd_url' || list.source === 'imdb_url' || list.source === 'anime_list' || list.source === 'tmdb_url' || list.source === 'addon_manifest') {
                  tag.style.backgroundColor = 'transparent';
             }
         }
@@ -1859,6 +2452,8 @@ document.addEventListener('DOMContentLoaded', function() {
         nameContainer.appendChild(tag);
         nameContainer.appendChild(mediaTypeDisplayElement);
         nameContainer.appendChild(nameSpan);
+        if (traktAccountLabel) nameContainer.appendChild(traktAccountLabel);
+        if (healthBadge) nameContainer.appendChild(healthBadge);
 
         topRow.appendChild(nameContainer);
 
@@ -1867,6 +2462,7 @@ document.addEventListener('DOMContentLoaded', function() {
         const actionsGroup = document.createElement('div');
         actionsGroup.className = 'list-actions-group mobile-actions-group';
         if (mergeToggle) actionsGroup.appendChild(mergeToggle);
+        if (hideWatchedToggle) actionsGroup.appendChild(hideWatchedToggle);
         if (sortControlsContainer) actionsGroup.appendChild(sortControlsContainer);
         actionsGroup.appendChild(visibilityToggleBtn);
         actionsGroup.appendChild(removeBtn);
@@ -1898,16 +2494,19 @@ document.addEventListener('DOMContentLoaded', function() {
         if ((list.source === 'trakt' || list.source === 'trakt_public') && !tagImageSrc) tagImageSrc = 'https://walter.trakt.tv/hotlink-ok/public/favicon.ico';
         else if (list.source === 'addon_manifest' && list.tagImage) tagImageSrc = list.tagImage;
         tag.classList.add(tagTypeChar.toLowerCase());
-        if (tagImageSrc) { const img = document.createElement('img'); img.src = tagImageSrc; img.alt = list.source || 'icon'; tag.appendChild(img); if (list.source === 'trakt' || list.source === 'trakt_public' || list.source === 'addon_manifest') tag.style.backgroundColor = 'transparent'; }
+        if (tagImageSrc) { const img = document.createElement('img'); img.src = tagImageSrc; img.alt = list.source || 'icon'; tag.appendChild(img); if (list.source === 'trakt' || list.source === 'trakt_public' || list.source === 'simkl' || list.source === 'letterboxd_url' || list.source === 'imdb_url' || list.source === 'anime_list' || list.source === 'tmdb_url' || list.source === 'addon_manifest') tag.style.backgroundColor = 'transparent'; }
         else { tag.textContent = tagTypeChar; }
         if (tagTypeChar === '🎲') { tag.style.backgroundColor = '#FFC107'; tag.style.color = '#000';}
 
         const nameContainer = document.createElement('div'); nameContainer.className = 'name-container';
         nameContainer.appendChild(mediaTypeDisplayElement);
         nameContainer.appendChild(nameSpan);
+        if (traktAccountLabel) nameContainer.appendChild(traktAccountLabel);
+        if (healthBadge) nameContainer.appendChild(healthBadge);
 
         const actionsGroup = document.createElement('div'); actionsGroup.className = 'list-actions-group';
         if (mergeToggle) actionsGroup.appendChild(mergeToggle);
+        if (hideWatchedToggle) actionsGroup.appendChild(hideWatchedToggle);
         if (sortControlsContainer) actionsGroup.appendChild(sortControlsContainer);
         actionsGroup.appendChild(visibilityToggleBtn);
         actionsGroup.appendChild(removeBtn);
@@ -1993,7 +2592,7 @@ function startNameEditing(listItemElement, list) {
     nameSpan.style.display = 'none';
 
     let currentDisplayName = list.customName || list.name;
-    const isEffectivelyUrlImported = list.source === 'mdblist_url' || list.source === 'trakt_public';
+    const isEffectivelyUrlImported = list.source === 'mdblist_url' || list.source === 'trakt_public' || list.source === 'letterboxd_url' || list.source === 'imdb_url' || list.source === 'anime_list' || list.source === 'tmdb_url';
     if (isEffectivelyUrlImported || list.source === 'addon_manifest') {
         currentDisplayName = currentDisplayName.replace(/\s*\((Movies|Series)\)$/i, '').trim();
     }
@@ -2049,7 +2648,10 @@ function startNameEditing(listItemElement, list) {
         return true; // No public access info, API key required
     }
     
-    if (list.source === 'trakt' && (list.isTraktList || list.isTraktWatchlist) && !list.isTraktTrending && !list.isTraktPopular && !list.isTraktRecommendations && !state.userConfig.traktAccessToken && !state.userConfig.upstashUrl) {
+    if (list.source === 'trakt' && (list.isTraktList || list.isTraktWatchlist || list.isTraktUpNext || list.isTraktCalendar || list.isTraktLibrary) && !list.isTraktTrending && !list.isTraktPopular && !list.isTraktRecommendations && !state.userConfig.traktAccessToken && !state.userConfig.upstashUrl) {
+        return true;
+    }
+    if (list.source === 'simkl' && !state.userConfig.simklAccessToken) {
         return true;
     }
     return false;
@@ -2098,6 +2700,7 @@ function startNameEditing(listItemElement, list) {
         order: `/${state.configHash}/lists/order`,
         sort: `/${state.configHash}/lists/sort`,
         merge: `/${state.configHash}/lists/merge`,
+        hidewatched: `/${state.configHash}/lists/hide-watched`,
     };
     const endpoint = endpointMap[type];
     if (!endpoint) {
@@ -2106,10 +2709,10 @@ function startNameEditing(listItemElement, list) {
     }
 
     let body = { ...payload };
-    if (listIdForPref && ['name', 'sort', 'merge', 'mediatype'].includes(type)) {
+    if (listIdForPref && ['name', 'sort', 'merge', 'mediatype', 'hidewatched'].includes(type)) {
         body.listId = listIdForPref;
     }
-    const notifSection = (['order', 'visibility', 'name', 'remove', 'sort', 'merge', 'random_feature_disable', 'mediatype'].includes(type)) ? 'lists' : 'settings';
+    const notifSection = (['order', 'visibility', 'name', 'remove', 'sort', 'merge', 'hidewatched', 'random_feature_disable', 'mediatype'].includes(type)) ? 'lists' : 'settings';
     showNotification(notifSection, 'Saving...', 'info', true);
     
     try {
@@ -2143,7 +2746,7 @@ function startNameEditing(listItemElement, list) {
   function renderImportedAddons() {
     elements.addonsList.innerHTML = '';
     const addonGroups = Object.values(state.userConfig.importedAddons || {})
-                              .filter(addon => addon && !(addon.isMDBListUrlImport || addon.isTraktPublicList));
+                              .filter(addon => addon && !(addon.isMDBListUrlImport || addon.isTraktPublicList || addon.isLetterboxdList || addon.isImdbList || addon.isAnimeList || addon.isTmdbUrlImport));
     if (addonGroups.length === 0) {
       elements.importedAddonsContainer.classList.add('hidden'); return;
     }
@@ -2153,13 +2756,16 @@ function startNameEditing(listItemElement, list) {
       const logoSrc = addon.logo || '/assets/logo.ico';
       const urlObject = new URL(addon.apiBaseUrl);
       const configureUrl = `${urlObject.origin}/configure`;
+      const hasUpdate = !!state.addonUpdates?.[addon.id];
+      const healthBadge = createHealthBadge(state.sourceHealth[String(addon.id)]);
       item.innerHTML = `
         <img src="${logoSrc}" alt="${addon.name} logo" class="addon-group-logo">
         <div class="addon-group-details">
           <span class="addon-group-name">${addon.name}</span>
-          <span class="addon-group-info">v${addon.version || 'N/A'} • ${addon.catalogs?.length || 0} list${addon.catalogs?.length !== 1 ? 's' : ''}</span>
+          <span class="addon-group-info">v${addon.version || 'N/A'} • ${addon.catalogs?.length || 0} list${addon.catalogs?.length !== 1 ? 's' : ''}${hasUpdate ? ' • <span class="addon-update-badge">Update available</span>' : ''}${healthBadge ? ' • ' : ''}</span>
         </div>
         <div class="addon-group-actions">
+          <button class="resync-addon-group action-icon" data-addon-id="${addon.id}" title="Re-sync catalogs from the addon's manifest">🔄</button>
           <a href="${configureUrl}" target="_blank" rel="noopener noreferrer" class="configure-addon-group action-icon" title="Configure Addon">
             <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" viewBox="0 0 16 16">
               <path fill-rule="evenodd" d="M8.636 3.5a.5.5 0 0 0-.5-.5H1.5A1.5 1.5 0 0 0 0 4.5v10A1.5 1.5 0 0 0 1.5 16h10a1.5 1.5 0 0 0 1.5-1.5V7.864a.5.5 0 0 0-1 0V14.5a.5.5 0 0 1-.5.5h-10a.5.5 0 0 1-.5-.5v-10a.5.5 0 0 1 .5-.5h6.636a.5.5 0 0 0 .5-.5z"/>
@@ -2170,10 +2776,37 @@ function startNameEditing(listItemElement, list) {
         </div>
       `;
       item.querySelector('.remove-addon-group').addEventListener('click', (e) => { e.stopPropagation(); removeImportedAddonGroup(addon.id);});
+      item.querySelector('.resync-addon-group').addEventListener('click', (e) => { e.stopPropagation(); resyncImportedAddonGroup(addon.id, addon.name);});
+      if (healthBadge) item.querySelector('.addon-group-info').appendChild(healthBadge);
       elements.addonsList.appendChild(item);
     });
   }
 
+  function describeAddonChanges(changes) {
+    const parts = [];
+    if (changes.added.length) parts.push(`${changes.added.length} added`);
+    if (changes.removed.length) parts.push(`${changes.removed.length} removed`);
+    if (changes.renamed.length) parts.push(`${changes.renamed.length} renamed`);
+    if (changes.version) parts.push(`v${changes.version.from} → v${changes.version.to}`);
+    return parts.length ? parts.join(', ') : 'no catalog changes';
+  }
+
+  async function resyncImportedAddonGroup(addonGroupId, addonName) {
+    try {
+      showNotification('import', `Re-syncing ${addonName}...`, 'info', true);
+      const response = await fetch(`/${state.configHash}/resync-addon`, {
+          method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ addonId: addonGroupId }) });
+      const data = await response.json();
+      const result = data.results?.[addonGroupId];
+      if (!response.ok || !data.success || !result?.success) throw new Error(result?.error || data.error || 'Failed to re-sync addon');
+
+      state.configHash = data.configHash;
+      updateURL(); updateStremioButtonHref();
+      await loadUserListsAndAddons();
+      showNotification('import', `${addonName} re-synced: ${describeAddonChanges(result.changes)}.`, 'success');
+    } catch (error) { console.error('Re-sync Addon Error:', error); showNotification('import', `Re-sync Addon Error: ${error.message}`, 'error', true); }
+  }
+
   async function removeImportedAddonGroup(addonGroupId) {
     try {
       const response = await fetch(`/${state.configHash}/remove-addon`, {
@@ -2188,6 +2821,287 @@ function startNameEditing(listItemElement, list) {
     } catch (error) { console.error('Remove Addon Error:', error); showNotification('import', `Remove Addon Error: ${error.message}`, 'error', true); }
   }
 
+  // Catalogs defined on this page rather than imported, keyed by the list source the server reports
+  const CUSTOM_CATALOG_KINDS = {
+    smartlist: { label: 'Smart list', endpoint: 'smart-lists', describe: describeSmartList, edit: openSmartListForm },
+    combinedlist: { label: 'Combined list', endpoint: 'combined-lists', describe: describeCombinedList, edit: openCombinedListForm },
+    tmdb_discover: { label: 'TMDB Discover', endpoint: 'tmdb-discover', describe: describeTmdbDiscover, edit: openTmdbDiscoverForm }
+  };
+
+  function renderCustomCatalogs() {
+    if (!elements.customCatalogsList) return;
+    elements.customCatalogsList.innerHTML = '';
+    state.currentLists.filter(list => CUSTOM_CATALOG_KINDS[list.source]).forEach(list => {
+      const kind = CUSTOM_CATALOG_KINDS[list.source];
+      const item = document.createElement('div'); item.className = 'addon-item-group';
+      const details = document.createElement('div'); details.className = 'addon-group-details';
+      const nameSpan = document.createElement('span'); nameSpan.className = 'addon-group-name';
+      nameSpan.textContent = list.customName || list.name;
+      const infoSpan = document.createElement('span'); infoSpan.className = 'addon-group-info';
+      infoSpan.textContent = `${kind.label} • ${kind.describe(list)}`;
+      details.append(nameSpan, infoSpan);
+
+      const actions = document.createElement('div'); actions.className = 'addon-group-actions';
+      actions.append(
+        createButton('✏️', 'action-icon', (e) => { e.stopPropagation(); kind.edit(list); }, `Edit ${kind.label.toLowerCase()}`),
+        createButton('❌', 'remove-addon-group action-icon', (e) => { e.stopPropagation(); deleteCustomCatalog(list, kind); }, `Delete ${kind.label.toLowerCase()}`)
+      );
+      item.append(details, actions);
+      elements.customCatalogsList.appendChild(item);
+    });
+  }
+
+  function hideCustomCatalogForms() {
+    document.querySelectorAll('.custom-catalog-form').forEach(form => form.classList.add('hidden'));
+    state.editingCustomCatalogId = null;
+  }
+
+  function getListDisplayName(listId) {
+    const list = state.currentLists.find(l => String(l.id) === String(listId));
+    return list ? (list.customName || list.name) : String(listId);
+  }
+
+  function renderSourceCheckboxes(container, selectedIds, isAllowed) {
+    container.innerHTML = '';
+    const candidates = state.currentLists.filter(list => String(list.id) !== state.editingCustomCatalogId && isAllowed(list));
+    if (candidates.length === 0) {
+      container.textContent = 'No lists to choose from yet.';
+      return;
+    }
+    candidates.forEach(list => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = String(list.id);
+      checkbox.checked = selectedIds.includes(String(list.id));
+      label.append(checkbox, ` ${list.customName || list.name}`);
+      container.appendChild(label);
+    });
+  }
+
+  function getCheckedSourceIds(container) {
+    return Array.from(container.querySelectorAll('input[type="checkbox"]:checked')).map(checkbox => checkbox.value);
+  }
+
+  function splitCommaList(value) {
+    return value.split(',').map(part => part.trim()).filter(Boolean);
+  }
+
+  async function saveCustomCatalog(endpoint, body, label) {
+    try {
+      const response = await fetch(`/${state.configHash}/${endpoint}`, {
+          method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.error || `Failed to save ${label.toLowerCase()}`);
+
+      state.configHash = data.configHash;
+      updateURL(); updateStremioButtonHref();
+      hideCustomCatalogForms();
+      showNotification('customCatalogs', `${label} saved.`, 'success');
+      await loadUserListsAndAddons();
+    } catch (error) { console.error('Save Custom Catalog Error:', error); showNotification('customCatalogs', `Error: ${error.message}`, 'error', true); }
+  }
+
+  async function deleteCustomCatalog(list, kind) {
+    try {
+      const response = await fetch(`/${state.configHash}/${kind.endpoint}/${encodeURIComponent(list.id)}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.error || `Failed to delete ${kind.label.toLowerCase()}`);
+
+      state.configHash = data.configHash;
+      updateURL(); updateStremioButtonHref();
+      if (state.editingCustomCatalogId === String(list.id)) hideCustomCatalogForms();
+      showNotification('customCatalogs', `${kind.label} deleted.`, 'success');
+      await loadUserListsAndAddons();
+    } catch (error) { console.error('Delete Custom Catalog Error:', error); showNotification('customCatalogs', `Error: ${error.message}`, 'error', true); }
+  }
+
+  function describeSmartList(list) {
+    const rules = list.smartListRules || {};
+    const parts = [`${(list.smartListSources || []).length} source${(list.smartListSources || []).length !== 1 ? 's' : ''}`];
+    if (rules.type && rules.type !== 'all') parts.push(rules.type === 'movie' ? 'movies' : 'series');
+    if (rules.genres?.length) parts.push(rules.genres.join('/'));
+    if (rules.excludeGenres?.length) parts.push(`no ${rules.excludeGenres.join('/')}`);
+    if (rules.yearFrom || rules.yearTo) parts.push(`${rules.yearFrom || '…'}–${rules.yearTo || '…'}`);
+    if (rules.minRating !== null && rules.minRating !== undefined) parts.push(`IMDb ≥ ${rules.minRating}`);
+    if (rules.unwatched) parts.push('unwatched');
+    return parts.join(' • ');
+  }
+
+  function openSmartListForm(list = null) {
+    hideCustomCatalogForms();
+    state.editingCustomCatalogId = list ? String(list.id) : null;
+    const rules = list?.smartListRules || {};
+    const isTraktConnected = !!(state.userConfig.traktAccessToken || (state.userConfig.isConnected?.traktPersistent && state.userConfig.traktUuid));
+
+    elements.smartListFormTitle.textContent = list ? `Edit ${list.name}` : 'New Smart List';
+    elements.smartListName.value = list?.name || '';
+    // Smart lists are built from regular lists; the random catalog changes on every load
+    renderSourceCheckboxes(elements.smartListSources, (list?.smartListSources || []).map(String),
+      candidate => !CUSTOM_CATALOG_KINDS[candidate.source] && candidate.id !== 'random_mdblist_catalog');
+    elements.smartListType.value = rules.type || 'all';
+    elements.smartListMinRating.value = rules.minRating ?? '';
+    elements.smartListYearFrom.value = rules.yearFrom ?? '';
+    elements.smartListYearTo.value = rules.yearTo ?? '';
+    elements.smartListGenres.value = (rules.genres || []).join(', ');
+    elements.smartListExcludeGenres.value = (rules.excludeGenres || []).join(', ');
+    elements.smartListMaxItems.value = list?.smartListMaxItemsPerSource || '';
+    elements.smartListUnwatched.checked = !!rules.unwatched;
+    elements.smartListUnwatched.disabled = !isTraktConnected && !rules.unwatched;
+    elements.smartListUnwatched.parentElement.title = isTraktConnected ? '' : 'Connect Trakt to filter out watched titles';
+
+    elements.smartListForm.classList.remove('hidden');
+    elements.smartListName.focus();
+  }
+
+  async function handleSmartListSubmit(event) {
+    event.preventDefault();
+    const name = elements.smartListName.value.trim();
+    const sources = getCheckedSourceIds(elements.smartListSources);
+    if (!name) return showNotification('customCatalogs', 'Please enter a name.', 'error');
+    if (sources.length === 0) return showNotification('customCatalogs', 'Pick at least one source list.', 'error');
+
+    await saveCustomCatalog('smart-lists', {
+      id: state.editingCustomCatalogId || undefined,
+      name,
+      sources,
+      rules: {
+        type: elements.smartListType.value,
+        genres: splitCommaList(elements.smartListGenres.value),
+        excludeGenres: splitCommaList(elements.smartListExcludeGenres.value),
+        yearFrom: elements.smartListYearFrom.value || null,
+        yearTo: elements.smartListYearTo.value || null,
+        minRating: elements.smartListMinRating.value || null,
+        unwatched: elements.smartListUnwatched.checked
+      },
+      maxItemsPerSource: elements.smartListMaxItems.value || undefined
+    }, 'Smart list');
+  }
+
+  function describeCombinedList(list) {
+    const symbols = { union: ' ∪ ', intersection: ' ∩ ', difference: ' − ' };
+    return (list.combinedListSources || []).map(getListDisplayName).join(symbols[list.combinedListOperation] || ', ');
+  }
+
+  // Combined lists may use smart lists, but not other combined lists or the random catalog
+  function isCombinedListSourceAllowed(list) {
+    return list.source !== 'combinedlist' && list.id !== 'random_mdblist_catalog' && String(list.id) !== state.editingCustomCatalogId;
+  }
+
+  function renderCombinedListBaseOptions(selectedId) {
+    elements.combinedListBase.innerHTML = '';
+    state.currentLists.filter(isCombinedListSourceAllowed).forEach(list => {
+      elements.combinedListBase.add(new Option(list.customName || list.name, String(list.id), false, String(list.id) === selectedId));
+    });
+  }
+
+  function openCombinedListForm(list = null) {
+    hideCustomCatalogForms();
+    state.editingCustomCatalogId = list ? String(list.id) : null;
+    // Order matters for differences, so the first source gets its own picker
+    const [baseId = '', ...otherIds] = (list?.combinedListSources || []).map(String);
+
+    elements.combinedListFormTitle.textContent = list ? `Edit ${list.name}` : 'New Combined List';
+    elements.combinedListName.value = list?.name || '';
+    elements.combinedListOperation.value = list?.combinedListOperation || 'union';
+    renderCombinedListBaseOptions(baseId);
+    renderSourceCheckboxes(elements.combinedListSources, otherIds, isCombinedListSourceAllowed);
+    elements.combinedListMaxItems.value = list?.combinedListMaxItemsPerSource || '';
+
+    elements.combinedListForm.classList.remove('hidden');
+    elements.combinedListName.focus();
+  }
+
+  async function handleCombinedListSubmit(event) {
+    event.preventDefault();
+    const name = elements.combinedListName.value.trim();
+    const baseId = elements.combinedListBase.value;
+    const sources = [baseId, ...getCheckedSourceIds(elements.combinedListSources).filter(id => id !== baseId)];
+    if (!name) return showNotification('customCatalogs', 'Please enter a name.', 'error');
+    if (!baseId || sources.length < 2) return showNotification('customCatalogs', 'Pick a first list and at least one other list.', 'error');
+
+    await saveCustomCatalog('combined-lists', {
+      id: state.editingCustomCatalogId || undefined,
+      name,
+      operation: elements.combinedListOperation.value,
+      sources,
+      maxItemsPerSource: elements.combinedListMaxItems.value || undefined
+    }, 'Combined list');
+  }
+
+  function describeTmdbDiscover(list) {
+    const params = list.tmdbDiscoverParams || {};
+    const parts = [list.tmdbDiscoverMediaType === 'series' ? 'series' : 'movies'];
+    if (params.genres?.length) parts.push(params.genres.join('/'));
+    if (params.yearFrom || params.yearTo) parts.push(`${params.yearFrom || '…'}–${params.yearTo || '…'}`);
+    if (params.minRating !== undefined) parts.push(`rating ≥ ${params.minRating}`);
+    if (params.originalLanguage) parts.push(params.originalLanguage);
+    if (params.watchProviders?.length) parts.push(`providers ${params.watchProviders.join(',')} (${params.watchRegion})`);
+    return parts.join(' • ');
+  }
+
+  function updateTmdbDiscoverNetworksVisibility() {
+    // TMDB only filters series by network
+    elements.tmdbDiscoverNetworksGroup.classList.toggle('hidden', elements.tmdbDiscoverMediaType.value !== 'series');
+  }
+
+  function openTmdbDiscoverForm(list = null) {
+    hideCustomCatalogForms();
+    state.editingCustomCatalogId = list ? String(list.id) : null;
+    const params = list?.tmdbDiscoverParams || {};
+    const joinIds = ids => (ids || []).join(', ');
+
+    elements.tmdbDiscoverFormTitle.textContent = list ? `Edit ${list.name}` : 'New TMDB Discover Catalog';
+    elements.tmdbDiscoverName.value = list?.name || '';
+    elements.tmdbDiscoverMediaType.value = list?.tmdbDiscoverMediaType || 'movie';
+    elements.tmdbDiscoverSortBy.value = params.sortBy || 'popularity.desc';
+    if (!elements.tmdbDiscoverSortBy.value) elements.tmdbDiscoverSortBy.add(new Option(params.sortBy, params.sortBy, true, true));
+    elements.tmdbDiscoverGenres.value = joinIds(params.genres);
+    elements.tmdbDiscoverYearFrom.value = params.yearFrom ?? '';
+    elements.tmdbDiscoverYearTo.value = params.yearTo ?? '';
+    elements.tmdbDiscoverMinRating.value = params.minRating ?? '';
+    elements.tmdbDiscoverMaxRating.value = params.maxRating ?? '';
+    elements.tmdbDiscoverMinVotes.value = params.minVotes ?? '';
+    elements.tmdbDiscoverLanguage.value = params.originalLanguage || '';
+    elements.tmdbDiscoverProviders.value = joinIds(params.watchProviders);
+    elements.tmdbDiscoverRegion.value = params.watchRegion || '';
+    elements.tmdbDiscoverKeywords.value = joinIds(params.keywords);
+    elements.tmdbDiscoverCompanies.value = joinIds(params.companies);
+    elements.tmdbDiscoverNetworks.value = joinIds(params.networks);
+    updateTmdbDiscoverNetworksVisibility();
+
+    elements.tmdbDiscoverForm.classList.remove('hidden');
+    elements.tmdbDiscoverName.focus();
+  }
+
+  async function handleTmdbDiscoverSubmit(event) {
+    event.preventDefault();
+    const name = elements.tmdbDiscoverName.value.trim();
+    const mediaType = elements.tmdbDiscoverMediaType.value;
+    if (!name) return showNotification('customCatalogs', 'Please enter a name.', 'error');
+
+    await saveCustomCatalog('tmdb-discover', {
+      id: state.editingCustomCatalogId || undefined,
+      name,
+      mediaType,
+      params: {
+        genres: splitCommaList(elements.tmdbDiscoverGenres.value),
+        yearFrom: elements.tmdbDiscoverYearFrom.value,
+        yearTo: elements.tmdbDiscoverYearTo.value,
+        minRating: elements.tmdbDiscoverMinRating.value,
+        maxRating: elements.tmdbDiscoverMaxRating.value,
+        minVotes: elements.tmdbDiscoverMinVotes.value,
+        originalLanguage: elements.tmdbDiscoverLanguage.value.trim(),
+        watchProviders: splitCommaList(elements.tmdbDiscoverProviders.value),
+        watchRegion: elements.tmdbDiscoverRegion.value.trim(),
+        keywords: splitCommaList(elements.tmdbDiscoverKeywords.value),
+        companies: splitCommaList(elements.tmdbDiscoverCompanies.value),
+        networks: mediaType === 'series' ? splitCommaList(elements.tmdbDiscoverNetworks.value) : [],
+        sortBy: elements.tmdbDiscoverSortBy.value
+      }
+    }, 'Discover catalog');
+  }
+
   function updateStremioButtonHref() {
     if (state.configHash && elements.updateStremioBtn) {
       const baseUrl = `stremio://${window.location.host}`;
@@ -2353,6 +3267,7 @@ function startNameEditing(listItemElement, list) {
       state.userConfig.traktExpiresAt = null;
       state.userConfig.traktUuid = null;
       state.userConfig.traktUsername = null;
+      state.userConfig.traktAccounts = {};
       
       // Reload lists only (don't reload full config which would reset other API key UIs)
       await loadUserListsAndAddons();
@@ -2427,6 +3342,7 @@ function startNameEditing(listItemElement, list) {
 
   // Make connectToTmdb globally available
   window.connectToTmdb = connectToTmdb;
+  window.connectToSimkl = connectToSimkl;
   
 
 
@@ -2607,6 +3523,130 @@ function startNameEditing(listItemElement, list) {
     state.tmdbBearerToken = null;
   }
 
+  // Simkl PIN flow: show the code, then poll until the user approves it on simkl.com/pin
+  async function connectToSimkl() {
+    try {
+      showNotification('connections', 'Getting Simkl PIN code...', 'info', true);
+      const response = await fetch('/simkl/pin');
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.error || 'Failed to get Simkl PIN code');
+
+      document.getElementById('simklLoginBtn').style.display = 'none';
+      document.getElementById('simklAuthContainer').style.display = 'block';
+      document.getElementById('simklUserCode').textContent = data.userCode;
+      document.getElementById('simklAuthLink').href = data.verificationUrl;
+      showNotification('connections', `Enter code ${data.userCode} on Simkl to connect.`, 'info', true);
+
+      const expiresAt = Date.now() + (data.expiresIn || 900) * 1000;
+      const pollInterval = Math.max(data.interval || 5, 3) * 1000;
+      const pollSimkl = async () => {
+        if (Date.now() >= expiresAt) {
+          resetSimklAuthContainer();
+          showNotification('connections', 'Simkl code expired. Please try again.', 'error', true);
+          return;
+        }
+        try {
+          const authResponse = await fetch(`/${state.configHash}/simkl/auth`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ userCode: data.userCode })
+          });
+          const authData = await authResponse.json();
+          if (!authResponse.ok) throw new Error(authData.error || 'Failed to authenticate with Simkl');
+          if (authData.pending) {
+            state.simklPollTimer = setTimeout(pollSimkl, pollInterval);
+            return;
+          }
+
+          state.configHash = authData.configHash;
+          updateURL();
+          updateStremioButtonHref();
+          state.simklPollTimer = null;
+          // Reload configuration so the token comes from the backend; this also reloads the lists
+          await loadConfig();
+          showNotification('connections', `Successfully connected to Simkl as ${authData.username || 'user'}!`, 'success');
+        } catch (error) {
+          console.error('Simkl Authentication Error:', error);
+          resetSimklAuthContainer();
+          showNotification('connections', `Simkl Authentication Error: ${error.message}`, 'error', true);
+        }
+      };
+      state.simklPollTimer = setTimeout(pollSimkl, pollInterval);
+    } catch (error) {
+      console.error('Simkl Auth Error:', error);
+      showNotification('connections', `Simkl Auth Error: ${error.message}`, 'error', true);
+      resetSimklAuthContainer();
+    }
+  }
+
+  function resetSimklAuthContainer() {
+    if (state.simklPollTimer) clearTimeout(state.simklPollTimer);
+    state.simklPollTimer = null;
+    const simklAuthContainer = document.getElementById('simklAuthContainer');
+    const simklLoginBtn = document.getElementById('simklLoginBtn');
+    if (simklAuthContainer) simklAuthContainer.style.display = 'none';
+    if (simklLoginBtn && !state.userConfig.simklAccessToken) simklLoginBtn.style.display = 'inline-flex';
+  }
+
+  window.cancelSimklAuth = function() {
+    resetSimklAuthContainer();
+    showNotification('connections', 'Simkl connection cancelled.', 'info');
+  };
+
+  window.disconnectSimkl = async function() {
+    try {
+      const response = await fetch(`/${state.configHash}/simkl/disconnect`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' }
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.error || 'Failed to disconnect Simkl');
+
+      state.configHash = data.configHash;
+      updateURL();
+      updateStremioButtonHref();
+
+      state.userConfig.simklAccessToken = null;
+      state.userConfig.simklUsername = null;
+      updateSimklConnectionUI(false);
+
+      await loadUserListsAndAddons();
+      showNotification('connections', 'Disconnected from Simkl and cleaned up all lists.', 'success');
+    } catch (error) {
+      console.error('Simkl Disconnect Error:', error);
+      showNotification('connections', `Simkl Disconnect Error: ${error.message}`, 'error', true);
+    }
+  };
+
+  function updateSimklConnectionUI(isConnected, username = null) {
+    const simklConnection = document.getElementById('simklConnection');
+    const simklConnectionDivider = document.getElementById('simklConnectionDivider');
+    const simklLoginBtn = document.getElementById('simklLoginBtn');
+    const simklConnectedState = document.getElementById('simklConnectedState');
+    const simklAuthContainer = document.getElementById('simklAuthContainer');
+
+    // The integration only exists when the server has a Simkl client id
+    const isAvailable = !!state.env?.hasSimklClientId || isConnected;
+    if (simklConnection) simklConnection.style.display = isAvailable ? 'block' : 'none';
+    if (simklConnectionDivider) simklConnectionDivider.style.display = isAvailable ? 'block' : 'none';
+
+    if (isConnected) {
+      if (simklLoginBtn) simklLoginBtn.style.setProperty('display', 'none', 'important');
+      if (simklAuthContainer) simklAuthContainer.style.setProperty('display', 'none', 'important');
+      if (simklConnectedState) {
+        simklConnectedState.style.setProperty('display', 'flex', 'important');
+        const connectedText = simklConnectedState.querySelector('b');
+        if (connectedText) {
+          connectedText.textContent = username ? `[Simkl] Connected as ${username}` : 'Connected to Simkl';
+        }
+      }
+    } else {
+      if (simklLoginBtn) simklLoginBtn.style.setProperty('display', 'inline-flex', 'important');
+      if (simklConnectedState) simklConnectedState.style.setProperty('display', 'none', 'important');
+      if (simklAuthContainer) simklAuthContainer.style.setProperty('display', 'none', 'important');
+    }
+  }
+
   function updateTmdbConnectionUI(isConnected, username = null) {
     const tmdbLoginBtn = document.getElementById('tmdbLoginBtn');
     const tmdbConnectedState = document.getElementById('tmdbConnectedState');
@@ -2781,6 +3821,8 @@ function startNameEditing(listItemElement, list) {
       elements.animeSearchEnabled.checked = state.userConfig.animeSearchEnabled || false;
     }
 
+    renderAddonSearchSources();
+
     // Trakt search is always available (no connection required)
     if (elements.searchTrakt) {
       elements.searchTrakt.disabled = false;
@@ -2856,6 +3898,27 @@ function startNameEditing(listItemElement, list) {
     }
   }
 
+  // One toggle per imported addon that has search catalogs, saved as 'addon:<id>' in searchSources
+  function renderAddonSearchSources() {
+    if (!elements.addonSearchSources) return;
+    const searchAddons = Object.values(state.userConfig.importedAddons || {}).filter(addon => addon?.searchCatalogs?.length > 0);
+    elements.addonSearchSources.innerHTML = '';
+    elements.addonSearchGroup.classList.toggle('hidden', searchAddons.length === 0);
+
+    searchAddons.forEach(addon => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.searchSource = `addon:${addon.id}`;
+      checkbox.checked = (state.userConfig.searchSources || []).includes(checkbox.dataset.searchSource);
+      checkbox.addEventListener('change', saveSearchPreferences);
+      label.append(checkbox, ` ${addon.name}`);
+      label.title = addon.searchCatalogs.map(catalog => catalog.name).join(', ');
+      elements.addonSearchSources.appendChild(label);
+    });
+  }
+
   async function saveSearchPreferences() {
     if (!state.configHash) return;
 
@@ -2863,6 +3926,7 @@ function startNameEditing(listItemElement, list) {
     if (elements.searchCinemeta && elements.searchCinemeta.checked) searchSources.push('cinemeta');
     if (elements.searchTrakt && elements.searchTrakt.checked && !elements.searchTrakt.disabled) searchSources.push('trakt');
     if (elements.searchTmdb && elements.searchTmdb.checked && !elements.searchTmdb.disabled) searchSources.push('tmdb');
+    elements.addonSearchSources?.querySelectorAll('input[data-search-source]:checked').forEach(checkbox => searchSources.push(checkbox.dataset.searchSource));
 
     const mergedSearchSources = [];
     if (elements.mergedSearchTmdb && elements.mergedSearchTmdb.checked && !elements.mergedSearchTmdb.disabled) mergedSearchSources.push('tmdb');
@@ -3054,6 +4118,11 @@ function startNameEditing(listItemElement, list) {
       // Update UI components
       updateMetadataSourceUI();
       updateGenreFilterButtonText();
+      updateTrailerStreamsButtonText();
+      updateListEditLinksButtonText();
+      updateTraktCalendarUI();
+      updateTraktMinRatingUI();
+      updateAutoHideFailingUI();
       updateRandomListButtonState();
       updateSearchSourcesUI();
 
@@ -3079,12 +4148,14 @@ function startNameEditing(listItemElement, list) {
       }
 
       // Update Trakt UI
-      const isTraktConnected = !!(state.userConfig.traktAccessToken || (state.userConfig.upstashUrl && state.userConfig.traktUuid));
+      const isTraktConnected = !!(state.userConfig.traktAccessToken || (state.userConfig.isConnected?.traktPersistent && state.userConfig.traktUuid));
       updateTraktUI(isTraktConnected, state.userConfig.traktUsername);
 
       // Update TMDB UI
       const isTmdbConnected = !!state.userConfig.tmdbSessionId;
       updateTmdbConnectionUI(isTmdbConnected, state.userConfig.tmdbUsername);
+
+      updateSimklConnectionUI(!!state.userConfig.simklAccessToken, state.userConfig.simklUsername);
     } catch (error) {
       console.error('Error updating connection status from config:', error);
     }
@@ -3162,12 +4233,18 @@ function startNameEditing(listItemElement, list) {
       
       showNotification('connections', 'Completing Trakt authentication...', 'info', true);
       
+      let addAccount = false;
+      try {
+        addAccount = !!JSON.parse(atob(traktState)).addAccount;
+      } catch (e) { /* state without extra flags */ }
+      
       // Complete the authentication using the authorization code
       const response = await fetch(`/${state.configHash}/trakt/auth`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
-          code: code
+          code: code,
+          addAccount
         })
       });
       
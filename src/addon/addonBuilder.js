@@ -1,10 +1,12 @@
 // src/addon/addonBuilder.js
 const { addonBuilder } = require('stremio-addon-sdk');
-const { fetchTraktListItems, fetchTraktLists, initTraktApi } = require('../integrations/trakt');
+const { fetchTraktListItems, fetchTraktLists, initTraktApi, parseTraktListId } = require('../integrations/trakt');
 const { fetchListItems: fetchMDBListItems, fetchAllLists: fetchAllMDBLists, fetchAllListsForUser } = require('../integrations/mdblist');
-const { fetchExternalAddonItems } = require('../integrations/externalAddons');
+const { fetchExternalAddonItems, getImportedSearchSources, scheduleAddonUpdateChecks } = require('../integrations/externalAddons');
 const { convertToStremioFormat } = require('./converters');
-const { isWatchlist } = require('../utils/common');
+const { getTrailerStreams } = require('./streams');
+const { isWatchlist, isTraktCalendar, isLiveContentType, isUrlImport: isUrlImportedAddon, getUrlImportSource, TRAKT_CALENDAR_CACHE_MAX_AGE } = require('../utils/common');
+const { getSourceHealthKey, recordSourceSuccess, recordSourceFailure, isSourceFailingFor, claimSourceProbe } = require('../utils/sourceHealth');
 const { staticGenres, MANIFEST_GENERATION_CONCURRENCY, ENABLE_MANIFEST_CACHE } = require('../config');
 const axios = require('axios');
 
@@ -17,6 +19,8 @@ function getManifestCacheKey(userConfig) {
   const cacheableConfig = {
     apiKey: !!userConfig.apiKey,
     traktAccessToken: !!userConfig.traktAccessToken,
+    traktAccounts: Object.keys(userConfig.traktAccounts || {}),
+    simklAccessToken: !!userConfig.simklAccessToken,
     tmdbSessionId: !!userConfig.tmdbSessionId,
     listOrder: userConfig.listOrder,
     hiddenLists: userConfig.hiddenLists,
@@ -25,7 +29,12 @@ function getManifestCacheKey(userConfig) {
     customMediaTypeNames: userConfig.customMediaTypeNames,
     mergedLists: userConfig.mergedLists,
     importedAddons: Object.keys(userConfig.importedAddons || {}),
+    smartLists: userConfig.smartLists || {},
+    combinedLists: userConfig.combinedLists || {},
+    tmdbDiscoverLists: userConfig.tmdbDiscoverLists || {},
     enableRandomListFeature: userConfig.enableRandomListFeature,
+    enableTrailerStreams: !!userConfig.enableTrailerStreams,
+    autoHideFailingDays: userConfig.autoHideFailingDays || 0,
     metadataSource: userConfig.metadataSource,
     tmdbLanguage: userConfig.tmdbLanguage, // Include language in cache key
     tmdbBearerToken: !!userConfig.tmdbBearerToken, // Include token presence in cache key
@@ -90,6 +99,11 @@ async function fetchListContent(listId, userConfig, skip = 0, genre = null, stre
   
   const catalogIdFromRequest = String(listId);
 
+  const { shouldHideWatched, fetchUnwatchedListContent } = require('./watchedFilter');
+  if (shouldHideWatched(catalogIdFromRequest, userConfig)) {
+    return fetchUnwatchedListContent(catalogIdFromRequest, userConfig, skip, genre, stremioCatalogType);
+  }
+
   if (catalogIdFromRequest.startsWith('trakt_') && !catalogIdFromRequest.startsWith('traktpublic_')) {
     await initTraktApi(userConfig);
   }
@@ -100,7 +114,7 @@ async function fetchListContent(listId, userConfig, skip = 0, genre = null, stre
 
   let originalListIdForSortLookup = catalogIdFromRequest;
   const addonDetails = importedAddons?.[catalogIdFromRequest];
-  const isUrlImport = addonDetails && (addonDetails.isMDBListUrlImport || addonDetails.isTraktPublicList);
+  const isUrlImport = isUrlImportedAddon(addonDetails);
 
   if (catalogIdFromRequest.startsWith('aiolists-') && (catalogIdFromRequest.includes('-L') || catalogIdFromRequest.includes('-E') || catalogIdFromRequest.includes('-W'))) {
     const parts = catalogIdFromRequest.split('-');
@@ -114,7 +128,7 @@ async function fetchListContent(listId, userConfig, skip = 0, genre = null, stre
   } else if (importedAddons) {
       let found = false;
       for (const addon of Object.values(importedAddons)) {
-          if (addon.isMDBListUrlImport || addon.isTraktPublicList) continue;
+          if (isUrlImportedAddon(addon)) continue;
           const foundCatalog = addon.catalogs?.find(c => c.id === catalogIdFromRequest);
           if (foundCatalog) {
               originalListIdForSortLookup = foundCatalog.originalId;
@@ -178,43 +192,77 @@ async function fetchListContent(listId, userConfig, skip = 0, genre = null, stre
     }
   }
 
+  if (!itemsResult && catalogIdFromRequest.startsWith('smartlist_') && userConfig.smartLists?.[catalogIdFromRequest]) {
+    const { fetchSmartListItems } = require('./virtualLists');
+    const smartListSortPrefs = sortPreferences?.[catalogIdFromRequest] || { sort: 'default', order: 'desc' };
+    itemsResult = await fetchSmartListItems( catalogIdFromRequest, userConfig.smartLists[catalogIdFromRequest], userConfig, skip, smartListSortPrefs.sort, smartListSortPrefs.order, genre, itemTypeHintForFetching );
+  }
+
+  if (!itemsResult && catalogIdFromRequest.startsWith('combinedlist_') && userConfig.combinedLists?.[catalogIdFromRequest]) {
+    const { fetchCombinedListItems } = require('./virtualLists');
+    const combinedListSortPrefs = sortPreferences?.[catalogIdFromRequest] || { sort: 'default', order: 'desc' };
+    itemsResult = await fetchCombinedListItems( catalogIdFromRequest, userConfig.combinedLists[catalogIdFromRequest], userConfig, skip, combinedListSortPrefs.sort, combinedListSortPrefs.order, genre, itemTypeHintForFetching );
+  }
+
   if (!itemsResult && isUrlImport) {
     const addonConfig = importedAddons[catalogIdFromRequest];
-    if (addonConfig.isTraktPublicList) {
-      itemsResult = await fetchTraktListItems( addonConfig.id, userConfig, skip, sortPrefsForImportedOrRandom.sort, sortPrefsForImportedOrRandom.order, true, addonConfig.traktUser, itemTypeHintForFetching, genre );
-    } else if (addonConfig.isMDBListUrlImport) {
-      if (apiKey && addonConfig.mdblistId) {
-        // Use API approach with the converted numeric ID (premium access)
-        const isListUserMerged = userConfig.mergedLists?.[catalogIdFromRequest] !== false;
-        console.log(`[AddonBuilder] Using premium API access for converted list: ${addonConfig.name} (ID: ${addonConfig.mdblistId})`);
-        itemsResult = await fetchMDBListItems( addonConfig.mdblistId, apiKey, listsMetadata, skip, sortPrefsForImportedOrRandom.sort, sortPrefsForImportedOrRandom.order, true, genre, null, isListUserMerged, userConfig );
-      } else if (apiKey) {
-        // Use API approach when available (legacy handling for lists that don't have mdblistId)
-        const listIdForApi = addonConfig.mdblistId || addonConfig.listId;
-        const isListUserMerged = userConfig.mergedLists?.[catalogIdFromRequest] !== false;
-        itemsResult = await fetchMDBListItems( listIdForApi, apiKey, listsMetadata, skip, sortPrefsForImportedOrRandom.sort, sortPrefsForImportedOrRandom.order, true, genre, null, isListUserMerged, userConfig );
-      } else if (addonConfig.mdblistUsername && addonConfig.mdblistSlug) {
-        // Use public JSON fallback when no API key is available
-        console.log(`[AddonBuilder] Using public JSON access for list: ${addonConfig.name} (${addonConfig.mdblistUsername}/${addonConfig.mdblistSlug})`);
-        const { fetchListItemsFromPublicJson } = require('../integrations/mdblist');
-        const isListUserMerged = userConfig.mergedLists?.[catalogIdFromRequest] !== false;
-        itemsResult = await fetchListItemsFromPublicJson(
-          addonConfig.mdblistUsername, 
-          addonConfig.mdblistSlug, 
-          skip, 
-          sortPrefsForImportedOrRandom.sort, 
-          sortPrefsForImportedOrRandom.order, 
-          genre, 
-          userConfig,
-          isListUserMerged
-        );
+    const healthKey = getSourceHealthKey(addonConfig);
+    const fetchStartedAt = Date.now();
+    try {
+      if (addonConfig.isTraktPublicList) {
+        itemsResult = await fetchTraktListItems( addonConfig.id, userConfig, skip, sortPrefsForImportedOrRandom.sort, sortPrefsForImportedOrRandom.order, true, addonConfig.traktUser, itemTypeHintForFetching, genre );
+      } else if (addonConfig.isMDBListUrlImport) {
+        if (apiKey && addonConfig.mdblistId) {
+          // Use API approach with the converted numeric ID (premium access)
+          const isListUserMerged = userConfig.mergedLists?.[catalogIdFromRequest] !== false;
+          console.log(`[AddonBuilder] Using premium API access for converted list: ${addonConfig.name} (ID: ${addonConfig.mdblistId})`);
+          itemsResult = await fetchMDBListItems( addonConfig.mdblistId, apiKey, listsMetadata, skip, sortPrefsForImportedOrRandom.sort, sortPrefsForImportedOrRandom.order, true, genre, null, isListUserMerged, userConfig );
+        } else if (apiKey) {
+          // Use API approach when available (legacy handling for lists that don't have mdblistId)
+          const listIdForApi = addonConfig.mdblistId || addonConfig.listId;
+          const isListUserMerged = userConfig.mergedLists?.[catalogIdFromRequest] !== false;
+          itemsResult = await fetchMDBListItems( listIdForApi, apiKey, listsMetadata, skip, sortPrefsForImportedOrRandom.sort, sortPrefsForImportedOrRandom.order, true, genre, null, isListUserMerged, userConfig );
+        } else if (addonConfig.mdblistUsername && addonConfig.mdblistSlug) {
+          // Use public JSON fallback when no API key is available
+          console.log(`[AddonBuilder] Using public JSON access for list: ${addonConfig.name} (${addonConfig.mdblistUsername}/${addonConfig.mdblistSlug})`);
+          const { fetchListItemsFromPublicJson } = require('../integrations/mdblist');
+          const isListUserMerged = userConfig.mergedLists?.[catalogIdFromRequest] !== false;
+          itemsResult = await fetchListItemsFromPublicJson(
+            addonConfig.mdblistUsername, 
+            addonConfig.mdblistSlug, 
+            skip, 
+            sortPrefsForImportedOrRandom.sort, 
+            sortPrefsForImportedOrRandom.order, 
+            genre, 
+            userConfig,
+            isListUserMerged,
+            true
+          );
+        }
+      } else if (addonConfig.isLetterboxdList) {
+        const { fetchLetterboxdListItems } = require('../integrations/letterboxd');
+        itemsResult = await fetchLetterboxdListItems( addonConfig, skip, sortPrefsForImportedOrRandom.sort, sortPrefsForImportedOrRandom.order );
+      } else if (addonConfig.isImdbList) {
+        const { fetchImdbListItems } = require('../integrations/imdb');
+        itemsResult = await fetchImdbListItems( addonConfig, skip, itemTypeHintForFetching );
+      } else if (addonConfig.isAnimeList) {
+        const { fetchAnimeListItems } = require('../integrations/animeLists');
+        itemsResult = await fetchAnimeListItems( addonConfig, skip, itemTypeHintForFetching );
+      } else if (addonConfig.isTmdbUrlImport) {
+        const { fetchTmdbUrlImportItems } = require('../integrations/tmdb');
+        itemsResult = await fetchTmdbUrlImportItems( addonConfig, userConfig, skip, itemTypeHintForFetching, genre );
       }
+      if (itemsResult) recordSourceSuccess(healthKey, Date.now() - fetchStartedAt);
+    } catch (error) {
+      // The URL-import fetchers log and throw the underlying error, recordSourceFailure decides whether it's the source's fault
+      recordSourceFailure(healthKey, error, Date.now() - fetchStartedAt);
+      itemsResult = null;
     }
   }
 
   if (!itemsResult && importedAddons) {
     for (const parentAddon of Object.values(importedAddons)) {
-      if (parentAddon.isMDBListUrlImport || parentAddon.isTraktPublicList) continue;
+      if (isUrlImportedAddon(parentAddon)) continue;
       const catalogEntry = parentAddon.catalogs?.find(c => String(c.id) === String(catalogIdFromRequest));
       if (catalogEntry) {
         const externalResult = await fetchExternalAddonItems( catalogEntry.originalId, catalogEntry.originalType, parentAddon, skip, rpdbApiKey, genre, userConfig );
@@ -232,8 +280,9 @@ async function fetchListContent(listId, userConfig, skip = 0, genre = null, stre
   }
 
   if (!itemsResult && catalogIdFromRequest.startsWith('trakt_') && !catalogIdFromRequest.startsWith('traktpublic_') && traktAccessToken) {
-    let sortPrefs = sortPreferences?.[originalListIdForSortLookup] || (catalogIdFromRequest.startsWith('trakt_watchlist') ? { sort: 'added', order: 'desc'} : { sort: 'rank', order: 'asc' });
-    if (catalogIdFromRequest === 'trakt_watchlist' && itemTypeHintForFetching === 'all') { sortPrefs.sort = 'added'; } 
+    const { baseListId: baseTraktListId } = parseTraktListId(catalogIdFromRequest);
+    let sortPrefs = sortPreferences?.[originalListIdForSortLookup] || (baseTraktListId.startsWith('trakt_watchlist') ? { sort: 'added', order: 'desc'} : { sort: 'rank', order: 'asc' });
+    if (baseTraktListId === 'trakt_watchlist' && itemTypeHintForFetching === 'all') { sortPrefs.sort = 'added'; } 
     
     let actualTraktItemTypeHint = itemTypeHintForFetching;
     if (itemTypeHintForFetching === 'all') {
@@ -243,10 +292,20 @@ async function fetchListContent(listId, userConfig, skip = 0, genre = null, stre
     itemsResult = await fetchTraktListItems( catalogIdFromRequest, userConfig, skip, sortPrefs.sort, sortPrefs.order, false, null, actualTraktItemTypeHint, genre );
   }
 
+  if (!itemsResult && catalogIdFromRequest.startsWith('simkl_') && userConfig.simklAccessToken) {
+    const { fetchSimklListItems } = require('../integrations/simkl');
+    itemsResult = await fetchSimklListItems(catalogIdFromRequest, userConfig, skip, itemTypeHintForFetching);
+  }
+
+  if (!itemsResult && catalogIdFromRequest.startsWith('tmdbdiscover_') && userConfig.tmdbDiscoverLists?.[catalogIdFromRequest]) {
+    const { fetchTmdbListItems } = require('../integrations/tmdb');
+    itemsResult = await fetchTmdbListItems(catalogIdFromRequest, userConfig, skip, null, null, genre);
+  }
+
   if (!itemsResult && catalogIdFromRequest.startsWith('tmdb_') && userConfig.tmdbSessionId) {
     const { fetchTmdbListItems } = require('../integrations/tmdb');
-    let sortPrefs = sortPreferences?.[originalListIdForSortLookup] || { sort: 'created_at', order: 'desc' };
-    itemsResult = await fetchTmdbListItems(catalogIdFromRequest, userConfig, skip, sortPrefs.sort, sortPrefs.order, genre);
+    let sortPrefs = sortPreferences?.[originalListIdForSortLookup] || { sort: 'added', order: 'desc' };
+    itemsResult = await fetchTmdbListItems(catalogIdFromRequest, userConfig, skip, sortPrefs.sort, sortPrefs.order, genre, itemTypeHintForFetching);
   }
 
   if (!itemsResult && apiKey && catalogIdFromRequest.startsWith('aiolists-')) {
@@ -263,6 +322,23 @@ async function fetchListContent(listId, userConfig, skip = 0, genre = null, stre
   return finalResult;
 }
 
+/**
+ * Fetch the first page of an auto-hidden imported addon or URL import, only to update its health
+ * @param {Object} addon - importedAddons entry
+ * @param {Object} userConfig - User configuration
+ */
+function probeHiddenSource(addon, userConfig) {
+  let probe;
+  if (isUrlImportedAddon(addon)) {
+    probe = fetchListContent(String(addon.id), userConfig, 0, null, 'all');
+  } else {
+    const catalog = addon.catalogs?.find(c => !c.extraRequired?.length) || addon.catalogs?.[0];
+    if (!catalog) return;
+    probe = fetchExternalAddonItems(catalog.originalId, catalog.originalType, addon, 0, null, null, userConfig);
+  }
+  probe.catch(error => console.warn(`[AddonBuilder] Health probe for ${addon.name} failed:`, error.message));
+}
+
 async function createAddon(userConfig) {
   const startTime = Date.now();
   
@@ -277,6 +353,8 @@ async function createAddon(userConfig) {
   }
   
   await initTraktApi(userConfig);
+  // Fire-and-forget, the configure page shows what changed upstream once the checks come back
+  scheduleAddonUpdateChecks(userConfig);
   const manifest = {
     id: 'org.stremio.aiolists',
     version: `1.2.7-${Date.now()}`,
@@ -284,7 +362,7 @@ async function createAddon(userConfig) {
     description: 'Manage all your lists in one place.',
     resources: ['catalog', 'meta'],
     types: [], // Will be populated dynamically
-    idPrefixes: ['tt', 'tmdb:'],
+    idPrefixes: ['tt', 'tmdb:', 'kitsu:'],
     catalogs: [],
     logo: `https://i.imgur.com/DigFuAQ.png`,
     behaviorHints: { configurable: true, configurationRequired: false }
@@ -342,6 +420,35 @@ async function createAddon(userConfig) {
   }
   manifest.types = Array.from(allKnownTypes);
 
+  // Claim the id prefixes of imported addons so their items open through our meta proxy
+  const allIdPrefixes = new Set(manifest.idPrefixes);
+  Object.values(importedAddons).forEach(addon => {
+    (addon.idPrefixes || []).forEach(prefix => allIdPrefixes.add(prefix));
+  });
+  manifest.idPrefixes = Array.from(allIdPrefixes);
+
+  // Channels and live events of imported addons play through AIOLists, their streams are proxied to the source addon
+  const liveStreamTypes = new Set();
+  const liveStreamIdPrefixes = new Set();
+  Object.values(importedAddons).forEach(addon => {
+    if (isUrlImportedAddon(addon) || !Array.isArray(addon.streamIdPrefixes) || addon.streamIdPrefixes.length === 0) return;
+    const addonLiveTypes = (addon.catalogs || []).map(catalog => catalog.type).filter(isLiveContentType);
+    if (addonLiveTypes.length === 0) return;
+    addonLiveTypes.forEach(liveType => liveStreamTypes.add(liveType));
+    addon.streamIdPrefixes.forEach(prefix => liveStreamIdPrefixes.add(prefix));
+  });
+  const hasLiveStreams = liveStreamTypes.size > 0;
+
+  if (userConfig.enableTrailerStreams || hasLiveStreams) {
+    const streamTypes = userConfig.enableTrailerStreams ? ['movie', 'series'] : [];
+    const streamIdPrefixes = userConfig.enableTrailerStreams ? ['tt', 'tmdb:'] : [];
+    manifest.resources.push({
+      name: 'stream',
+      types: [...streamTypes, ...liveStreamTypes],
+      idPrefixes: [...streamIdPrefixes, ...liveStreamIdPrefixes]
+    });
+  }
+
   const includeGenresInManifest = !disableGenreFilter;
   const hiddenListsSet = new Set(hiddenLists.map(String));
   const removedListsSet = new Set(removedLists.map(String));
@@ -404,6 +511,11 @@ async function createAddon(userConfig) {
     const traktFetchedLists = await fetchTraktLists(userConfig); // This might modify userConfig (token refresh)
     activeListsInfo.push(...traktFetchedLists.map(l => ({ ...l, source: 'trakt', originalId: String(l.id) })));
   }
+  if (userConfig.simklAccessToken) {
+    const { fetchSimklLists } = require('../integrations/simkl');
+    const simklLists = await fetchSimklLists(userConfig);
+    activeListsInfo.push(...simklLists.map(l => ({ ...l, source: 'simkl', originalId: String(l.id) })));
+  }
   
   if (userConfig.tmdbSessionId && userConfig.tmdbAccountId) {
     try {
@@ -436,14 +548,15 @@ async function createAddon(userConfig) {
 
     const catalogExtraForThisList = [{ name: "skip" }];
     if (includeGenresInManifest) {
-        let genreOpts = availableGenres;
+        // Movie genres mean nothing for TV channels, those only get the source addon's own options
+        let genreOpts = isImportedSubCatalog && isLiveContentType(listSourceInfo.type) ? null : availableGenres;
         if (isImportedSubCatalog && listSourceInfo.extraSupported && Array.isArray(listSourceInfo.extraSupported)) {
             const genreExtraDef = listSourceInfo.extraSupported.find(e => typeof e === 'object' && e.name === 'genre');
             if (genreExtraDef && Array.isArray(genreExtraDef.options) && genreExtraDef.options.length > 0) {
                 genreOpts = genreExtraDef.options;
             }
         }
-        catalogExtraForThisList.push({
+        if (genreOpts) catalogExtraForThisList.push({
             name: "genre",
             options: genreOpts,
             isRequired: false // Hidden lists are now completely excluded, so this is always false
@@ -484,7 +597,7 @@ async function createAddon(userConfig) {
       sourceHasShows = listSourceInfo.hasShows || metadata.hasShows === true;
       
 
-  } else if (listSourceInfo.source === 'trakt_public') {
+  } else if (listSourceInfo.source === 'trakt_public' || listSourceInfo.source === 'letterboxd_url' || listSourceInfo.source === 'imdb_url' || listSourceInfo.source === 'anime_list' || listSourceInfo.source === 'tmdb_url' || listSourceInfo.source === 'simkl') {
       sourceHasMovies = listSourceInfo.hasMovies;
       sourceHasShows = listSourceInfo.hasShows;
   } else if (listSourceInfo.source === 'trakt') { // This now only handles private trakt
@@ -498,10 +611,11 @@ async function createAddon(userConfig) {
                 try {
                     const tempUserConfigForMetadata = { ...userConfig, listsMetadata: {}, rpdbApiKey: null, customMediaTypeNames: {} }; // Pass a clean config for fetching
                     let typeForMetaCheck = 'all';
-                     if (currentListId.startsWith('trakt_recommendations_') || currentListId.startsWith('trakt_trending_') || currentListId.startsWith('trakt_popular_')) {
-                        if (currentListId.includes("_shows")) typeForMetaCheck = 'series'; else if (currentListId.includes("_movies")) typeForMetaCheck = 'movie';
+                    const { baseListId: baseTraktListId } = parseTraktListId(currentListId);
+                     if (baseTraktListId.startsWith('trakt_recommendations_') || baseTraktListId.startsWith('trakt_trending_') || baseTraktListId.startsWith('trakt_popular_')) {
+                        if (baseTraktListId.includes("_shows")) typeForMetaCheck = 'series'; else if (baseTraktListId.includes("_movies")) typeForMetaCheck = 'movie';
                     }
-                    if (currentListId === 'trakt_watchlist') typeForMetaCheck = 'all'; // Watchlist can have mixed types
+                    if (baseTraktListId === 'trakt_watchlist') typeForMetaCheck = 'all'; // Watchlist can have mixed types
 
                     const content = await fetchListContent(currentListId, tempUserConfigForMetadata, 0, null, typeForMetaCheck);
                     sourceHasMovies = content?.hasMovies || false;
@@ -663,6 +777,9 @@ async function createAddon(userConfig) {
             const currentListId = String(listInfo.id);
             let listDataForProcessing = { ...listInfo, originalId: currentListId, source: 'trakt' }; 
             await processListForManifest(listDataForProcessing, currentListId, false, null);
+        } else if (listInfo.source === 'simkl') {
+            const currentListId = String(listInfo.id);
+            await processListForManifest({ ...listInfo, originalId: currentListId }, currentListId, false, null);
         } else if (listInfo.source === 'tmdb') {
             const currentListId = String(listInfo.id);
             
@@ -769,12 +886,13 @@ async function createAddon(userConfig) {
           try {
             const tempUserConfigForMetadata = { ...userConfig, listsMetadata: {}, rpdbApiKey: null, customMediaTypeNames: {} };
             let typeForMetaCheck = 'all';
+            const { baseListId: baseTraktListId } = parseTraktListId(currentListId);
             
-            if (currentListId.startsWith('trakt_recommendations_') || currentListId.startsWith('trakt_trending_') || currentListId.startsWith('trakt_popular_')) {
-              if (currentListId.includes("_shows")) typeForMetaCheck = 'series';
-              else if (currentListId.includes("_movies")) typeForMetaCheck = 'movie';
+            if (baseTraktListId.startsWith('trakt_recommendations_') || baseTraktListId.startsWith('trakt_trending_') || baseTraktListId.startsWith('trakt_popular_')) {
+              if (baseTraktListId.includes("_shows")) typeForMetaCheck = 'series';
+              else if (baseTraktListId.includes("_movies")) typeForMetaCheck = 'movie';
             }
-            if (currentListId === 'trakt_watchlist') typeForMetaCheck = 'all';
+            if (baseTraktListId === 'trakt_watchlist') typeForMetaCheck = 'all';
 
                  
              const lightweightMetadata = await getLightweightListMetadata(currentListId, tempUserConfigForMetadata, typeForMetaCheck);
@@ -832,16 +950,20 @@ async function createAddon(userConfig) {
         continue;
     }
 
-    const isMDBListUrlImport = !!addon.isMDBListUrlImport;
-    const isTraktPublicList = !!addon.isTraktPublicList;
+    const healthKey = getSourceHealthKey(addon);
+    if (isSourceFailingFor(healthKey, userConfig.autoHideFailingDays)) {
+      // Stremio never asks for a catalog missing from the manifest, so retry it in the background to let it come back
+      if (claimSourceProbe(healthKey)) probeHiddenSource(addon, userConfig);
+      continue;
+    }
 
-    if (isMDBListUrlImport || isTraktPublicList) {
+    if (isUrlImportedAddon(addon)) {
       let listDataForUrlImport = {
           id: addonGroupId, // The AIOLists unique ID for this imported URL list
           name: addon.name,
           hasMovies: addon.hasMovies, // From initial import scan
           hasShows: addon.hasShows,   // From initial import scan
-          source: isMDBListUrlImport ? 'mdblist_url' : 'trakt_public' // Corrected source
+          source: getUrlImportSource(addon)
       };
       await processListForManifest(listDataForUrlImport, addonGroupId, false, null);
 
@@ -865,6 +987,40 @@ async function createAddon(userConfig) {
     }
   }
   
+  for (const smartList of Object.values(userConfig.smartLists || {})) {
+    const smartListRulesType = smartList.rules?.type;
+    let smartListData = {
+        id: String(smartList.id),
+        name: smartList.name,
+        hasMovies: smartListRulesType !== 'series',
+        hasShows: smartListRulesType !== 'movie',
+        source: 'smartlist'
+    };
+    await processListForManifest(smartListData, String(smartList.id), false, null);
+  }
+
+  for (const combinedList of Object.values(userConfig.combinedLists || {})) {
+    let combinedListData = {
+        id: String(combinedList.id),
+        name: combinedList.name,
+        hasMovies: combinedList.hasMovies !== false,
+        hasShows: combinedList.hasShows !== false,
+        source: 'combinedlist'
+    };
+    await processListForManifest(combinedListData, String(combinedList.id), false, null);
+  }
+
+  for (const discoverList of Object.values(userConfig.tmdbDiscoverLists || {})) {
+    let discoverListData = {
+        id: String(discoverList.id),
+        name: discoverList.name,
+        hasMovies: discoverList.mediaType === 'movie',
+        hasShows: discoverList.mediaType === 'series',
+        source: 'tmdb_discover'
+    };
+    await processListForManifest(discoverListData, String(discoverList.id), false, null);
+  }
+  
   // Only apply custom sorting if user has explicitly reordered lists
   const hasCustomOrder = userConfig.listOrder && Array.isArray(userConfig.listOrder) && userConfig.listOrder.length > 0;
   
@@ -925,6 +1081,9 @@ async function createAddon(userConfig) {
   if (userSearchSources.includes('tmdb') && (userConfig.tmdbBearerToken || require('../config').TMDB_BEARER_TOKEN)) {
     hasValidSearchSources = true;
   }
+  if (getImportedSearchSources(userConfig).length > 0) {
+    hasValidSearchSources = true;
+  }
   
   // Only add traditional search catalogs if there are valid search sources
   if (hasValidSearchSources) {
@@ -1035,7 +1194,7 @@ async function createAddon(userConfig) {
           searchResults = await searchContent({
             query: searchQuery.trim(),
             type: 'anime', // Use anime type for anime search
-            sources: ['anime'], // Use anime source for anime search
+            sources: ['anime', ...getImportedSearchSources(userConfig)], // Kitsu plus enabled imported addons
             limit: 20,
             userConfig: userConfig
           });
@@ -1056,6 +1215,7 @@ async function createAddon(userConfig) {
           if (userSearchSources.includes('tmdb') && (userConfig.tmdbBearerToken || userConfig.tmdbSessionId)) {
             sources.push('tmdb');
           }
+          sources.push(...getImportedSearchSources(userConfig));
           
           // If no valid sources are configured, return empty results
           if (sources.length === 0) {
@@ -1172,7 +1332,7 @@ async function createAddon(userConfig) {
     }
     
     // Apply genre filtering after enrichment (since we removed it from integration layer)
-    if (genre && genre !== 'All' && metas.length > 0) {
+    if (genre && genre !== 'All' && metas.length > 0 && !isLiveContentType(type)) {
         const beforeFilterCount = metas.length;
         
         // Debug: Log genre information for external addon items
@@ -1213,13 +1373,34 @@ async function createAddon(userConfig) {
         }
     }
     
-    const cacheMaxAge = (id === 'random_mdblist_catalog' || isWatchlist(id)) ? 0 : (5 * 60);
+    let cacheMaxAge = 5 * 60;
+    if (id === 'random_mdblist_catalog' || isWatchlist(id)) {
+      cacheMaxAge = 0;
+    } else if (isTraktCalendar(id)) {
+      cacheMaxAge = TRAKT_CALENDAR_CACHE_MAX_AGE;
+    }
     const totalTime = Date.now() - catalogStartTime;
     
     return Promise.resolve({ metas, cacheMaxAge });
   });
 
   builder.defineMetaHandler(async ({ type, id }) => {
+    // Kitsu IDs come from anime lists without an IMDb/TMDB match
+    if (id.startsWith('kitsu:')) {
+      const { fetchKitsuMeta } = require('../integrations/animeLists');
+      const kitsuMeta = await fetchKitsuMeta(type, id);
+      return Promise.resolve({ meta: kitsuMeta, cacheMaxAge: kitsuMeta ? 24 * 60 * 60 : 0 });
+    }
+
+    // Ids of imported addons (mal:, custom...) are resolved by the addon they came from
+    if (!id.startsWith('tt') && !id.startsWith('tmdb:')) {
+      const { fetchExternalAddonMeta } = require('../integrations/externalAddons');
+      const externalMeta = await fetchExternalAddonMeta(type, id, userConfig);
+      if (externalMeta) {
+        return Promise.resolve({ meta: externalMeta, cacheMaxAge: 6 * 60 * 60 });
+      }
+    }
+
     // Support both IMDB IDs (tt) and TMDB IDs (tmdb:)
     if (!id.startsWith('tt') && !id.startsWith('tmdb:')) {
       return Promise.resolve({ meta: null });
@@ -1488,6 +1669,26 @@ async function createAddon(userConfig) {
     }
   });
 
+  if (userConfig.enableTrailerStreams || hasLiveStreams) {
+    builder.defineStreamHandler(async ({ type, id }) => {
+      try {
+        if (isLiveContentType(type)) {
+          const { fetchExternalAddonStreams } = require('../integrations/externalAddons');
+          const liveStreams = await fetchExternalAddonStreams(type, id, userConfig);
+          return Promise.resolve({ streams: liveStreams, cacheMaxAge: 5 * 60 });
+        }
+        if (!userConfig.enableTrailerStreams) {
+          return Promise.resolve({ streams: [] });
+        }
+        const streams = await getTrailerStreams(type, id, userConfig);
+        return Promise.resolve({ streams, cacheMaxAge: 24 * 60 * 60 });
+      } catch (error) {
+        console.error(`Error in stream handler for ${id}:`, error);
+        return Promise.resolve({ streams: [] });
+      }
+    });
+  }
+
   const endTime = Date.now();
 
   
@@ -1,6 +1,20 @@
 // src/addon/converters.js
 const { batchFetchPosters } = require('../utils/posters');
 const { enrichItemsWithMetadata } = require('../utils/metadataFetcher');
+const { isLiveContentType } = require('../utils/common');
+
+/**
+ * Format a Trakt calendar date (ISO timestamp or YYYY-MM-DD) as e.g. "Tue, Oct 21"
+ * @param {string} value - Date string
+ * @returns {string}
+ */
+function formatCalendarDate(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return value;
+  // Date-only strings are parsed as UTC midnight, so format them in UTC to keep the same day
+  const timeZone = /^\d{4}-\d{2}-\d{2}$/.test(value) ? 'UTC' : undefined;
+  return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone });
+}
 
 async function convertToStremioFormat(listContent, rpdbApiKey = null, metadataConfig = {}) {
   let metas = [];
@@ -12,12 +26,17 @@ async function convertToStremioFormat(listContent, rpdbApiKey = null, metadataCo
 
   if (listContent.allItems && Array.isArray(listContent.allItems)) {
     itemsToProcess = listContent.allItems.map(item => {
-        // Support both IMDB IDs (tt) and TMDB IDs (tmdb:)
+        // TV channels and live events are served as the source addon built them (posterShape, logo, ...)
+        if (isLiveContentType(item.type)) {
+            return item.id ? { ...item } : null;
+        }
+
+        // Support IMDB IDs (tt), TMDB IDs (tmdb:) and Kitsu IDs (kitsu:, anime without an IMDb/TMDB match)
         let itemId = item.id;
         let imdbId = item.imdb_id || item.imdbid;
         
-        // If we have a specific ID (could be tmdb: format), use it
-        if (itemId && (itemId.startsWith('tt') || itemId.startsWith('tmdb:'))) {
+        // If we have a specific ID (could be tmdb: or kitsu: format), use it
+        if (itemId && (itemId.startsWith('tt') || itemId.startsWith('tmdb:') || itemId.startsWith('kitsu:'))) {
           // ID is already in correct format
         } else {
           // Fallback to IMDB ID processing
@@ -59,6 +78,16 @@ async function convertToStremioFormat(listContent, rpdbApiKey = null, metadataCo
         if (item.type === 'series') {
             baseMeta.status = item.status;
         }
+        // "Up Next" and calendar items open straight on the next episode
+        if (item.next_episode && imdbId) {
+            const { season, number, title, first_aired } = item.next_episode;
+            const episodeLabel = `S${String(season).padStart(2, '0')}E${String(number).padStart(2, '0')}${title ? ` - ${title}` : ''}`;
+            const prefix = first_aired ? `Airs ${formatCalendarDate(first_aired)}` : 'Up next';
+            baseMeta.behaviorHints = { ...baseMeta.behaviorHints, defaultVideoId: `${imdbId}:${season}:${number}` };
+            baseMeta.description = `${prefix}: ${episodeLabel}${baseMeta.description ? `\n\n${baseMeta.description}` : ''}`;
+        } else if (item.calendar_released) {
+            baseMeta.description = `Releases ${formatCalendarDate(item.calendar_released)}${baseMeta.description ? `\n\n${baseMeta.description}` : ''}`;
+        }
         return baseMeta;
     }).filter(item => item !== null);
 
@@ -0,0 +1,135 @@
+// src/addon/listWriter.js
+const { isWritableTraktList, modifyTraktListItems } = require('../integrations/trakt');
+const { modifyListItems: modifyMDBListItems } = require('../integrations/mdblist');
+const { TMDB_BEARER_TOKEN } = require('../config');
+const { hasTraktTokenStorage } = require('../utils/remoteStorage');
+
+const LIST_ITEM_ACTIONS = ['add', 'remove'];
+const MDBLIST_WRITABLE_ID_REGEX = /^aiolists-(.+)-L$/;
+const TMDB_WRITABLE_LIST_IDS = ['tmdb_watchlist', 'tmdb_favorites'];
+
+/**
+ * Check whether a catalog ID is a list the user can add items to with their current credentials
+ * @param {string} listId - Catalog ID
+ * @param {Object} userConfig - User configuration
+ * @returns {boolean}
+ */
+function isWritableList(listId, userConfig) {
+  if (!listId) return false;
+
+  if (isWritableTraktList(listId)) {
+    return !!(userConfig.traktAccessToken || hasTraktTokenStorage(userConfig));
+  }
+  if (listId === 'aiolists-watchlist-W' || MDBLIST_WRITABLE_ID_REGEX.test(listId)) {
+    return !!userConfig.apiKey;
+  }
+  if (TMDB_WRITABLE_LIST_IDS.includes(listId) || listId.startsWith('tmdb_list_')) {
+    return !!(userConfig.tmdbSessionId && userConfig.tmdbAccountId);
+  }
+  return false;
+}
+
+/**
+ * Resolve the IDs each service needs from a Stremio item ID
+ * @param {string} id - Stremio item ID (tt..., tmdb:...)
+ * @param {string} type - 'movie' or 'series'
+ * @param {Object} userConfig - User configuration
+ * @param {boolean} needsTmdbId - Whether a TMDB ID is required (TMDB targets)
+ * @returns {Promise<Object>} { imdbId, tmdbId, type }
+ */
+async function resolveItemIds(id, type, userConfig, needsTmdbId) {
+  const parts = id.split(':');
+  const baseId = parts[0] === 'tmdb' ? `tmdb:${parts[1]}` : parts[0];
+  const item = { imdbId: null, tmdbId: null, type };
+
+  if (baseId.startsWith('tmdb:')) {
+    item.tmdbId = baseId.replace('tmdb:', '');
+  } else if (/^tt\d+$/.test(baseId)) {
+    item.imdbId = baseId;
+    if (needsTmdbId) {
+      const { convertImdbToTmdbId } = require('../integrations/tmdb');
+      const conversion = await convertImdbToTmdbId(baseId, userConfig.tmdbBearerToken || TMDB_BEARER_TOKEN);
+      if (conversion) {
+        item.tmdbId = conversion.tmdbId;
+        item.type = conversion.type;
+      }
+    }
+  }
+  return item;
+}
+
+/**
+ * Add an item to, or remove it from, a Trakt, MDBList or TMDB list
+ * @param {string} listId - Catalog ID of the target list
+ * @param {Object} userConfig - User configuration
+ * @param {string} action - 'add' or 'remove'
+ * @param {string} id - Stremio item ID (tt... or tmdb:...)
+ * @param {string} type - 'movie' or 'series'
+ * @returns {Promise<Object>} Raw response from the service
+ */
+async function modifyListItem(listId, userConfig, action, id, type) {
+  if (!LIST_ITEM_ACTIONS.includes(action)) {
+    throw new Error(`Invalid action "${action}". Must be one of: ${LIST_ITEM_ACTIONS.join(', ')}`);
+  }
+  if (type !== 'movie' && type !== 'series') {
+    throw new Error('Type must be "movie" or "series"');
+  }
+  if (!isWritableList(listId, userConfig)) {
+    throw new Error(`List ${listId} cannot be modified with the current configuration`);
+  }
+
+  const isTmdbTarget = listId.startsWith('tmdb_');
+  const item = await resolveItemIds(id, type, userConfig, isTmdbTarget);
+  if (!item.imdbId && !item.tmdbId) {
+    throw new Error(`Unsupported item ID: ${id}`);
+  }
+
+  let result;
+  if (listId.startsWith('trakt_')) {
+    result = await modifyTraktListItems(listId, userConfig, action, item);
+  } else if (listId.startsWith('aiolists-')) {
+    const mdbListId = listId === 'aiolists-watchlist-W' ? 'watchlist' : listId.match(MDBLIST_WRITABLE_ID_REGEX)[1];
+    result = await modifyMDBListItems(mdbListId, userConfig.apiKey, action, item);
+  } else {
+    const { modifyTmdbListItems } = require('../integrations/tmdb');
+    result = await modifyTmdbListItems(listId, userConfig, action, item);
+  }
+
+  const { clearVirtualListCache } = require('./virtualLists');
+  clearVirtualListCache();
+
+  return result;
+}
+
+/**
+ * Build meta `links` that add the item to each writable list in the manifest
+ * @param {Array} catalogs - Manifest catalogs (provides list IDs and display names)
+ * @param {Object} userConfig - User configuration
+ * @param {string} baseUrl - Public addon URL including the config hash
+ * @param {string} id - Stremio item ID
+ * @param {string} type - 'movie' or 'series'
+ * @returns {Array} Stremio link objects
+ */
+function buildListEditLinks(catalogs, userConfig, baseUrl, id, type) {
+  if (type !== 'movie' && type !== 'series') return [];
+
+  const seen = new Set();
+  return (catalogs || [])
+    .filter(catalog => {
+      if (seen.has(catalog.id) || !isWritableList(catalog.id, userConfig)) return false;
+      seen.add(catalog.id);
+      return true;
+    })
+    .map(catalog => ({
+      name: `Add to ${catalog.name}`,
+      category: 'AIOLists',
+      url: `${baseUrl}/lists/${encodeURIComponent(catalog.id)}/items?action=add&type=${type}&id=${encodeURIComponent(id)}`
+    }));
+}
+
+module.exports = {
+  LIST_ITEM_ACTIONS,
+  isWritableList,
+  modifyListItem,
+  buildListEditLinks
+};
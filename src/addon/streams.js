@@ -0,0 +1,125 @@
+// src/addon/streams.js
+const axios = require('axios');
+const Cache = require('../utils/cache');
+const { TMDB_BEARER_TOKEN } = require('../config');
+
+const CINEMETA_BASE = 'https://v3-cinemeta.strem.io';
+const TRAILER_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+const trailerCache = new Cache({ defaultTTL: TRAILER_CACHE_TTL });
+
+/**
+ * Strip the ":season:episode" suffix Stremio appends to series stream requests
+ * @param {string} id - Stream request ID (e.g. "tt0944947:1:2" or "tmdb:1399")
+ * @returns {string} Base item ID
+ */
+function getBaseItemId(id) {
+  if (!id) return id;
+  if (id.startsWith('tmdb:')) {
+    return id.split(':').slice(0, 2).join(':');
+  }
+  return id.split(':')[0];
+}
+
+/**
+ * Fetch trailer entries ({ title, ytId }) for an item from TMDB
+ * @param {string} baseId - IMDb or tmdb: ID
+ * @param {string} type - 'movie' or 'series'
+ * @param {Object} userConfig - User configuration
+ * @returns {Promise<Array>} Trailer entries
+ */
+async function fetchTmdbTrailers(baseId, type, userConfig) {
+  const tmdbBearerToken = userConfig.tmdbBearerToken || TMDB_BEARER_TOKEN;
+  if (!tmdbBearerToken) return [];
+
+  const { convertImdbToTmdbId, fetchTmdbMetadata } = require('../integrations/tmdb');
+
+  let tmdbId = null;
+  let tmdbType = type;
+  if (baseId.startsWith('tmdb:')) {
+    tmdbId = baseId.replace('tmdb:', '');
+  } else {
+    const conversion = await convertImdbToTmdbId(baseId, tmdbBearerToken);
+    if (conversion) {
+      tmdbId = conversion.tmdbId;
+      tmdbType = conversion.type;
+    }
+  }
+  if (!tmdbId) return [];
+
+  const meta = await fetchTmdbMetadata(tmdbId, tmdbType, userConfig.tmdbLanguage || 'en-US', tmdbBearerToken);
+  return meta?.trailerStreams || [];
+}
+
+/**
+ * Fetch trailer entries ({ title, ytId }) for an IMDb item from Cinemeta
+ * @param {string} imdbId - IMDb ID
+ * @param {string} type - 'movie' or 'series'
+ * @returns {Promise<Array>} Trailer entries
+ */
+async function fetchCinemetaTrailers(imdbId, type) {
+  const response = await axios.get(`${CINEMETA_BASE}/meta/${type}/${imdbId}.json`, { timeout: 5000 });
+  const meta = response.data?.meta;
+  if (!meta) return [];
+
+  if (Array.isArray(meta.trailerStreams) && meta.trailerStreams.length > 0) {
+    return meta.trailerStreams;
+  }
+  return (meta.trailers || [])
+    .filter(trailer => trailer.source && (!trailer.type || trailer.type === 'Trailer'))
+    .map(trailer => ({ title: meta.name, ytId: trailer.source }));
+}
+
+/**
+ * Get YouTube trailer streams for a movie or series
+ * @param {string} type - Content type
+ * @param {string} id - Stream request ID (tt or tmdb:, optionally with season/episode)
+ * @param {Object} userConfig - User configuration
+ * @returns {Promise<Array>} Stremio stream objects
+ */
+async function getTrailerStreams(type, id, userConfig) {
+  if (type !== 'movie' && type !== 'series') return [];
+
+  const baseId = getBaseItemId(id);
+  if (!baseId || (!baseId.startsWith('tt') && !baseId.startsWith('tmdb:'))) return [];
+
+  const cacheKey = `trailers_${type}_${baseId}_${userConfig.tmdbLanguage || 'en-US'}`;
+  const cached = trailerCache.get(cacheKey);
+  if (cached) return cached;
+
+  let trailers = [];
+  try {
+    trailers = await fetchTmdbTrailers(baseId, type, userConfig);
+  } catch (error) {
+    console.error(`[Trailers] TMDB trailer lookup failed for ${baseId}:`, error.message);
+  }
+
+  if (trailers.length === 0 && baseId.startsWith('tt')) {
+    try {
+      trailers = await fetchCinemetaTrailers(baseId, type);
+    } catch (error) {
+      console.error(`[Trailers] Cinemeta trailer lookup failed for ${baseId}:`, error.message);
+    }
+  }
+
+  const seen = new Set();
+  const uniqueTrailers = trailers.filter(trailer => {
+    if (!trailer.ytId || seen.has(trailer.ytId)) return false;
+    seen.add(trailer.ytId);
+    return true;
+  });
+
+  const streams = uniqueTrailers.map((trailer, index) => {
+    const label = uniqueTrailers.length > 1 ? `Trailer ${index + 1}` : 'Trailer';
+    return {
+      ytId: trailer.ytId,
+      name: 'AIOLists',
+      title: trailer.title ? `${label} - ${trailer.title}` : label
+    };
+  });
+
+  trailerCache.set(cacheKey, streams);
+  return streams;
+}
+
+module.exports = { getTrailerStreams };
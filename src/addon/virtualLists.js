@@ -0,0 +1,481 @@
+// src/addon/virtualLists.js
+const crypto = require('crypto');
+const Cache = require('../utils/cache');
+const { ITEMS_PER_PAGE } = require('../config');
+
+// Resolved virtual lists are expensive (several upstream lists + metadata), so keep them around for a while
+const virtualListCache = new Cache({ defaultTTL: 15 * 60 * 1000 });
+
+const SMART_LIST_PREFIX = 'smartlist_';
+const COMBINED_LIST_PREFIX = 'combinedlist_';
+const COMBINED_LIST_OPERATIONS = ['union', 'intersection', 'difference'];
+const DEFAULT_MAX_ITEMS_PER_SOURCE = 200;
+const ABSOLUTE_MAX_ITEMS_PER_SOURCE = 1000;
+
+/**
+ * Check if a list ID belongs to a virtual (AIOLists-side) list
+ * @param {string} listId - List ID to check
+ * @returns {boolean}
+ */
+function isVirtualListId(listId) {
+  const idStr = String(listId || '');
+  return idStr.startsWith(SMART_LIST_PREFIX) || idStr.startsWith(COMBINED_LIST_PREFIX);
+}
+
+/**
+ * Generate a new unique ID for a smart list
+ * @returns {string} Smart list ID
+ */
+function generateSmartListId() {
+  return `${SMART_LIST_PREFIX}${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Generate a new unique ID for a combined list
+ * @returns {string} Combined list ID
+ */
+function generateCombinedListId() {
+  return `${COMBINED_LIST_PREFIX}${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Get every identity key known for an item (IMDb and TMDB), so items coming
+ * from sources that only know one of the two IDs can still be matched
+ * @param {Object} item - List item
+ * @returns {string[]} Identity keys, most reliable first
+ */
+function getItemKeys(item) {
+  if (!item) return [];
+  const keys = [];
+  const idStr = String(item.id || '');
+  const imdbId = item.imdb_id || (idStr.startsWith('tt') ? idStr : null);
+  if (imdbId) keys.push(String(imdbId).split(':')[0]);
+
+  const tmdbId = item.tmdb_id || (idStr.startsWith('tmdb:') ? idStr.replace('tmdb:', '') : null);
+  if (tmdbId) keys.push(`tmdb:${item.type === 'series' ? 'series' : 'movie'}:${tmdbId}`);
+
+  if (keys.length === 0 && idStr) keys.push(idStr);
+  return keys;
+}
+
+/**
+ * Get a stable identity key for an item, preferring IMDb IDs over TMDB IDs
+ * @param {Object} item - List item
+ * @returns {string|null} Identity key
+ */
+function getItemKey(item) {
+  return getItemKeys(item)[0] || null;
+}
+
+/**
+ * Build a cache key that is scoped to the credentials used to resolve the list,
+ * so shared configs with the same virtual list never see each other's items
+ * @param {string} listId - Virtual list ID
+ * @param {Object} definition - Virtual list definition
+ * @param {Object} userConfig - User configuration
+ * @param {Object} extra - Additional values that affect the result
+ * @returns {string} Cache key
+ */
+function getVirtualListCacheKey(listId, definition, userConfig, extra = {}) {
+  const scope = JSON.stringify({
+    definition,
+    extra,
+    apiKey: userConfig.apiKey || null,
+    traktUser: userConfig.traktUsername || userConfig.traktUuid || null,
+    tmdbAccount: userConfig.tmdbAccountId || null,
+    importedAddons: Object.keys(userConfig.importedAddons || {}),
+    hideWatchedLists: userConfig.hideWatchedLists || []
+  });
+  return `${listId}_${crypto.createHash('sha1').update(scope).digest('hex')}`;
+}
+
+/**
+ * Page through an existing list via fetchListContent and collect its raw items
+ * @param {string} listId - Manifest list ID of the source list
+ * @param {Object} userConfig - User configuration
+ * @param {number} maxItems - Maximum number of items to collect
+ * @returns {Promise<Array>} Collected (deduplicated) items
+ * @throws {Error} When the first page can't be fetched, so a failing source isn't mistaken for an empty one
+ */
+async function collectListItems(listId, userConfig, maxItems = DEFAULT_MAX_ITEMS_PER_SOURCE) {
+  // Required lazily to avoid a circular import with addonBuilder
+  const { fetchListContent } = require('./addonBuilder');
+
+  const sourceConfig = { ...userConfig, rpdbApiKey: null, metadataSource: 'none' };
+  const collected = [];
+  const seenKeys = new Set();
+  let skip = 0;
+
+  while (collected.length < maxItems) {
+    const page = await fetchListContent(listId, sourceConfig, skip, null, 'all');
+    if (!page && skip === 0) {
+      throw new Error(`Could not fetch list ${listId}`);
+    }
+    const pageItems = page?.allItems || [];
+    if (pageItems.length === 0) break;
+
+    let addedFromPage = 0;
+    for (const item of pageItems) {
+      const key = getItemKey(item);
+      if (!key || seenKeys.has(key)) continue;
+      seenKeys.add(key);
+      collected.push(item);
+      addedFromPage++;
+    }
+
+    // Some sources ignore skip and keep returning the same page
+    if (addedFromPage === 0) break;
+    skip += pageItems.length;
+  }
+
+  return collected.slice(0, maxItems);
+}
+
+function getItemYear(item) {
+  const candidates = [item.year, item.release_year, item.releaseInfo, item.released, item.release_date, item.first_air_date];
+  for (const candidate of candidates) {
+    const match = candidate ? String(candidate).match(/\d{4}/) : null;
+    if (match) return parseInt(match[0], 10);
+  }
+  return null;
+}
+
+function getItemRating(item) {
+  const rating = parseFloat(item.imdbRating ?? item.imdbrating ?? item.rating);
+  return isNaN(rating) ? null : rating;
+}
+
+function getItemGenres(item) {
+  const genres = item.genres || item.genre || [];
+  return (Array.isArray(genres) ? genres : [genres])
+    .map(g => (typeof g === 'object' && g !== null ? g.name : g))
+    .filter(Boolean)
+    .map(g => String(g).toLowerCase());
+}
+
+function getItemRuntime(item) {
+  const runtime = parseInt(String(item.runtime || '').replace(/[^\d]/g, ''), 10);
+  return isNaN(runtime) ? null : runtime;
+}
+
+/**
+ * Normalize and validate smart list rules coming from the API
+ * @param {Object} rules - Raw rules
+ * @returns {Object} Sanitized rules
+ */
+function sanitizeSmartListRules(rules = {}) {
+  const toGenreList = value => (Array.isArray(value) ? value : [])
+    .filter(g => typeof g === 'string' && g.trim())
+    .map(g => g.trim());
+  const toYear = value => {
+    const year = parseInt(value, 10);
+    return isNaN(year) ? null : year;
+  };
+  const minRating = parseFloat(rules.minRating);
+
+  return {
+    type: ['movie', 'series'].includes(rules.type) ? rules.type : 'all',
+    genres: toGenreList(rules.genres),
+    excludeGenres: toGenreList(rules.excludeGenres),
+    yearFrom: toYear(rules.yearFrom),
+    yearTo: toYear(rules.yearTo),
+    minRating: isNaN(minRating) ? null : Math.min(Math.max(minRating, 0), 10),
+    unwatched: rules.unwatched === true
+  };
+}
+
+function needsMetadataForRules(item, rules) {
+  if ((rules.genres.length > 0 || rules.excludeGenres.length > 0) && getItemGenres(item).length === 0) return true;
+  if ((rules.yearFrom || rules.yearTo) && getItemYear(item) === null) return true;
+  if (rules.minRating !== null && getItemRating(item) === null) return true;
+  return false;
+}
+
+/**
+ * Check an item against smart list rules
+ * @param {Object} item - List item (preferably enriched)
+ * @param {Object} rules - Sanitized smart list rules
+ * @returns {boolean} Whether the item matches every rule
+ */
+function matchesSmartListRules(item, rules) {
+  if (rules.type !== 'all' && item.type !== rules.type) return false;
+
+  if (rules.genres.length > 0 || rules.excludeGenres.length > 0) {
+    const itemGenres = getItemGenres(item);
+    if (rules.genres.length > 0 && !rules.genres.some(g => itemGenres.includes(g.toLowerCase()))) return false;
+    if (rules.excludeGenres.some(g => itemGenres.includes(g.toLowerCase()))) return false;
+  }
+
+  if (rules.yearFrom || rules.yearTo) {
+    const year = getItemYear(item);
+    if (year === null) return false;
+    if (rules.yearFrom && year < rules.yearFrom) return false;
+    if (rules.yearTo && year > rules.yearTo) return false;
+  }
+
+  if (rules.minRating !== null) {
+    const rating = getItemRating(item);
+    if (rating === null || rating < rules.minRating) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Sort resolved virtual list items
+ * @param {Array} items - Items to sort
+ * @param {string} sort - Sort field ('default', 'title', 'released', 'imdbrating', 'runtime', 'random')
+ * @param {string} order - Sort order ('asc' or 'desc')
+ * @returns {Array} Sorted copy of the items
+ */
+function sortVirtualListItems(items, sort = 'default', order = 'desc') {
+  const sorted = [...items];
+  if (sort === 'random') {
+    for (let i = sorted.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [sorted[i], sorted[j]] = [sorted[j], sorted[i]];
+    }
+    return sorted;
+  }
+
+  const valueGetters = {
+    title: item => String(item.name || item.title || '').toLowerCase(),
+    released: item => getItemYear(item),
+    imdbrating: item => getItemRating(item),
+    runtime: item => getItemRuntime(item)
+  };
+  const getValue = valueGetters[sort];
+  // 'default' keeps the order in which the sources returned the items
+  if (!getValue) return sorted;
+
+  const direction = order === 'asc' ? 1 : -1;
+  return sorted.sort((a, b) => {
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+    if (valueA === null && valueB === null) return 0;
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    if (typeof valueA === 'string') return valueA.localeCompare(valueB) * direction;
+    return (valueA - valueB) * direction;
+  });
+}
+
+/**
+ * Slice a fully resolved virtual list into a Stremio page
+ * @param {Array} items - All items of the virtual list
+ * @param {number} skip - Number of items to skip
+ * @param {string} genre - Genre filter
+ * @param {string} stremioCatalogType - Requested catalog type
+ * @returns {Object} Items result in the standard { allItems, hasMovies, hasShows } shape
+ */
+function paginateVirtualListItems(items, skip = 0, genre = null, stremioCatalogType = 'all') {
+  const hasMovies = items.some(item => item.type === 'movie');
+  const hasShows = items.some(item => item.type === 'series');
+
+  let pageSource = items;
+  if (stremioCatalogType === 'movie' || stremioCatalogType === 'series') {
+    pageSource = pageSource.filter(item => item.type === stremioCatalogType);
+  }
+  if (genre && genre !== 'All') {
+    const genreLower = String(genre).toLowerCase();
+    pageSource = pageSource.filter(item => getItemGenres(item).includes(genreLower));
+  }
+
+  return {
+    allItems: pageSource.slice(skip, skip + ITEMS_PER_PAGE),
+    hasMovies,
+    hasShows
+  };
+}
+
+/**
+ * Resolve a smart list by pulling items from its sources and applying its rules
+ * @param {string} listId - Smart list ID
+ * @param {Object} definition - Smart list definition ({ name, sources, rules, maxItemsPerSource })
+ * @param {Object} userConfig - User configuration
+ * @param {number} skip - Number of items to skip
+ * @param {string} sort - Sort field
+ * @param {string} order - Sort order
+ * @param {string} genre - Genre filter
+ * @param {string} stremioCatalogType - Requested catalog type
+ * @returns {Promise<Object|null>} Items result or null if the list can't be resolved
+ */
+async function fetchSmartListItems(listId, definition, userConfig, skip = 0, sort = 'default', order = 'desc', genre = null, stremioCatalogType = 'all') {
+  if (!definition || !Array.isArray(definition.sources) || definition.sources.length === 0) return null;
+
+  const rules = sanitizeSmartListRules(definition.rules);
+  const cacheKey = getVirtualListCacheKey(listId, definition, userConfig, { sort, order });
+  let resolvedItems = virtualListCache.get(cacheKey);
+
+  if (!resolvedItems) {
+    const startTime = Date.now();
+    const maxItemsPerSource = Math.min(parseInt(definition.maxItemsPerSource) || DEFAULT_MAX_ITEMS_PER_SOURCE, ABSOLUTE_MAX_ITEMS_PER_SOURCE);
+    const sourceIds = definition.sources.map(String).filter(sourceId => !isVirtualListId(sourceId));
+
+    const sourceResults = await Promise.allSettled(
+      sourceIds.map(sourceId => collectListItems(sourceId, userConfig, maxItemsPerSource))
+    );
+
+    const candidates = [];
+    const seenKeys = new Set();
+    sourceResults.forEach((result, index) => {
+      if (result.status !== 'fulfilled') {
+        console.error(`[SmartLists] Failed to collect items from ${sourceIds[index]} for ${listId}:`, result.reason?.message);
+        return;
+      }
+      for (const item of result.value) {
+        const key = getItemKey(item);
+        if (!key || seenKeys.has(key)) continue;
+        seenKeys.add(key);
+        candidates.push(item);
+      }
+    });
+
+    // Cheap type check first so we don't fetch metadata for items that can't match anyway
+    let filteredCandidates = candidates.filter(item => rules.type === 'all' || item.type === rules.type);
+
+    if (rules.unwatched) {
+      const { fetchTraktWatchedKeys } = require('../integrations/trakt');
+      const watchedKeys = await fetchTraktWatchedKeys(userConfig);
+      if (watchedKeys) {
+        filteredCandidates = filteredCandidates.filter(item => !getItemKeys(item).some(key => watchedKeys.has(key)));
+      } else {
+        console.warn(`[SmartLists] ${listId} has the unwatched rule but Trakt is not available, skipping it`);
+      }
+    }
+
+    const itemsNeedingMetadata = filteredCandidates.filter(item => needsMetadataForRules(item, rules));
+    if (itemsNeedingMetadata.length > 0) {
+      const { enrichItemsWithMetadata } = require('../utils/metadataFetcher');
+      const enrichedItems = await enrichItemsWithMetadata(itemsNeedingMetadata, 'cinemeta');
+      const enrichedByKey = new Map(enrichedItems.map(item => [getItemKey(item), item]));
+      filteredCandidates = filteredCandidates.map(item => enrichedByKey.get(getItemKey(item)) || item);
+    }
+
+    resolvedItems = sortVirtualListItems(
+      filteredCandidates.filter(item => matchesSmartListRules(item, rules)),
+      sort,
+      order
+    );
+    virtualListCache.set(cacheKey, resolvedItems);
+    console.log(`[SmartLists] Resolved ${listId} from ${sourceIds.length} sources: ${resolvedItems.length}/${candidates.length} items matched in ${Date.now() - startTime}ms`);
+  }
+
+  return paginateVirtualListItems(resolvedItems, skip, genre, stremioCatalogType);
+}
+
+/**
+ * Combine the items of several lists with a set operation. Order follows the
+ * first list (and then the following lists for unions).
+ * @param {Array<Array>} itemLists - Items per source, in source order
+ * @param {string} operation - 'union', 'intersection' or 'difference'
+ * @returns {Array} Combined items
+ */
+function combineItemLists(itemLists, operation) {
+  const keySets = itemLists.map(items => {
+    const keys = new Set();
+    items.forEach(item => getItemKeys(item).forEach(key => keys.add(key)));
+    return keys;
+  });
+  const isInSet = (item, keySet) => getItemKeys(item).some(key => keySet.has(key));
+
+  const combined = [];
+  const seenKeys = new Set();
+  const pushUnique = item => {
+    const keys = getItemKeys(item);
+    if (keys.length === 0 || keys.some(key => seenKeys.has(key))) return;
+    keys.forEach(key => seenKeys.add(key));
+    combined.push(item);
+  };
+
+  const [firstItems = [], ...otherItemLists] = itemLists;
+  const [, ...otherKeySets] = keySets;
+
+  if (operation === 'intersection') {
+    firstItems.filter(item => otherKeySets.every(keySet => isInSet(item, keySet))).forEach(pushUnique);
+  } else if (operation === 'difference') {
+    firstItems.filter(item => !otherKeySets.some(keySet => isInSet(item, keySet))).forEach(pushUnique);
+  } else {
+    [firstItems, ...otherItemLists].forEach(items => items.forEach(pushUnique));
+  }
+
+  return combined;
+}
+
+/**
+ * Resolve a combined list by applying a set operation to two or more lists
+ * @param {string} listId - Combined list ID
+ * @param {Object} definition - Combined list definition ({ name, operation, sources, maxItemsPerSource })
+ * @param {Object} userConfig - User configuration
+ * @param {number} skip - Number of items to skip
+ * @param {string} sort - Sort field
+ * @param {string} order - Sort order
+ * @param {string} genre - Genre filter
+ * @param {string} stremioCatalogType - Requested catalog type
+ * @returns {Promise<Object|null>} Items result or null if the list can't be resolved
+ */
+async function fetchCombinedListItems(listId, definition, userConfig, skip = 0, sort = 'default', order = 'desc', genre = null, stremioCatalogType = 'all') {
+  if (!definition || !Array.isArray(definition.sources) || definition.sources.length < 2) return null;
+  if (!COMBINED_LIST_OPERATIONS.includes(definition.operation)) return null;
+
+  const cacheKey = getVirtualListCacheKey(listId, definition, userConfig, { sort, order });
+  let resolvedItems = virtualListCache.get(cacheKey);
+
+  if (!resolvedItems) {
+    const startTime = Date.now();
+    const maxItemsPerSource = Math.min(parseInt(definition.maxItemsPerSource) || DEFAULT_MAX_ITEMS_PER_SOURCE, ABSOLUTE_MAX_ITEMS_PER_SOURCE);
+    // Combined lists may use smart lists as input, but not other combined lists
+    const sourceIds = definition.sources.map(String).filter(sourceId => !sourceId.startsWith(COMBINED_LIST_PREFIX));
+
+    const sourceResults = await Promise.allSettled(
+      sourceIds.map(sourceId => collectListItems(sourceId, userConfig, maxItemsPerSource))
+    );
+
+    const itemLists = sourceResults.map((result, index) => {
+      if (result.status !== 'fulfilled') {
+        console.error(`[CombinedLists] Failed to collect items from ${sourceIds[index]} for ${listId}:`, result.reason?.message);
+        return [];
+      }
+      return result.value;
+    });
+
+    // Any failed source makes an intersection empty or a difference subtract nothing,
+    // so those are left unresolved (and uncached) until every source answers again
+    if (definition.operation !== 'union' && sourceResults.some(result => result.status !== 'fulfilled')) {
+      return null;
+    }
+
+    resolvedItems = sortVirtualListItems(combineItemLists(itemLists, definition.operation), sort, order);
+    virtualListCache.set(cacheKey, resolvedItems);
+    console.log(`[CombinedLists] Resolved ${listId} (${definition.operation} of ${sourceIds.length} lists): ${resolvedItems.length} items in ${Date.now() - startTime}ms`);
+  }
+
+  return paginateVirtualListItems(resolvedItems, skip, genre, stremioCatalogType);
+}
+
+/**
+ * Clear all resolved virtual lists (e.g. after a definition changes)
+ */
+function clearVirtualListCache() {
+  virtualListCache.clear();
+}
+
+module.exports = {
+  SMART_LIST_PREFIX,
+  COMBINED_LIST_PREFIX,
+  COMBINED_LIST_OPERATIONS,
+  isVirtualListId,
+  generateSmartListId,
+  generateCombinedListId,
+  getItemKey,
+  getItemKeys,
+  collectListItems,
+  sanitizeSmartListRules,
+  matchesSmartListRules,
+  sortVirtualListItems,
+  paginateVirtualListItems,
+  fetchSmartListItems,
+  combineItemLists,
+  fetchCombinedListItems,
+  clearVirtualListCache
+};
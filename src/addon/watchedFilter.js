@@ -0,0 +1,117 @@
+// src/addon/watchedFilter.js
+const crypto = require('crypto');
+const Cache = require('../utils/cache');
+const { ITEMS_PER_PAGE } = require('../config');
+const { fetchTraktWatchedKeys, getTraktConfigForList } = require('../integrations/trakt');
+const { getItemKeys } = require('./virtualLists');
+const { hasTraktTokenStorage } = require('../utils/remoteStorage');
+
+// Safety cap on how many source pages we walk to fill a page of unwatched items
+const MAX_SOURCE_PAGES_PER_REQUEST = 10;
+
+// Remembers how far into each source we've scanned so deeper pages don't restart from zero
+const unwatchedScanCache = new Cache({ defaultTTL: 5 * 60 * 1000 });
+
+/**
+ * Check whether watched items should be hidden for a catalog
+ * @param {string} listId - Catalog ID
+ * @param {Object} userConfig - User configuration
+ * @returns {boolean}
+ */
+function shouldHideWatched(listId, userConfig) {
+  if (!Array.isArray(userConfig.hideWatchedLists) || !userConfig.hideWatchedLists.includes(String(listId))) {
+    return false;
+  }
+  return !!(userConfig.traktAccessToken || hasTraktTokenStorage(userConfig));
+}
+
+function isWatched(item, watchedKeys) {
+  return getItemKeys(item).some(key => watchedKeys.has(key));
+}
+
+function getScanCacheKey(listId, userConfig, genre, stremioCatalogType) {
+  const payload = JSON.stringify({
+    listId,
+    genre: genre || null,
+    type: stremioCatalogType,
+    sort: userConfig.sortPreferences || {},
+    trakt: userConfig.traktUuid || userConfig.traktUsername || userConfig.traktAccessToken || null
+  });
+  return crypto.createHash('sha1').update(payload).digest('hex');
+}
+
+/**
+ * Fetch a page of a catalog with everything the user has watched on Trakt removed.
+ * Stremio pages by the number of items it has already received, so the source is walked
+ * from the start and the filtered stream is paginated, not the source pages.
+ * @param {string} listId - Catalog ID
+ * @param {Object} userConfig - User configuration
+ * @param {number} skip - Number of (unwatched) items to skip
+ * @param {string|null} genre - Genre filter
+ * @param {string} stremioCatalogType - Catalog type
+ * @returns {Promise<Object|null>} { allItems, hasMovies, hasShows }
+ */
+async function fetchUnwatchedListContent(listId, userConfig, skip = 0, genre = null, stremioCatalogType = 'all') {
+  const { fetchListContent } = require('./addonBuilder');
+  const sourceConfig = { ...userConfig, hideWatchedLists: [] };
+
+  // A list from an extra Trakt account hides what that account has watched
+  const watchedKeys = await fetchTraktWatchedKeys(getTraktConfigForList(listId, userConfig));
+  if (!watchedKeys) {
+    return fetchListContent(listId, sourceConfig, skip, genre, stremioCatalogType);
+  }
+
+  const cacheKey = getScanCacheKey(listId, userConfig, genre, stremioCatalogType);
+  const scan = unwatchedScanCache.get(cacheKey) || {
+    items: [], sourceSkip: 0, exhausted: false, seenKeys: new Set(), hasMovies: false, hasShows: false
+  };
+
+  let pagesFetched = 0;
+  let visibleItems = scan.items.filter(item => !isWatched(item, watchedKeys));
+
+  while (!scan.exhausted && visibleItems.length < skip + ITEMS_PER_PAGE && pagesFetched < MAX_SOURCE_PAGES_PER_REQUEST) {
+    const page = await fetchListContent(listId, sourceConfig, scan.sourceSkip, genre, stremioCatalogType);
+    pagesFetched++;
+
+    if (!page || !Array.isArray(page.allItems) || page.allItems.length === 0) {
+      scan.exhausted = true;
+      break;
+    }
+
+    scan.hasMovies = scan.hasMovies || !!page.hasMovies;
+    scan.hasShows = scan.hasShows || !!page.hasShows;
+    scan.sourceSkip += page.allItems.length;
+
+    let newItems = 0;
+    page.allItems.forEach(item => {
+      const key = getItemKeys(item)[0];
+      if (key && scan.seenKeys.has(key)) return;
+      if (key) scan.seenKeys.add(key);
+      scan.items.push(item);
+      newItems++;
+    });
+
+    // Sources that ignore skip keep returning the same page
+    if (newItems === 0) {
+      scan.exhausted = true;
+    }
+
+    visibleItems = scan.items.filter(item => !isWatched(item, watchedKeys));
+  }
+
+  unwatchedScanCache.set(cacheKey, scan);
+
+  const pageItems = visibleItems.slice(skip, skip + ITEMS_PER_PAGE);
+  console.log(`[WatchedFilter] ${listId}: ${scan.items.length - visibleItems.length} watched items hidden, serving ${pageItems.length} (skip ${skip})`);
+
+  return {
+    allItems: pageItems,
+    hasMovies: scan.hasMovies,
+    hasShows: scan.hasShows
+  };
+}
+
+module.exports = {
+  shouldHideWatched,
+  fetchUnwatchedListContent
+};
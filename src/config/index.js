@@ -15,10 +15,33 @@ const ENABLE_MANIFEST_CACHE = true; // Cache manifest to avoid repeated processi
 // Environment variable configuration with defaults
 const TRAKT_CLIENT_ID = process.env.TRAKT_CLIENT_ID || '490414ec03fe9a33b2d0c16d58261ebbbd9cf0eee23f213fa0e3eb1d6126d05c';
 const TRAKT_REDIRECT_URI = process.env.TRAKT_REDIRECT_URI || 'urn:ietf:wg:oauth:2.0:oob';
+// Trakt's device-code token endpoint needs the app's secret, so "Connect with a code" only shows when it's set.
+// It's also sent with token exchanges and refreshes, which Trakt rejects without it for apps that have one.
+const TRAKT_CLIENT_SECRET = process.env.TRAKT_CLIENT_SECRET || '';
+// Simkl has no shared default client; the integration stays hidden until this is set
+const SIMKL_CLIENT_ID = process.env.SIMKL_CLIENT_ID || '';
 const TMDB_REDIRECT_URI = process.env.TMDB_REDIRECT_URI || '';
 const TMDB_BEARER_TOKEN = process.env.TMDB_BEARER_TOKEN || '';
 const CUSTOM_HTML_BLURB = process.env.CUSTOM_HTML_BLURB || '';
 
+// Optional persistent config store ('file' or 'upstash'). When unset, the whole config lives in the URL hash.
+const CONFIG_STORE = (process.env.CONFIG_STORE || '').toLowerCase();
+const CONFIG_STORE_PATH = process.env.CONFIG_STORE_PATH || '';
+const CONFIG_STORE_SECRET = process.env.CONFIG_STORE_SECRET || '';
+const UPSTASH_REDIS_REST_URL = process.env.UPSTASH_REDIS_REST_URL || '';
+const UPSTASH_REDIS_REST_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN || '';
+
+// Optional server-side Trakt token vault ('file' or 'upstash') so tokens refresh without users bringing their own Upstash.
+// The upstash backend reuses UPSTASH_REDIS_REST_URL/TOKEN.
+const TOKEN_VAULT = (process.env.TOKEN_VAULT || '').toLowerCase();
+const TOKEN_VAULT_PATH = process.env.TOKEN_VAULT_PATH || '';
+
+// Server-side secret used to encrypt credentials inside config hashes (AES-256-GCM). Optional.
+const CONFIG_ENCRYPTION_KEY = process.env.CONFIG_ENCRYPTION_KEY || '';
+
+// How often (hours) manifest builds check imported addons for upstream catalog changes. 0 or unset disables the check.
+const ADDON_UPDATE_CHECK_HOURS = Number(process.env.ADDON_UPDATE_CHECK_HOURS) || 0;
+
 const staticGenres = [
   "All","Action", "Adventure", "Animation", "Anime", "Biography", "Comedy", "Crime",
   "Documentary", "Drama", "Family", "Fantasy", "History", "Horror",
@@ -39,18 +62,30 @@ const defaultConfig = {
   traktRefreshToken: '',
   traktExpiresAt: null,
   traktUsername: '',
+  traktAccounts: {},
+  simklAccessToken: '',
+  simklUsername: '',
   listOrder: [],
   lastUpdated: null,
   listsMetadata: {},
   hiddenLists: [],
   removedLists: [],
+  hideWatchedLists: [],
   customListNames: {},
   mergedLists: {},
   customMediaTypeNames: {},
   importedAddons: {},
+  smartLists: {},
+  combinedLists: {},
+  tmdbDiscoverLists: {},
   sortPreferences: {},
   disableGenreFilter: false,
   enableRandomListFeature: false,
+  enableTrailerStreams: false,
+  enableListEditLinks: false,
+  autoHideFailingDays: 0, // Hide imported addons and URL imports failing this many days in a row, 0 = never
+  traktCalendarDays: 7,
+  traktMinRating: 1,
   randomMDBListUsernames: ['showtime416', 'garycrawfordgc', 'linaspurinis', 'hdlists'],
   searchSources: ['cinemeta'], // Traditional movie/series search sources
   mergedSearchSources: ['tmdb'], // New merged search sources - enabled by default with TMDB
@@ -92,6 +127,31 @@ const defaultConfig = {
     { value: 'my_rating', label: 'My Trakt Rating' },
     { value: 'watched ', label: 'Watched' },
     { value: 'collected', label: 'Collected' },
+  ],
+  letterboxdSortOptions: [
+    { value: 'default', label: 'List Order' },
+    { value: 'added', label: 'Date Added' },
+    { value: 'title', label: 'Film Name' },
+    { value: 'released', label: 'Release Date' },
+    { value: 'rating', label: 'Average Rating' },
+    { value: 'popularity', label: 'Letterboxd Popularity' },
+    { value: 'runtime', label: 'Runtime' },
+    { value: 'random', label: 'Shuffle' }
+  ],
+  tmdbSortOptions: [
+    { value: 'added', label: 'Date Added' },
+    { value: 'title', label: 'Title' },
+    { value: 'released', label: 'Release Date' },
+    { value: 'rating', label: 'TMDB Rating' },
+    { value: 'popularity', label: 'TMDB Popularity' }
+  ],
+  smartListSortOptions: [
+    { value: 'default', label: 'Source Order' },
+    { value: 'title', label: 'Title' },
+    { value: 'released', label: 'Release Year' },
+    { value: 'imdbrating', label: 'IMDb Rating' },
+    { value: 'runtime', label: 'Runtime' },
+    { value: 'random', label: 'Random' }
   ]
 };
 
@@ -100,9 +160,20 @@ module.exports = {
   ITEMS_PER_PAGE,
   TRAKT_CLIENT_ID,
   TRAKT_REDIRECT_URI,
+  TRAKT_CLIENT_SECRET,
+  SIMKL_CLIENT_ID,
   TMDB_REDIRECT_URI,
   TMDB_BEARER_TOKEN,
   CUSTOM_HTML_BLURB,
+  CONFIG_STORE,
+  CONFIG_STORE_PATH,
+  CONFIG_STORE_SECRET,
+  UPSTASH_REDIS_REST_URL,
+  UPSTASH_REDIS_REST_TOKEN,
+  TOKEN_VAULT,
+  TOKEN_VAULT_PATH,
+  CONFIG_ENCRYPTION_KEY,
+  ADDON_UPDATE_CHECK_HOURS,
   PORT,
   IS_PRODUCTION,
   staticGenres,
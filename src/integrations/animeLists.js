@@ -0,0 +1,310 @@
+// src/integrations/animeLists.js
+const axios = require('axios');
+const Cache = require('../utils/cache');
+const { ITEMS_PER_PAGE } = require('../config');
+
+const ANILIST_API_URL = 'https://graphql.anilist.co';
+const MAL_BASE_URL = 'https://myanimelist.net';
+const ANIME_MAPPINGS_URL = 'https://api.ani.zip/mappings';
+// Public Kitsu Stremio addon, used for meta of anime that have no IMDb/TMDB entry
+const KITSU_ADDON_URL = 'https://anime-kitsu.strem.fun';
+const REQUEST_HEADERS = { 'Accept': 'application/json', 'User-Agent': 'AIOLists-Stremio-Addon/1.0' };
+
+const ANIME_SERVICES = {
+  anilist: { name: 'AniList' },
+  mal: { name: 'MyAnimeList' }
+};
+
+// Our status names -> each service's own status value
+const ANIME_LIST_STATUSES = {
+  watching: { label: 'Watching', anilist: 'CURRENT', mal: 1 },
+  planning: { label: 'Plan to Watch', anilist: 'PLANNING', mal: 6 },
+  completed: { label: 'Completed', anilist: 'COMPLETED', mal: 2 }
+};
+
+const MAL_PAGE_SIZE = 300;
+const MAL_MAX_PAGES = 10;
+const MAPPING_CONCURRENCY = 5;
+
+// Whole user lists, refetched every few minutes so progress changes show up
+const animeListCache = new Cache({ defaultTTL: 10 * 60 * 1000 });
+// "<service>:<id>" -> Stremio IDs. Mappings rarely change
+const animeMappingCache = new Cache({ defaultTTL: 7 * 24 * 60 * 60 * 1000 });
+const kitsuMetaCache = new Cache({ defaultTTL: 24 * 60 * 60 * 1000 });
+
+const ANILIST_LIST_QUERY = `
+  query ($userName: String, $status: MediaListStatus) {
+    MediaListCollection(userName: $userName, type: ANIME, status: $status, sort: UPDATED_TIME_DESC) {
+      lists {
+        entries {
+          media {
+            id
+            idMal
+            format
+            title { romaji english }
+            coverImage { large }
+            description(asHtml: false)
+            seasonYear
+            genres
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Map an anime format ("TV", "MOVIE", "OVA", "Movie", ...) to a Stremio type
+ * @param {string} format - AniList format or MAL media type
+ * @returns {string|null} 'movie', 'series', or null for music videos and commercials
+ */
+function mapAnimeFormat(format) {
+  const normalized = String(format || '').trim().toUpperCase();
+  if (['MUSIC', 'CM', 'PV'].includes(normalized)) return null;
+  return normalized === 'MOVIE' ? 'movie' : 'series';
+}
+
+/**
+ * Parse an AniList or MyAnimeList anime list URL
+ * @param {string} url - e.g. https://anilist.co/user/Name/animelist/Watching or https://myanimelist.net/animelist/Name?status=6
+ * @returns {Object|null} { service, username, status }
+ */
+function parseAnimeListUrl(url) {
+  if (!url) return null;
+
+  const anilistMatch = url.match(/anilist\.co\/user\/([\w-]+)\/animelist(?:\/([\w% -]+))?/i);
+  if (anilistMatch) {
+    const section = decodeURIComponent(anilistMatch[2] || '').toLowerCase().replace(/\s+/g, '');
+    const status = section === 'planning' || section === 'plantowatch' ? 'planning' : (section === 'completed' ? 'completed' : 'watching');
+    return { service: 'anilist', username: anilistMatch[1], status };
+  }
+
+  const malMatch = url.match(/myanimelist\.net\/animelist\/([\w-]+)(?:\?.*status=(\d+))?/i);
+  if (malMatch) {
+    const malStatus = parseInt(malMatch[2], 10);
+    const status = Object.keys(ANIME_LIST_STATUSES).find(key => ANIME_LIST_STATUSES[key].mal === malStatus) || 'watching';
+    return { service: 'mal', username: malMatch[1], status };
+  }
+
+  return null;
+}
+
+async function fetchAniListEntries(username, status) {
+  const response = await axios.post(ANILIST_API_URL, {
+    query: ANILIST_LIST_QUERY,
+    variables: { userName: username, status: ANIME_LIST_STATUSES[status].anilist }
+  }, { headers: { ...REQUEST_HEADERS, 'Content-Type': 'application/json' }, timeout: 15000 });
+
+  const lists = response.data?.data?.MediaListCollection?.lists || [];
+  return lists.flatMap(list => list.entries || []).map(({ media }) => ({
+    service: 'anilist',
+    serviceId: media.id,
+    malId: media.idMal,
+    type: mapAnimeFormat(media.format),
+    title: media.title?.english || media.title?.romaji,
+    poster: media.coverImage?.large,
+    description: media.description ? media.description.replace(/<[^>]+>/g, '').trim() : undefined,
+    year: media.seasonYear,
+    genres: media.genres
+  }));
+}
+
+async function fetchMalEntries(username, status) {
+  const entries = [];
+  for (let page = 0; page < MAL_MAX_PAGES; page++) {
+    const response = await axios.get(`${MAL_BASE_URL}/animelist/${encodeURIComponent(username)}/load.json`, {
+      headers: REQUEST_HEADERS,
+      params: { status: ANIME_LIST_STATUSES[status].mal, offset: page * MAL_PAGE_SIZE },
+      timeout: 15000
+    });
+    const pageEntries = Array.isArray(response.data) ? response.data : [];
+    entries.push(...pageEntries);
+    if (pageEntries.length < MAL_PAGE_SIZE) break;
+  }
+
+  return entries
+    .sort((a, b) => (b.updated_at || 0) - (a.updated_at || 0))
+    .map(entry => ({
+      service: 'mal',
+      serviceId: entry.anime_id,
+      malId: entry.anime_id,
+      type: mapAnimeFormat(entry.anime_media_type_string),
+      title: entry.anime_title_eng || entry.anime_title,
+      poster: entry.anime_image_path ? entry.anime_image_path.replace(/\/r\/\d+x\d+/, '').split('?')[0] : undefined
+    }));
+}
+
+/**
+ * Fetch a user's anime list (most recently updated first)
+ * @param {string} service - 'anilist' or 'mal'
+ * @param {string} username - Username on the service
+ * @param {string} status - 'watching', 'planning' or 'completed'
+ * @returns {Promise<Array>} Entries with service IDs and display data
+ */
+async function fetchAnimeListEntries(service, username, status) {
+  const cacheKey = `${service}_${username.toLowerCase()}_${status}`;
+  const cached = animeListCache.get(cacheKey);
+  if (cached) return cached;
+
+  const entries = service === 'anilist'
+    ? await fetchAniListEntries(username, status)
+    : await fetchMalEntries(username, status);
+  const playableEntries = entries.filter(entry => entry.type);
+
+  animeListCache.set(cacheKey, playableEntries);
+  return playableEntries;
+}
+
+/**
+ * Resolve an anime entry to an ID Stremio can open: IMDb first, then TMDB, then Kitsu
+ * @param {Object} entry - Anime list entry
+ * @returns {Promise<Object|null>} { imdb_id, tmdb_id, id }
+ */
+async function resolveAnimeIds(entry) {
+  const cacheKey = `${entry.service}:${entry.serviceId}`;
+  const cached = animeMappingCache.get(cacheKey);
+  if (cached) return cached === 'none' ? null : cached;
+
+  try {
+    const params = entry.service === 'anilist' ? { anilist_id: entry.serviceId } : { mal_id: entry.serviceId };
+    const response = await axios.get(ANIME_MAPPINGS_URL, { headers: REQUEST_HEADERS, params, timeout: 10000 });
+    const mappings = response.data?.mappings || {};
+
+    let ids = null;
+    if (mappings.imdb_id) {
+      ids = { imdb_id: mappings.imdb_id, tmdb_id: mappings.themoviedb_id || null, id: mappings.imdb_id };
+    } else if (mappings.themoviedb_id) {
+      ids = { imdb_id: null, tmdb_id: mappings.themoviedb_id, id: `tmdb:${mappings.themoviedb_id}` };
+    } else if (mappings.kitsu_id) {
+      ids = { imdb_id: null, tmdb_id: null, id: `kitsu:${mappings.kitsu_id}` };
+    }
+
+    animeMappingCache.set(cacheKey, ids || 'none');
+    return ids;
+  } catch (error) {
+    // Not cached, so a temporary outage doesn't hide the entry for a week
+    console.error(`[AnimeLists] Error resolving IDs for ${cacheKey}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch details for an AniList/MyAnimeList user list for importing
+ * @param {string} service - 'anilist' or 'mal'
+ * @param {string} username - Username on the service
+ * @param {string} status - 'watching', 'planning' or 'completed'
+ * @returns {Promise<Object>} Import details
+ */
+async function fetchAnimeListDetails(service, username, status) {
+  if (!ANIME_SERVICES[service]) {
+    throw new Error(`Unsupported anime service "${service}". Supported: ${Object.keys(ANIME_SERVICES).join(', ')}`);
+  }
+  if (!ANIME_LIST_STATUSES[status]) {
+    throw new Error(`Unsupported list "${status}". Supported: ${Object.keys(ANIME_LIST_STATUSES).join(', ')}`);
+  }
+  if (!username || !/^[\w-]+$/.test(username)) {
+    throw new Error('A valid username is required.');
+  }
+
+  try {
+    const entries = await fetchAnimeListEntries(service, username, status);
+    if (entries.length === 0) {
+      throw new Error('No anime found. The list may be private or empty.');
+    }
+
+    return {
+      listId: `${service}_${username.toLowerCase()}_${status}`,
+      listName: `${username}'s ${ANIME_SERVICES[service].name}: ${ANIME_LIST_STATUSES[status].label}`,
+      hasMovies: entries.some(entry => entry.type === 'movie'),
+      hasShows: entries.some(entry => entry.type === 'series')
+    };
+  } catch (error) {
+    console.error(`[AnimeLists] Exception fetching ${service} list for ${username}:`, error.message);
+    const reason = error.response?.status === 404 ? 'User not found or list is private' : error.message;
+    throw new Error(`Failed to fetch ${ANIME_SERVICES[service].name} list: ${reason}`);
+  }
+}
+
+/**
+ * Fetch a page of items from an imported AniList/MyAnimeList list
+ * @param {Object} addonConfig - Imported list entry (animeService, animeUsername, animeStatus)
+ * @param {number} skip - Number of items to skip
+ * @param {string} itemTypeHint - 'movie', 'series' or 'all'
+ * @returns {Promise<Object>} { allItems, hasMovies, hasShows }
+ * @throws {Error} The request error when the list can't be read, so the list's health can record it
+ */
+async function fetchAnimeListItems(addonConfig, skip = 0, itemTypeHint = 'all') {
+  let entries;
+  try {
+    entries = await fetchAnimeListEntries(addonConfig.animeService, addonConfig.animeUsername, addonConfig.animeStatus);
+  } catch (error) {
+    console.error(`[AnimeLists] Error fetching ${addonConfig.name || addonConfig.id}:`, error.message);
+    throw error;
+  }
+
+  const pageEntries = entries
+    .filter(entry => !itemTypeHint || itemTypeHint === 'all' || entry.type === itemTypeHint)
+    .slice(skip, skip + ITEMS_PER_PAGE);
+
+  const resolvedIds = [];
+  for (let i = 0; i < pageEntries.length; i += MAPPING_CONCURRENCY) {
+    const batch = pageEntries.slice(i, i + MAPPING_CONCURRENCY);
+    resolvedIds.push(...await Promise.all(batch.map(resolveAnimeIds)));
+  }
+
+  // Seasons of the same show usually map to one IMDb/TMDB entry, so only the first is kept
+  const seenIds = new Set();
+  const allItems = pageEntries
+    .map((entry, index) => resolvedIds[index] && {
+      ...resolvedIds[index],
+      type: entry.type,
+      title: entry.title,
+      name: entry.title,
+      poster: entry.poster,
+      description: entry.description,
+      year: entry.year,
+      genres: entry.genres
+    })
+    .filter(item => {
+      if (!item || seenIds.has(item.id)) return false;
+      seenIds.add(item.id);
+      return true;
+    });
+
+  return {
+    allItems,
+    hasMovies: allItems.some(item => item.type === 'movie'),
+    hasShows: allItems.some(item => item.type === 'series')
+  };
+}
+
+/**
+ * Fetch Stremio meta for a Kitsu ID from the Kitsu addon
+ * @param {string} type - 'movie' or 'series'
+ * @param {string} id - e.g. "kitsu:12"
+ * @returns {Promise<Object|null>} Stremio meta object
+ */
+async function fetchKitsuMeta(type, id) {
+  const cacheKey = `${type}_${id}`;
+  const cached = kitsuMetaCache.get(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const response = await axios.get(`${KITSU_ADDON_URL}/meta/${type}/${encodeURIComponent(id)}.json`, { headers: REQUEST_HEADERS, timeout: 10000 });
+    const meta = response.data?.meta || null;
+    if (meta) kitsuMetaCache.set(cacheKey, meta);
+    return meta;
+  } catch (error) {
+    console.error(`[AnimeLists] Error fetching Kitsu meta for ${id}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  ANIME_SERVICES,
+  ANIME_LIST_STATUSES,
+  parseAnimeListUrl,
+  fetchAnimeListDetails,
+  fetchAnimeListItems,
+  fetchKitsuMeta
+};
@@ -1,6 +1,25 @@
 // src/integrations/externalAddons.js
 const axios = require('axios');
 const { enrichItemsWithMetadata } = require('../utils/metadataFetcher');
+const Cache = require('../utils/cache');
+const { isLiveContentType } = require('../utils/common');
+const { getSourceHealthKey, recordSourceSuccess, recordSourceFailure } = require('../utils/sourceHealth');
+const { ADDON_UPDATE_CHECK_HOURS } = require('../config');
+
+// Prefixes AIOLists resolves meta for itself, so these are never proxied to an imported addon
+const NATIVE_ID_PREFIXES = ['tt', 'tmdb:'];
+
+const externalMetaCache = new Cache({ defaultTTL: 6 * 60 * 60 * 1000 });
+// Channel schedules and live stream urls go stale quickly
+const LIVE_CONTENT_CACHE_TTL = 5 * 60 * 1000;
+const externalStreamCache = new Cache({ defaultTTL: LIVE_CONTENT_CACHE_TTL });
+
+// searchSources entry for an imported addon's search catalogs, e.g. "addon:org.example.anime"
+const IMPORTED_SEARCH_SOURCE_PREFIX = 'addon:';
+
+// Latest upstream import per manifest URL, filled in the background by scheduleAddonUpdateChecks
+const upstreamAddonCache = new Cache({ defaultTTL: (ADDON_UPDATE_CHECK_HOURS || 24) * 60 * 60 * 1000 });
+const pendingUpdateChecks = new Set();
 
 class ExternalAddon {
   constructor(manifestUrl) {
@@ -49,6 +68,7 @@ class ExternalAddon {
       }
 
       const idUsageMap = new Map();
+      const searchCatalogs = [];
 
       const processedCatalogs = this.manifest.catalogs.map(catalog => {
         if (!catalog.id || !catalog.type) {
@@ -57,14 +77,13 @@ class ExternalAddon {
         const originalCatalogIdFromSource = catalog.id;
         const originalCatalogType = catalog.type;
         
-        let stremioFinalCatalogType = originalCatalogType;
-
-        if (originalCatalogType === 'tv') {
-            stremioFinalCatalogType = 'series';
-        }
+        // tv/channel/events catalogs keep their type, they are proxied as-is rather than enriched
+        const stremioFinalCatalogType = originalCatalogType;
 
         const hasSearchRequirement = (catalog.extra || []).some(e => e.name === 'search' && e.isRequired);
         if (hasSearchRequirement) {
+            // Search-only catalogs can't be browsed as lists, they become search providers instead
+            searchCatalogs.push({ originalId: originalCatalogIdFromSource, originalType: originalCatalogType, name: catalog.name || 'Unnamed Catalog' });
             return null;
         }
         let aiolistsUniqueCatalogId;
@@ -144,10 +163,14 @@ class ExternalAddon {
         name: this.manifest.name || 'Unknown Addon',
         version: this.manifest.version || '0.0.0',
         logo: finalLogo, // Use the validated or default logo
+        manifestUrl: this.originalManifestUrl,
         apiBaseUrl: this.apiBaseUrl,
         catalogs: processedCatalogs,
+        searchCatalogs,
         types: this.manifest.types || [],
         resources: this.manifest.resources || [],
+        idPrefixes: this.getResourceIdPrefixes('meta'),
+        streamIdPrefixes: this.getResourceIdPrefixes('stream'),
         isAnime: this.detectAnimeCatalogs()
       };
     } catch (error) {
@@ -160,6 +183,25 @@ class ExternalAddon {
     }
   }
 
+  /**
+   * The id prefixes this addon serves a resource for, minus the ones AIOLists handles natively.
+   * A resource object can narrow the manifest-level idPrefixes.
+   * @param {string} resourceName - 'meta' or 'stream'
+   * @returns {Array<string>}
+   */
+  getResourceIdPrefixes(resourceName) {
+    const resources = Array.isArray(this.manifest?.resources) ? this.manifest.resources : [];
+    const prefixes = new Set();
+    resources.forEach(resource => {
+      if (resource === resourceName) {
+        (this.manifest.idPrefixes || []).forEach(prefix => prefixes.add(prefix));
+      } else if (resource && resource.name === resourceName) {
+        (resource.idPrefixes || this.manifest.idPrefixes || []).forEach(prefix => prefixes.add(prefix));
+      }
+    });
+    return Array.from(prefixes).filter(prefix => typeof prefix === 'string' && prefix && !NATIVE_ID_PREFIXES.includes(prefix));
+  }
+
   detectAnimeCatalogs() {
     // ... (detectAnimeCatalogs method remains the same)
     const nameIncludesAnime = this.manifest?.name?.toLowerCase().includes('anime');
@@ -169,9 +211,10 @@ class ExternalAddon {
     return !!(nameIncludesAnime || urlIncludesAnimeSource || hasAnimeTypeInManifestTypes || hasAnimeTypeCatalog);
   }
 
-  buildCatalogUrl(catalogOriginalId, catalogOriginalType, skip = 0, genre = null) {
+  buildCatalogUrl(catalogOriginalId, catalogOriginalType, skip = 0, genre = null, search = null) {
     let urlPath = `catalog/${catalogOriginalType}/${encodeURIComponent(catalogOriginalId)}`;
     const extraParams = [];
+    if (search) extraParams.push(`search=${encodeURIComponent(search)}`);
     if (skip > 0) extraParams.push(`skip=${skip}`);
     if (genre) extraParams.push(`genre=${encodeURIComponent(genre)}`); 
     if (extraParams.length > 0) {
@@ -189,6 +232,7 @@ async function importExternalAddon(manifestUrl, userConfig) {
 
 async function fetchExternalAddonItems(targetOriginalId, targetOriginalType, sourceAddonConfig, skip = 0, rpdbApiKey = null, genre = null, userConfig = null) {
   let attemptedUrl = "Unknown (URL could not be constructed before error)";
+  let requestStartedAt = null;
   try {
     if (!sourceAddonConfig || !sourceAddonConfig.apiBaseUrl || !sourceAddonConfig.catalogs) {
       console.error('[AIOLists ExternalAddon] Invalid source addon configuration for fetching items. Config:', sourceAddonConfig);
@@ -207,7 +251,8 @@ async function fetchExternalAddonItems(targetOriginalId, targetOriginalType, sou
     
     // Skip genre filtering at external addon level when using TMDB metadata source
     // This allows TMDB-enriched genre filtering to work properly after enrichment
-    const shouldSkipExternalGenreFilter = userConfig?.metadataSource === 'tmdb' && genre && genre !== 'All';
+    // TV channels are never enriched, so their genre filter always stays with the source addon
+    const shouldSkipExternalGenreFilter = userConfig?.metadataSource === 'tmdb' && genre && genre !== 'All' && !isLiveContentType(targetOriginalType);
     const genreForExternalAddon = shouldSkipExternalGenreFilter ? null : genre;
     
     if (shouldSkipExternalGenreFilter) {
@@ -217,11 +262,14 @@ async function fetchExternalAddonItems(targetOriginalId, targetOriginalType, sou
     const tempExternalAddon = new ExternalAddon(sourceAddonConfig.apiBaseUrl); 
     tempExternalAddon.apiBaseUrl = sourceAddonConfig.apiBaseUrl;
     attemptedUrl = tempExternalAddon.buildCatalogUrl(catalogEntry.originalId, catalogEntry.originalType, skip, genreForExternalAddon);
+    requestStartedAt = Date.now();
     const response = await axios.get(attemptedUrl, { timeout: 20000 });
     if (!response.data || !Array.isArray(response.data.metas)) {
       console.error(`[AIOLists ExternalAddon] Invalid metadata response from ${attemptedUrl}: Data or metas array missing. Response:`, response.data);
+      recordSourceFailure(getSourceHealthKey(sourceAddonConfig), 'Invalid catalog response (metas array missing)', Date.now() - requestStartedAt);
       return { metas: [], hasMovies: false, hasShows: false };
     }
+    recordSourceSuccess(getSourceHealthKey(sourceAddonConfig), Date.now() - requestStartedAt);
     let metasFromExternal = response.data.metas;
     if (sourceAddonConfig && typeof sourceAddonConfig.name === 'string' && sourceAddonConfig.name.toLowerCase().includes('trakt up next')) {
         metasFromExternal = metasFromExternal.map(meta => {
@@ -249,12 +297,244 @@ async function fetchExternalAddonItems(targetOriginalId, targetOriginalType, sou
     } else {
         console.error("[AIOLists ExternalAddon] Error stack:", error.stack);
     }
+    // Only failures of the request itself count against the addon, not a stale catalog entry
+    if (requestStartedAt) {
+      recordSourceFailure(getSourceHealthKey(sourceAddonConfig), error, Date.now() - requestStartedAt);
+    }
     return { metas: [], hasMovies: false, hasShows: false };
   }
 }
 
+/**
+ * Find the imported addon that serves a resource for an id, by its recorded id prefixes
+ * @param {string} id - Item id, e.g. mal:5114
+ * @param {Object} userConfig - User configuration
+ * @param {string} [resourceName='meta'] - 'meta' or 'stream'
+ * @returns {Object|null} Imported addon entry
+ */
+function findImportedAddonForId(id, userConfig, resourceName = 'meta') {
+  const prefixField = resourceName === 'stream' ? 'streamIdPrefixes' : 'idPrefixes';
+  const importedAddons = Object.values(userConfig?.importedAddons || {});
+  return importedAddons.find(addon =>
+    addon.apiBaseUrl && Array.isArray(addon[prefixField]) && addon[prefixField].some(prefix => id.startsWith(prefix))
+  ) || null;
+}
+
+/**
+ * Fetch meta for a non-IMDb/TMDB id from the imported addon it came from
+ * @param {string} type - Stremio type
+ * @param {string} id - Item id
+ * @param {Object} userConfig - User configuration
+ * @returns {Promise<Object|null>} Meta object, or null if no imported addon serves this id
+ */
+async function fetchExternalAddonMeta(type, id, userConfig) {
+  const addon = findImportedAddonForId(id, userConfig, 'meta');
+  if (!addon) return null;
+
+  const metaUrl = `${addon.apiBaseUrl}meta/${type}/${encodeURIComponent(id)}.json`;
+  const cached = externalMetaCache.get(metaUrl);
+  if (cached) return cached;
+
+  try {
+    const response = await axios.get(metaUrl, { timeout: 10000 });
+    const meta = response.data?.meta || null;
+    if (meta) externalMetaCache.set(metaUrl, meta, isLiveContentType(type) ? LIVE_CONTENT_CACHE_TTL : undefined);
+    return meta;
+  } catch (error) {
+    console.error(`[AIOLists ExternalAddon] Error fetching meta for ${id} from ${addon.name}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch streams for a TV channel or live event from the imported addon it came from
+ * @param {string} type - Stremio type ('tv', 'channel' or 'events')
+ * @param {string} id - Item or video id
+ * @param {Object} userConfig - User configuration
+ * @returns {Promise<Array>} Streams, empty if no imported addon serves this id
+ */
+async function fetchExternalAddonStreams(type, id, userConfig) {
+  const addon = findImportedAddonForId(id, userConfig, 'stream');
+  if (!addon) return [];
+
+  const streamUrl = `${addon.apiBaseUrl}stream/${type}/${encodeURIComponent(id)}.json`;
+  const cached = externalStreamCache.get(streamUrl);
+  if (cached) return cached;
+
+  try {
+    const response = await axios.get(streamUrl, { timeout: 10000 });
+    const streams = Array.isArray(response.data?.streams) ? response.data.streams : [];
+    externalStreamCache.set(streamUrl, streams);
+    return streams;
+  } catch (error) {
+    console.error(`[AIOLists ExternalAddon] Error fetching streams for ${id} from ${addon.name}:`, error.message);
+    return [];
+  }
+}
+
+function getAddonManifestUrl(addon) {
+  // Imports from before manifestUrl was recorded only kept the base url
+  return addon.manifestUrl || `${addon.apiBaseUrl}manifest.json`;
+}
+
+/**
+ * Apply a fresh import of an addon on top of the stored entry. Catalogs are matched on
+ * originalId + originalType and keep their AIOLists id, so custom names, types, order and
+ * sort preferences (all keyed by that id) carry over.
+ * @param {Object} existingAddon - Stored importedAddons entry
+ * @param {Object} freshAddon - Result of importing the same manifest again
+ * @returns {Object} { addon, changes } where changes lists added/removed/renamed catalogs and version/logo updates
+ */
+function mergeResyncedAddon(existingAddon, freshAddon) {
+  const catalogKey = catalog => `${catalog.originalId}|${catalog.originalType}`;
+  const unmatched = new Map();
+  (existingAddon.catalogs || []).forEach(catalog => {
+    if (!unmatched.has(catalogKey(catalog))) unmatched.set(catalogKey(catalog), []);
+    unmatched.get(catalogKey(catalog)).push(catalog);
+  });
+
+  const added = [];
+  const renamed = [];
+  const catalogs = freshAddon.catalogs.map(freshCatalog => {
+    const previous = unmatched.get(catalogKey(freshCatalog))?.shift();
+    if (!previous) {
+      added.push({ id: freshCatalog.id, name: freshCatalog.name, type: freshCatalog.type });
+      return freshCatalog;
+    }
+    if (previous.name !== freshCatalog.name) {
+      renamed.push({ id: previous.id, from: previous.name, to: freshCatalog.name });
+    }
+    return { ...freshCatalog, id: previous.id };
+  });
+  const removed = [...unmatched.values()].flat().map(catalog => ({ id: catalog.id, name: catalog.name, type: catalog.type }));
+
+  const changes = {
+    added,
+    removed,
+    renamed,
+    version: existingAddon.version !== freshAddon.version ? { from: existingAddon.version, to: freshAddon.version } : null,
+    logoChanged: existingAddon.logo !== freshAddon.logo
+  };
+  changes.hasChanges = added.length > 0 || removed.length > 0 || renamed.length > 0 || !!changes.version || changes.logoChanged;
+
+  return { addon: { ...existingAddon, ...freshAddon, catalogs }, changes };
+}
+
+/**
+ * Re-fetch an imported addon's manifest and merge it into the stored entry
+ * @param {Object} existingAddon - Stored importedAddons entry
+ * @param {Object} userConfig - User configuration
+ * @returns {Promise<Object>} { addon, changes }, see mergeResyncedAddon
+ */
+async function resyncExternalAddon(existingAddon, userConfig) {
+  const manifestUrl = getAddonManifestUrl(existingAddon);
+  const freshAddon = await importExternalAddon(manifestUrl, userConfig);
+  if (freshAddon.id !== existingAddon.id) {
+    throw new Error(`The manifest at ${manifestUrl} now belongs to a different addon (${freshAddon.id})`);
+  }
+  upstreamAddonCache.set(manifestUrl, freshAddon);
+  return mergeResyncedAddon(existingAddon, freshAddon);
+}
+
+/**
+ * Start background checks for upstream changes of imported addons (when ADDON_UPDATE_CHECK_HOURS is set).
+ * Never waits on the network, results show up through getAddonUpdateStatus on later calls.
+ * @param {Object} userConfig - User configuration
+ */
+function scheduleAddonUpdateChecks(userConfig) {
+  if (!ADDON_UPDATE_CHECK_HOURS) return;
+
+  Object.values(userConfig?.importedAddons || {}).forEach(addon => {
+    if (!addon?.apiBaseUrl) return;
+    const manifestUrl = getAddonManifestUrl(addon);
+    if (upstreamAddonCache.has(manifestUrl) || pendingUpdateChecks.has(manifestUrl)) return;
+
+    pendingUpdateChecks.add(manifestUrl);
+    importExternalAddon(manifestUrl, {})
+      .then(freshAddon => upstreamAddonCache.set(manifestUrl, freshAddon))
+      .catch(error => console.warn(`[AIOLists ExternalAddon] Update check failed for ${addon.name}:`, error.message))
+      .finally(() => pendingUpdateChecks.delete(manifestUrl));
+  });
+}
+
+/**
+ * Upstream changes found by the last update check of an imported addon
+ * @param {Object} addon - Stored importedAddons entry
+ * @returns {Object|null} Changes (see mergeResyncedAddon), or null when unchecked or unchanged
+ */
+function getAddonUpdateStatus(addon) {
+  if (!addon?.apiBaseUrl) return null;
+  const freshAddon = upstreamAddonCache.get(getAddonManifestUrl(addon));
+  if (!freshAddon || freshAddon.id !== addon.id) return null;
+  const { changes } = mergeResyncedAddon(addon, freshAddon);
+  return changes.hasChanges ? changes : null;
+}
+
+function isImportedSearchSource(source) {
+  return typeof source === 'string' && source.startsWith(IMPORTED_SEARCH_SOURCE_PREFIX);
+}
+
+function getImportedSearchSourceId(addonId) {
+  return `${IMPORTED_SEARCH_SOURCE_PREFIX}${addonId}`;
+}
+
+/**
+ * The imported addons whose search catalogs are switched on in the search settings
+ * @param {Object} userConfig - User configuration
+ * @returns {Array<string>} searchSources entries ("addon:<id>") of addons that still have search catalogs
+ */
+function getImportedSearchSources(userConfig) {
+  return (userConfig?.searchSources || []).filter(source => {
+    if (!isImportedSearchSource(source)) return false;
+    const addon = userConfig.importedAddons?.[source.slice(IMPORTED_SEARCH_SOURCE_PREFIX.length)];
+    return Array.isArray(addon?.searchCatalogs) && addon.searchCatalogs.length > 0;
+  });
+}
+
+/**
+ * Run a query against an imported addon's search catalogs
+ * @param {Object} sourceAddonConfig - Imported addon entry (apiBaseUrl, searchCatalogs)
+ * @param {string} query - Search query
+ * @param {string} type - 'movie', 'series', 'all' or 'anime'
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Object>} { results, source }
+ */
+async function searchExternalAddon(sourceAddonConfig, query, type, limit) {
+  const source = getImportedSearchSourceId(sourceAddonConfig.id);
+  const catalogs = (sourceAddonConfig.searchCatalogs || []).filter(catalog =>
+    type === 'all' ? (catalog.originalType === 'movie' || catalog.originalType === 'series') : catalog.originalType === type
+  );
+  if (catalogs.length === 0) return { results: [], source };
+
+  const tempExternalAddon = new ExternalAddon(sourceAddonConfig.apiBaseUrl);
+  tempExternalAddon.apiBaseUrl = sourceAddonConfig.apiBaseUrl;
+
+  const responses = await Promise.allSettled(catalogs.map(catalog =>
+    axios.get(tempExternalAddon.buildCatalogUrl(catalog.originalId, catalog.originalType, 0, null, query), { timeout: 15000 })
+  ));
+  const results = [];
+  responses.forEach((response, index) => {
+    if (response.status === 'fulfilled' && Array.isArray(response.value.data?.metas)) {
+      results.push(...response.value.data.metas.slice(0, Math.ceil(limit / catalogs.length)));
+    } else if (response.status === 'rejected') {
+      console.error(`[AIOLists ExternalAddon] Search catalog ${catalogs[index].originalId} of ${sourceAddonConfig.name} failed:`, response.reason?.message);
+    }
+  });
+  return { results, source };
+}
+
 module.exports = {
   importExternalAddon,
   fetchExternalAddonItems,
+  resyncExternalAddon,
+  scheduleAddonUpdateChecks,
+  getAddonUpdateStatus,
+  findImportedAddonForId,
+  fetchExternalAddonMeta,
+  fetchExternalAddonStreams,
+  isImportedSearchSource,
+  getImportedSearchSourceId,
+  getImportedSearchSources,
+  searchExternalAddon,
   ExternalAddon 
 };
\ No newline at end of file
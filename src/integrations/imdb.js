@@ -0,0 +1,303 @@
+// src/integrations/imdb.js
+const axios = require('axios');
+const crypto = require('crypto');
+const Cache = require('../utils/cache');
+const { ITEMS_PER_PAGE } = require('../config');
+const { isConfigStoreEnabled } = require('../utils/configStore');
+
+const IMDB_BASE_URL = 'https://www.imdb.com';
+// IMDb serves a stripped-down page (or a 403) to unknown user agents
+const IMDB_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml',
+  'Accept-Language': 'en-US,en;q=0.9'
+};
+
+// Safety cap on how many IMDb pages are fetched for a single catalog request
+const MAX_PAGES_PER_REQUEST = 5;
+// CSV items live in the config itself. Without a config store that config is the addon URL,
+// so uploads are kept to a size that doesn't bloat it.
+const MAX_CSV_ITEMS = 1000;
+const MAX_CSV_ITEMS_IN_URL = 200;
+
+const SERIES_TITLE_TYPES = ['tvseries', 'tvminiseries', 'tv series', 'tv mini series', 'tv mini-series'];
+const SKIPPED_TITLE_TYPES = ['tvepisode', 'tv episode', 'videogame', 'video game', 'podcastseries', 'podcastepisode'];
+
+// Items fetched so far per list, so deeper pages don't restart from page one
+const listScanCache = new Cache({ defaultTTL: 60 * 60 * 1000 });
+
+/**
+ * Parse an IMDb list or watchlist URL
+ * @param {string} url - e.g. https://www.imdb.com/list/ls055592025/ or https://www.imdb.com/user/ur12345678/watchlist
+ * @returns {Object|null} { listId } or { userId }
+ */
+function parseImdbUrl(url) {
+  if (!url) return null;
+  const listMatch = url.match(/imdb\.com\/(?:[a-z]{2}\/)?list\/(ls\d+)/i);
+  if (listMatch) return { listId: listMatch[1] };
+  const watchlistMatch = url.match(/imdb\.com\/(?:[a-z]{2}\/)?user\/(ur\d+)\/watchlist/i);
+  if (watchlistMatch) return { userId: watchlistMatch[1] };
+  return null;
+}
+
+/**
+ * Map an IMDb title type ("movie", "tvSeries", "TV Mini Series", ...) to a Stremio type
+ * @param {string} titleType - IMDb title type
+ * @returns {string|null} 'movie', 'series', or null for types that can't be shown (episodes, games)
+ */
+function mapTitleType(titleType) {
+  const normalized = String(titleType || '').trim().toLowerCase();
+  if (SKIPPED_TITLE_TYPES.includes(normalized)) return null;
+  return SERIES_TITLE_TYPES.includes(normalized) ? 'series' : 'movie';
+}
+
+/**
+ * Pull titles out of an IMDb list page, in list order. Uses the embedded Next.js data when present
+ * and falls back to the title ids in the markup (typed as movies) otherwise.
+ * @param {string} html - Page HTML
+ * @returns {Array} Items ({ imdb_id, title, year, type })
+ */
+function extractListItems(html) {
+  const items = [];
+  const seen = new Set();
+
+  const nextDataMatch = html.match(/<script id="__NEXT_DATA__" type="application\/json">([\s\S]*?)<\/script>/);
+  if (nextDataMatch) {
+    let nextData = null;
+    try {
+      nextData = JSON.parse(nextDataMatch[1]);
+    } catch (error) {
+      console.warn('[IMDb] Could not parse page data:', error.message);
+    }
+
+    const walk = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(walk);
+        return;
+      }
+      if (typeof node.id === 'string' && /^tt\d+$/.test(node.id) && node.titleType) {
+        if (!seen.has(node.id)) {
+          seen.add(node.id);
+          const type = mapTitleType(node.titleType.id || node.titleType.text);
+          if (type) {
+            items.push({ imdb_id: node.id, title: node.titleText?.text, year: node.releaseYear?.year, type });
+          }
+        }
+        return;
+      }
+      Object.values(node).forEach(walk);
+    };
+    walk(nextData);
+  }
+
+  if (items.length === 0) {
+    const tconstRegex = /data-tconst="(tt\d+)"/g;
+    let match;
+    while ((match = tconstRegex.exec(html)) !== null) {
+      if (seen.has(match[1])) continue;
+      seen.add(match[1]);
+      items.push({ imdb_id: match[1], type: 'movie' });
+    }
+  }
+
+  return items;
+}
+
+function buildPageUrl(source, page) {
+  const basePath = source.listId ? `list/${source.listId}` : `user/${source.userId}/watchlist`;
+  return `${IMDB_BASE_URL}/${basePath}/${page > 1 ? `?page=${page}` : ''}`;
+}
+
+async function fetchPage(url) {
+  const response = await axios.get(url, { headers: IMDB_HEADERS, timeout: 15000 });
+  return typeof response.data === 'string' ? response.data : '';
+}
+
+/**
+ * Fetch details for an IMDb list or watchlist URL for importing
+ * @param {string} url - IMDb URL
+ * @returns {Promise<Object>} Import details
+ */
+async function fetchImdbListDetails(url) {
+  const source = parseImdbUrl(url);
+  if (!source) {
+    throw new Error('Invalid IMDb URL. Supported: imdb.com/list/ls... and imdb.com/user/ur.../watchlist');
+  }
+
+  try {
+    const html = await fetchPage(buildPageUrl(source, 1));
+    const items = extractListItems(html);
+    if (items.length === 0) {
+      throw new Error('No titles found. The list may be private or empty.');
+    }
+
+    let listName;
+    const titleMatch = html.match(/<meta property="og:title" content="([^"]+)"/);
+    if (source.listId) {
+      listName = titleMatch ? titleMatch[1].replace(/\s*[-|]\s*IMDb\s*$/i, '').replace(/&amp;/g, '&').replace(/&#x27;|&#39;/g, "'") : source.listId;
+    } else {
+      listName = `IMDb Watchlist (${source.userId})`;
+    }
+
+    return {
+      listId: source.listId ? `imdblist_${source.listId}` : `imdbwatchlist_${source.userId}`,
+      listName,
+      imdbListId: source.listId || null,
+      imdbUserId: source.userId || null,
+      hasMovies: items.some(item => item.type === 'movie'),
+      hasShows: items.some(item => item.type === 'series')
+    };
+  } catch (error) {
+    console.error('[IMDb] Exception fetching list details:', error.message);
+    const reason = error.response?.status === 404 ? 'List not found' : error.message;
+    throw new Error(`Failed to fetch IMDb list: ${reason}`);
+  }
+}
+
+/**
+ * Split CSV text into rows of fields (handles quoted fields with commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Parse an IMDb list, watchlist or ratings CSV export
+ * @param {string} csvText - CSV file contents
+ * @param {string} [name] - List name (defaults to "IMDb CSV Import")
+ * @returns {Object} Import details, including the items to store with the list
+ */
+function parseImdbCsv(csvText, name) {
+  const rows = parseCsv(String(csvText || '').replace(/^\uFEFF/, ''));
+  if (rows.length < 2) {
+    throw new Error('The CSV file is empty.');
+  }
+
+  const header = rows[0].map(column => column.trim().toLowerCase());
+  const idIndex = header.indexOf('const');
+  const typeIndex = header.indexOf('title type');
+  if (idIndex === -1) {
+    throw new Error('Not an IMDb export: missing "Const" column.');
+  }
+
+  const seen = new Set();
+  const items = [];
+  rows.slice(1).forEach(row => {
+    const imdbId = (row[idIndex] || '').trim();
+    if (!/^tt\d+$/.test(imdbId) || seen.has(imdbId)) return;
+    seen.add(imdbId);
+    const type = typeIndex !== -1 ? mapTitleType(row[typeIndex]) : 'movie';
+    if (type) items.push({ id: imdbId, type });
+  });
+
+  if (items.length === 0) {
+    throw new Error('No movies or series found in the CSV file.');
+  }
+  const maxItems = isConfigStoreEnabled() ? MAX_CSV_ITEMS : MAX_CSV_ITEMS_IN_URL;
+  if (items.length > maxItems) {
+    throw new Error(`The CSV file has ${items.length} titles. At most ${maxItems} are supported${maxItems < MAX_CSV_ITEMS ? ' on instances without a config store' : ''}.`);
+  }
+
+  const contentHash = crypto.createHash('sha1').update(items.map(item => item.id).join(',')).digest('hex').slice(0, 12);
+  return {
+    listId: `imdbcsv_${contentHash}`,
+    listName: (name && String(name).trim()) || 'IMDb CSV Import',
+    items,
+    hasMovies: items.some(item => item.type === 'movie'),
+    hasShows: items.some(item => item.type === 'series')
+  };
+}
+
+/**
+ * Fetch a page of items from an imported IMDb list, watchlist or CSV upload
+ * @param {Object} addonConfig - Imported list entry (imdbListId, imdbUserId or imdbCsvItems)
+ * @param {number} skip - Number of items to skip
+ * @param {string} itemTypeHint - 'movie', 'series' or 'all'
+ * @returns {Promise<Object>} { allItems, hasMovies, hasShows }
+ * @throws {Error} The request error when IMDb can't be read, so the list's health can record it
+ */
+async function fetchImdbListItems(addonConfig, skip = 0, itemTypeHint = 'all') {
+  const matchesType = item => !itemTypeHint || itemTypeHint === 'all' || item.type === itemTypeHint;
+  let items;
+
+  if (Array.isArray(addonConfig.imdbCsvItems)) {
+    items = addonConfig.imdbCsvItems.map(item => ({ imdb_id: item.id, type: item.type })).filter(matchesType);
+  } else {
+    const source = { listId: addonConfig.imdbListId, userId: addonConfig.imdbUserId };
+    const cacheKey = buildPageUrl(source, 1);
+    const scan = listScanCache.get(cacheKey) || { items: [], seen: new Set(), nextPage: 1, exhausted: false };
+
+    try {
+      let pagesFetched = 0;
+      while (!scan.exhausted && scan.items.filter(matchesType).length < skip + ITEMS_PER_PAGE && pagesFetched < MAX_PAGES_PER_REQUEST) {
+        const html = await fetchPage(buildPageUrl(source, scan.nextPage));
+        pagesFetched++;
+        scan.nextPage++;
+
+        const newItems = extractListItems(html).filter(item => !scan.seen.has(item.imdb_id));
+        if (newItems.length === 0) {
+          scan.exhausted = true;
+          break;
+        }
+        newItems.forEach(item => {
+          scan.seen.add(item.imdb_id);
+          scan.items.push(item);
+        });
+      }
+    } catch (error) {
+      // A 404 past the last page ends the list, on the first page it means the list is gone
+      if (error.response?.status === 404 && scan.nextPage > 1) {
+        scan.exhausted = true;
+      } else {
+        console.error(`[IMDb] Error fetching ${addonConfig.name || cacheKey}:`, error.message);
+        throw error;
+      }
+    }
+
+    listScanCache.set(cacheKey, scan);
+    items = scan.items.filter(matchesType);
+  }
+
+  const allItems = items.slice(skip, skip + ITEMS_PER_PAGE);
+  return {
+    allItems,
+    hasMovies: allItems.some(item => item.type === 'movie'),
+    hasShows: allItems.some(item => item.type === 'series')
+  };
+}
+
+module.exports = {
+  parseImdbUrl,
+  fetchImdbListDetails,
+  parseImdbCsv,
+  fetchImdbListItems
+};
@@ -0,0 +1,240 @@
+// src/integrations/letterboxd.js
+const axios = require('axios');
+const Cache = require('../utils/cache');
+const { ITEMS_PER_PAGE } = require('../config');
+
+const LETTERBOXD_BASE_URL = 'https://letterboxd.com';
+const LETTERBOXD_HEADERS = {
+  'User-Agent': 'AIOLists-Stremio-Addon/1.0',
+  'Accept': 'text/html,application/xhtml+xml'
+};
+
+// Safety cap on how many Letterboxd pages are scraped for a single catalog request
+const MAX_PAGES_PER_REQUEST = 10;
+const FILM_LOOKUP_CONCURRENCY = 5;
+
+// Film slug -> { imdbId, tmdbId, type }. Film pages don't change, so keep these for a long time
+const filmIdCache = new Cache({ defaultTTL: 30 * 24 * 60 * 60 * 1000 });
+// Slugs scraped so far per list URL (and sort), so deeper pages don't restart from page one
+const listScanCache = new Cache({ defaultTTL: 60 * 60 * 1000 });
+
+// sortBy -> Letterboxd "/by/..." path segment, per sort order. Diaries are always chronological.
+const LETTERBOXD_SORT_PATHS = {
+  added: { desc: 'added', asc: 'added-earliest' },
+  title: { asc: 'name', desc: 'name' },
+  released: { desc: 'release', asc: 'release-earliest' },
+  rating: { desc: 'rating', asc: 'rating-lowest' },
+  popularity: { desc: 'popular', asc: 'popular' },
+  runtime: { asc: 'shortest', desc: 'longest' },
+  random: { asc: 'shuffle', desc: 'shuffle' }
+};
+
+/**
+ * Parse a Letterboxd list, watchlist or diary URL
+ * @param {string} url - e.g. https://letterboxd.com/dave/list/official-top-250-narrative-feature-films/
+ * @returns {Object|null} { username, kind: 'list'|'watchlist'|'diary', slug }
+ */
+function parseLetterboxdUrl(url) {
+  if (!url) return null;
+  const cleanedUrl = url.trim().split(/[?#]/)[0];
+  const match = cleanedUrl.match(/^(?:https?:\/\/)?(?:www\.)?letterboxd\.com\/([\w-]+)\/(list\/([\w-]+)|watchlist|films\/diary)(?:\/.*)?$/i);
+  if (!match) return null;
+
+  const [, username, section, listSlug] = match;
+  if (listSlug) return { username, kind: 'list', slug: listSlug };
+  if (section.toLowerCase() === 'watchlist') return { username, kind: 'watchlist', slug: null };
+  return { username, kind: 'diary', slug: null };
+}
+
+/**
+ * Build the URL of a page of a Letterboxd list
+ * @param {Object} source - { username, kind, slug }
+ * @param {number} page - 1-based page number
+ * @param {string} sortBy - Sort field
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {string}
+ */
+function buildPageUrl(source, page, sortBy, sortOrder) {
+  let path;
+  if (source.kind === 'list') path = `${source.username}/list/${source.slug}`;
+  else if (source.kind === 'watchlist') path = `${source.username}/watchlist`;
+  else path = `${source.username}/films/diary`;
+
+  const sortPath = source.kind !== 'diary' ? LETTERBOXD_SORT_PATHS[sortBy]?.[sortOrder === 'asc' ? 'asc' : 'desc'] : null;
+  if (sortPath) path += `/by/${sortPath}`;
+  if (page > 1) path += `/page/${page}`;
+
+  return `${LETTERBOXD_BASE_URL}/${path}/`;
+}
+
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&#0*39;|&apos;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extract film slugs from a list/watchlist/diary page, in page order
+ * @param {string} html - Page HTML
+ * @returns {Array<string>} Film slugs
+ */
+function extractFilmSlugs(html) {
+  const slugs = [];
+  const seen = new Set();
+  const slugRegex = /data-(?:film|item)-slug="([^"]+)"|data-target-link="\/film\/([^/"]+)\/"/g;
+  let match;
+  while ((match = slugRegex.exec(html)) !== null) {
+    const slug = match[1] || match[2];
+    if (slug && !seen.has(slug)) {
+      seen.add(slug);
+      slugs.push(slug);
+    }
+  }
+  return slugs;
+}
+
+async function fetchPage(url) {
+  const response = await axios.get(url, { headers: LETTERBOXD_HEADERS, timeout: 15000 });
+  return typeof response.data === 'string' ? response.data : '';
+}
+
+/**
+ * Resolve a Letterboxd film slug to IMDb/TMDB IDs using the film page
+ * @param {string} slug - Film slug
+ * @returns {Promise<Object|null>} { imdbId, tmdbId, type }
+ */
+async function resolveFilm(slug) {
+  const cached = filmIdCache.get(slug);
+  if (cached) return cached === 'none' ? null : cached;
+
+  try {
+    const html = await fetchPage(`${LETTERBOXD_BASE_URL}/film/${slug}/`);
+    const imdbMatch = html.match(/imdb\.com\/title\/(tt\d+)/);
+    const tmdbIdMatch = html.match(/data-tmdb-id="(\d+)"/);
+    const tmdbTypeMatch = html.match(/data-tmdb-type="(\w+)"/);
+
+    const result = imdbMatch ? {
+      imdbId: imdbMatch[1],
+      tmdbId: tmdbIdMatch ? tmdbIdMatch[1] : null,
+      type: tmdbTypeMatch && tmdbTypeMatch[1] === 'tv' ? 'series' : 'movie'
+    } : null;
+
+    filmIdCache.set(slug, result || 'none');
+    return result;
+  } catch (error) {
+    console.error(`[Letterboxd] Error resolving film ${slug}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch details for a Letterboxd list, watchlist or diary URL for importing
+ * @param {string} url - Letterboxd URL
+ * @returns {Promise<Object>} Import details
+ */
+async function fetchLetterboxdListDetails(url) {
+  const source = parseLetterboxdUrl(url);
+  if (!source) {
+    throw new Error('Invalid Letterboxd URL. Supported: list, watchlist and diary URLs.');
+  }
+
+  try {
+    const html = await fetchPage(buildPageUrl(source, 1));
+    if (extractFilmSlugs(html).length === 0) {
+      throw new Error('No films found. The list may be private or empty.');
+    }
+
+    let listName;
+    if (source.kind === 'list') {
+      const titleMatch = html.match(/<meta property="og:title" content="([^"]+)"/);
+      listName = titleMatch ? decodeHtmlEntities(titleMatch[1]) : source.slug;
+    } else {
+      listName = `${source.username}'s ${source.kind === 'watchlist' ? 'Watchlist' : 'Diary'}`;
+    }
+
+    return {
+      listId: `letterboxd_${source.username}_${source.kind === 'list' ? source.slug : source.kind}`,
+      listName,
+      letterboxdUser: source.username,
+      letterboxdKind: source.kind,
+      letterboxdSlug: source.slug,
+      hasMovies: true,
+      hasShows: false
+    };
+  } catch (error) {
+    console.error('[Letterboxd] Exception fetching list details:', error.message);
+    const reason = error.response?.status === 404 ? 'List not found' : error.message;
+    throw new Error(`Failed to fetch Letterboxd list: ${reason}`);
+  }
+}
+
+/**
+ * Fetch a page of items from an imported Letterboxd list
+ * @param {Object} addonConfig - Imported list entry (letterboxdUser, letterboxdKind, letterboxdSlug)
+ * @param {number} skip - Number of items to skip
+ * @param {string} sortBy - Sort field (see letterboxdSortOptions)
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {Promise<Object>} { allItems, hasMovies, hasShows }
+ * @throws {Error} The request error when Letterboxd can't be read, so the list's health can record it
+ */
+async function fetchLetterboxdListItems(addonConfig, skip = 0, sortBy = 'default', sortOrder = 'desc') {
+  const source = { username: addonConfig.letterboxdUser, kind: addonConfig.letterboxdKind, slug: addonConfig.letterboxdSlug };
+  const cacheKey = buildPageUrl(source, 1, sortBy, sortOrder);
+  // Shuffled pages differ on every request, so a cached scan would mix orders
+  const scan = (sortBy !== 'random' && listScanCache.get(cacheKey)) || { slugs: [], seen: new Set(), nextPage: 1, exhausted: false };
+
+  try {
+    let pagesFetched = 0;
+    while (!scan.exhausted && scan.slugs.length < skip + ITEMS_PER_PAGE && pagesFetched < MAX_PAGES_PER_REQUEST) {
+      const html = await fetchPage(buildPageUrl(source, scan.nextPage, sortBy, sortOrder));
+      pagesFetched++;
+      scan.nextPage++;
+
+      const newSlugs = extractFilmSlugs(html).filter(slug => !scan.seen.has(slug));
+      if (newSlugs.length === 0) {
+        scan.exhausted = true;
+        break;
+      }
+      newSlugs.forEach(slug => {
+        scan.seen.add(slug);
+        scan.slugs.push(slug);
+      });
+    }
+  } catch (error) {
+    // Letterboxd answers past the last page with a 404, on the first page it means the list is gone
+    if (error.response?.status === 404 && scan.nextPage > 1) {
+      scan.exhausted = true;
+    } else {
+      console.error(`[Letterboxd] Error fetching ${addonConfig.name || cacheKey}:`, error.message);
+      throw error;
+    }
+  }
+
+  if (sortBy !== 'random') listScanCache.set(cacheKey, scan);
+
+  const pageSlugs = scan.slugs.slice(skip, skip + ITEMS_PER_PAGE);
+  const resolved = [];
+  for (let i = 0; i < pageSlugs.length; i += FILM_LOOKUP_CONCURRENCY) {
+    const batch = pageSlugs.slice(i, i + FILM_LOOKUP_CONCURRENCY);
+    resolved.push(...await Promise.all(batch.map(resolveFilm)));
+  }
+
+  const allItems = resolved
+    .filter(Boolean)
+    .map(film => ({ imdb_id: film.imdbId, tmdb_id: film.tmdbId, type: film.type }));
+
+  return {
+    allItems,
+    hasMovies: allItems.some(item => item.type === 'movie'),
+    hasShows: allItems.some(item => item.type === 'series')
+  };
+}
+
+module.exports = {
+  parseLetterboxdUrl,
+  fetchLetterboxdListDetails,
+  fetchLetterboxdListItems
+};
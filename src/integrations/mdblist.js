@@ -313,9 +313,10 @@ function processMDBListApiResponse(data, isWatchlistUnified = false) {
  * @param {string} genre - Genre filter
  * @param {Object} userConfig - User configuration for metadata enrichment
  * @param {boolean} isMergedByUser - Whether this is a merged/unified list
+ * @param {boolean} throwOnError - Rethrow request errors instead of returning null (URL imports record them as source health)
  * @returns {Promise<Object|null>} Formatted list content or null if failed
  */
-async function fetchListItemsFromPublicJson(username, listSlug, skip = 0, sort = 'rank', order = 'asc', genre = null, userConfig = null, isMergedByUser = false) {
+async function fetchListItemsFromPublicJson(username, listSlug, skip = 0, sort = 'rank', order = 'asc', genre = null, userConfig = null, isMergedByUser = false, throwOnError = false) {
   try {
     // Construct the public JSON URL with full parameter support
     const params = new URLSearchParams();
@@ -414,6 +415,7 @@ async function fetchListItemsFromPublicJson(username, listSlug, skip = 0, sort =
     if (error.response) {
       console.error(`[MDBList Public] HTTP ${error.response.status}: ${error.response.statusText}`);
     }
+    if (throwOnError) throw error;
     return null;
   }
 }
@@ -425,7 +427,7 @@ async function fetchListItems(
     stremioSkip = 0,
     sort = 'default',
     order = 'desc',
-    isUrlImported = false, // Not directly relevant here, but part of original signature
+    isUrlImported = false, // URL imports get request errors thrown instead of null, for their source health
     genre = null,
     usernameForRandomList = null, // The username whose list we are fetching
     isMergedByUser = false,
@@ -571,6 +573,8 @@ async function fetchListItems(
              return null;
           } else {
               console.error(`Failed to fetch page for ${effectiveMdbListId} (genre filter) after ${currentRetries} attempts.`);
+              // URL imports record the error against the list's health
+              if (isUrlImported && allEnrichedGenreItems.length === 0) throw error;
               morePagesFromMdbList = false;
               break;
           }
@@ -682,6 +686,7 @@ async function fetchListItems(
              return null;
           } else {
               console.error(`Failed to fetch items for ${effectiveMdbListId} after ${currentRetries} attempts.`);
+              if (isUrlImported) throw error;
               return null;
           }
       }
@@ -882,11 +887,38 @@ async function extractListFromUrl(url, apiKey) {
   throw new Error('Failed to extract MDBList from URL after multiple retries.');
 }
 
+/**
+ * Add or remove a movie/show on one of the API key owner's static MDBLists or their watchlist.
+ * External lists and dynamic (filter-based) lists can't be edited and MDBList rejects those.
+ * @param {string} listId - MDBList list ID or 'watchlist'
+ * @param {string} apiKey - MDBList API key
+ * @param {string} action - 'add' or 'remove'
+ * @param {Object} item - { imdbId, tmdbId, type } where type is 'movie' or 'series'
+ * @returns {Promise<Object>} MDBList response
+ */
+async function modifyListItems(listId, apiKey, action, item) {
+  if (!apiKey) throw new Error('MDBList API key is required');
+
+  const entry = {};
+  if (item.imdbId) entry.imdb = item.imdbId;
+  if (item.tmdbId) entry.tmdb = parseInt(item.tmdbId, 10);
+  const body = { [item.type === 'series' ? 'shows' : 'movies']: [entry] };
+
+  const basePath = String(listId) === 'watchlist'
+    ? 'https://api.mdblist.com/watchlist/items'
+    : `https://api.mdblist.com/lists/${listId}/items`;
+  const operation = action === 'remove' ? 'remove' : 'add';
+
+  const response = await axios.post(`${basePath}/${operation}?apikey=${apiKey}`, body, { timeout: 15000 });
+  return response.data;
+}
+
 module.exports = {
   fetchAllLists,
   fetchAllListsForUser,
   fetchListItems,
   fetchListItemsFromPublicJson,
+  modifyListItems,
   validateMDBListKey,
   extractListFromUrl,
   convertPublicListsToPremium
@@ -0,0 +1,210 @@
+// src/integrations/simkl.js
+const axios = require('axios');
+const crypto = require('crypto');
+const Cache = require('../utils/cache');
+const { ITEMS_PER_PAGE, SIMKL_CLIENT_ID } = require('../config');
+
+const SIMKL_API_URL = 'https://api.simkl.com';
+const SIMKL_POSTER_URL = 'https://simkl.in/posters';
+
+// listId -> Simkl sync status / trending endpoint. Trending doesn't need a user token, only the client id.
+const SIMKL_LIST_REGEX = /^simkl_(watching|plantowatch|completed|trending)_(movies|shows|anime)$/;
+const SIMKL_TRENDING_PATHS = { movies: 'movies', shows: 'tv', anime: 'anime' };
+const SIMKL_TRENDING_INTERVAL = 'week';
+
+// Whole sync lists per user, so paging through a catalog is one request every few minutes
+const simklListCache = new Cache({ defaultTTL: 5 * 60 * 1000 });
+const simklTrendingCache = new Cache({ defaultTTL: 60 * 60 * 1000 });
+
+function getSimklHeaders(accessToken = null) {
+  const headers = { 'Content-Type': 'application/json', 'simkl-api-key': SIMKL_CLIENT_ID };
+  if (accessToken) headers['Authorization'] = `Bearer ${accessToken}`;
+  return headers;
+}
+
+/**
+ * Start a Simkl PIN (device) authorization
+ * @returns {Promise<Object>} { userCode, verificationUrl, expiresIn, interval }
+ */
+async function getSimklPinCode() {
+  if (!SIMKL_CLIENT_ID) {
+    throw new Error('Simkl is not configured on this server (SIMKL_CLIENT_ID is missing).');
+  }
+  const response = await axios.get(`${SIMKL_API_URL}/oauth/pin`, {
+    headers: getSimklHeaders(),
+    params: { client_id: SIMKL_CLIENT_ID },
+    timeout: 10000
+  });
+  if (!response.data?.user_code) {
+    throw new Error('Simkl did not return a PIN code');
+  }
+  return {
+    userCode: response.data.user_code,
+    verificationUrl: response.data.verification_url || 'https://simkl.com/pin',
+    expiresIn: response.data.expires_in,
+    interval: response.data.interval
+  };
+}
+
+/**
+ * Check whether the user has approved a Simkl PIN yet
+ * @param {string} userCode - Code returned by getSimklPinCode
+ * @returns {Promise<Object|null>} { accessToken, username } once approved, null while still pending
+ */
+async function authenticateSimkl(userCode) {
+  const response = await axios.get(`${SIMKL_API_URL}/oauth/pin/${encodeURIComponent(userCode)}`, {
+    headers: getSimklHeaders(),
+    params: { client_id: SIMKL_CLIENT_ID },
+    timeout: 10000
+  });
+  if (response.data?.result !== 'OK' || !response.data.access_token) {
+    return null;
+  }
+
+  const accessToken = response.data.access_token;
+  const settingsResponse = await axios.post(`${SIMKL_API_URL}/users/settings`, {}, { headers: getSimklHeaders(accessToken), timeout: 10000 });
+  return {
+    accessToken,
+    username: settingsResponse.data?.user?.name || null
+  };
+}
+
+/**
+ * The catalogs a connected Simkl account provides. Simkl has no custom lists, so these are fixed.
+ * @param {Object} userConfig - User configuration
+ * @returns {Promise<Array>} List definitions
+ */
+async function fetchSimklLists(userConfig) {
+  if (!userConfig.simklAccessToken) return [];
+
+  const lists = [
+    { id: 'simkl_watching_shows', name: 'Simkl Watching Shows', hasMovies: false, hasShows: true },
+    { id: 'simkl_watching_anime', name: 'Simkl Watching Anime', hasMovies: true, hasShows: true },
+    { id: 'simkl_plantowatch_movies', name: 'Simkl Plan to Watch Movies', isSimklWatchlist: true, hasMovies: true, hasShows: false },
+    { id: 'simkl_plantowatch_shows', name: 'Simkl Plan to Watch Shows', isSimklWatchlist: true, hasMovies: false, hasShows: true },
+    { id: 'simkl_plantowatch_anime', name: 'Simkl Plan to Watch Anime', isSimklWatchlist: true, hasMovies: true, hasShows: true },
+    { id: 'simkl_completed_movies', name: 'Simkl Completed Movies', hasMovies: true, hasShows: false },
+    { id: 'simkl_completed_shows', name: 'Simkl Completed Shows', hasMovies: false, hasShows: true },
+    { id: 'simkl_completed_anime', name: 'Simkl Completed Anime', hasMovies: true, hasShows: true },
+    { id: 'simkl_trending_movies', name: 'Simkl Trending Movies', isSimklTrending: true, hasMovies: true, hasShows: false },
+    { id: 'simkl_trending_shows', name: 'Simkl Trending Shows', isSimklTrending: true, hasMovies: false, hasShows: true },
+    { id: 'simkl_trending_anime', name: 'Simkl Trending Anime', isSimklTrending: true, hasMovies: true, hasShows: true }
+  ];
+  return lists.map(list => ({ ...list, listType: 'S', updated: new Date().toISOString() }));
+}
+
+/**
+ * Turn a Simkl title into a list item, preferring IMDb, then TMDB, then Kitsu IDs.
+ * Kitsu IDs (anime Simkl has no IMDb/TMDB match for) get their metadata from the Kitsu addon in the meta route.
+ * @param {Object} media - Simkl movie/show object
+ * @param {string} type - 'movie' or 'series'
+ * @returns {Object|null}
+ */
+function toListItem(media, type) {
+  const ids = media?.ids || {};
+  let id;
+  if (ids.imdb) id = ids.imdb;
+  else if (ids.tmdb) id = `tmdb:${ids.tmdb}`;
+  else if (ids.kitsu) id = `kitsu:${ids.kitsu}`;
+  else return null;
+
+  return {
+    id,
+    imdb_id: ids.imdb || null,
+    tmdb_id: ids.tmdb || null,
+    type,
+    title: media.title,
+    name: media.title,
+    year: media.year,
+    poster: media.poster ? `${SIMKL_POSTER_URL}/${media.poster}_m.jpg` : undefined
+  };
+}
+
+async function fetchSimklSyncItems(status, kind, accessToken) {
+  const tokenHash = crypto.createHash('sha1').update(accessToken).digest('hex');
+  const cacheKey = `${tokenHash}_${status}_${kind}`;
+  const cached = simklListCache.get(cacheKey);
+  if (cached) return cached;
+
+  const response = await axios.get(`${SIMKL_API_URL}/sync/all-items/${kind}/${status}`, {
+    headers: getSimklHeaders(accessToken),
+    timeout: 15000
+  });
+  const entries = Array.isArray(response.data?.[kind]) ? response.data[kind] : [];
+  const dateField = status === 'plantowatch' ? 'added_to_watchlist_at' : 'last_watched_at';
+
+  const items = entries
+    .sort((a, b) => new Date(b[dateField] || 0) - new Date(a[dateField] || 0))
+    .map(entry => {
+      if (kind === 'movies') return toListItem(entry.movie, 'movie');
+      const type = kind === 'anime' && entry.anime_type === 'movie' ? 'movie' : 'series';
+      return toListItem(entry.show, type);
+    })
+    .filter(Boolean);
+
+  simklListCache.set(cacheKey, items);
+  return items;
+}
+
+async function fetchSimklTrendingItems(kind) {
+  const cached = simklTrendingCache.get(kind);
+  if (cached) return cached;
+
+  const response = await axios.get(`${SIMKL_API_URL}/${SIMKL_TRENDING_PATHS[kind]}/trending/${SIMKL_TRENDING_INTERVAL}`, {
+    headers: getSimklHeaders(),
+    params: { client_id: SIMKL_CLIENT_ID, extended: 'overview,metadata,tmdb,genres' },
+    timeout: 15000
+  });
+  const entries = Array.isArray(response.data) ? response.data : [];
+  const items = entries
+    .map(entry => {
+      const type = kind === 'movies' || (kind === 'anime' && entry.anime_type === 'movie') ? 'movie' : 'series';
+      return toListItem(entry, type);
+    })
+    .filter(Boolean);
+
+  simklTrendingCache.set(kind, items);
+  return items;
+}
+
+/**
+ * Fetch a page of items from a Simkl catalog
+ * @param {string} listId - e.g. simkl_plantowatch_movies
+ * @param {Object} userConfig - User configuration
+ * @param {number} skip - Number of items to skip
+ * @param {string} itemTypeHint - 'movie', 'series' or 'all'
+ * @returns {Promise<Object|null>} { allItems, hasMovies, hasShows }
+ */
+async function fetchSimklListItems(listId, userConfig, skip = 0, itemTypeHint = 'all') {
+  const match = String(listId).match(SIMKL_LIST_REGEX);
+  if (!match) {
+    console.warn(`[SimklIntegration] Unknown Simkl list ID: ${listId}`);
+    return null;
+  }
+  const [, status, kind] = match;
+
+  try {
+    const items = status === 'trending'
+      ? await fetchSimklTrendingItems(kind)
+      : await fetchSimklSyncItems(status, kind, userConfig.simklAccessToken);
+
+    const allItems = items
+      .filter(item => !itemTypeHint || itemTypeHint === 'all' || item.type === itemTypeHint)
+      .slice(skip, skip + ITEMS_PER_PAGE);
+    return {
+      allItems,
+      hasMovies: allItems.some(item => item.type === 'movie'),
+      hasShows: allItems.some(item => item.type === 'series')
+    };
+  } catch (error) {
+    console.error(`[SimklIntegration] Error fetching ${listId}:`, error.response?.status || '', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  getSimklPinCode,
+  authenticateSimkl,
+  fetchSimklLists,
+  fetchSimklListItems
+};
@@ -10,6 +10,7 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
 const Cache = require('../utils/cache');
 const { ITEMS_PER_PAGE, TMDB_REDIRECT_URI, TMDB_BEARER_TOKEN, TMDB_CONCURRENT_REQUESTS } = require('../config');
 
@@ -23,6 +24,26 @@ const TMDB_REQUEST_TIMEOUT = 15000;
 // TMDB Bearer Token - Read Access Token from environment variable (for server-side operations)
 const DEFAULT_TMDB_BEARER_TOKEN = TMDB_BEARER_TOKEN;
 
+// Discover catalogs are not tied to a TMDB account, so they don't share the tmdb_ prefix
+// (disconnecting TMDB purges everything starting with tmdb_)
+const TMDB_DISCOVER_PREFIX = 'tmdbdiscover_';
+const TMDB_DISCOVER_PAGE_SIZE = 20;
+const TMDB_DISCOVER_MAX_PAGE = 500;
+const TMDB_DISCOVER_CACHE_TTL = 60 * 60 * 1000;
+// sortBy -> TMDB sort field, per media type
+const TMDB_DISCOVER_SORT_FIELDS = {
+  popularity: { movie: 'popularity', tv: 'popularity' },
+  vote_average: { movie: 'vote_average', tv: 'vote_average' },
+  vote_count: { movie: 'vote_count', tv: 'vote_count' },
+  release_date: { movie: 'primary_release_date', tv: 'first_air_date' },
+  title: { movie: 'title', tv: 'name' }
+};
+// Genre names used in catalog filters that TMDB spells differently
+const TMDB_GENRE_ALIASES = {
+  'sci-fi': ['science fiction'],
+  'science fiction': ['sci-fi']
+};
+
 /**
  * Create TMDB request token (Step 1)
  * @param {string} userBearerToken - User's TMDB Read Access Token
@@ -232,112 +253,730 @@ async function fetchTmdbLists(userConfig) {
   }
 }
 
+// sortBy (see tmdbSortOptions) -> TMDB v4 list sort field. Anything missing here is sorted locally.
+const TMDB_V4_LIST_SORT_FIELDS = {
+  added: 'original_order',
+  title: 'title',
+  released: 'primary_release_date',
+  rating: 'vote_average'
+};
+const TMDB_LOCAL_SORT_KEYS = {
+  title: item => (item.title || item.name || '').toLowerCase(),
+  released: item => item.release_date || item.first_air_date || '',
+  rating: item => item.vote_average || 0,
+  popularity: item => item.popularity || 0
+};
+// Safety cap on how many TMDB pages are read per stream when a list has to be sorted locally
+const TMDB_LIST_SCAN_MAX_PAGES = 25;
+
+// Merge progress per list and sort, so deeper catalog pages continue where the last one stopped
+const tmdbListScanCache = new Cache({ defaultTTL: 5 * 60 * 1000 });
+// Scan running per cache key. Concurrent requests for a list continue the same cached scan,
+// so they take turns instead of reading the same pages into it twice.
+const tmdbListScansInFlight = new Map();
+
+function normalizeTmdbSort(sortBy) {
+  return TMDB_LOCAL_SORT_KEYS[sortBy] ? sortBy : 'added';
+}
+
+/**
+ * Read items from one or more paged TMDB endpoints into a single ordered list.
+ * In 'added' order the streams are taken in turn (TMDB doesn't say when an item was added,
+ * so there is nothing to merge on); other sorts read every stream and sort locally.
+ * @param {string} cacheKey - Scan cache key
+ * @param {Array<Function>} streams - page => Promise<{ results, totalPages }>
+ * @param {number} needed - How many merged items the caller needs
+ * @param {string|null} localSort - Key of TMDB_LOCAL_SORT_KEYS, or null to keep stream order
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {Promise<Array>} Merged items read so far
+ */
+async function scanTmdbStreams(cacheKey, streams, needed, localSort, sortOrder) {
+  const previous = tmdbListScansInFlight.get(cacheKey) || Promise.resolve();
+  const current = previous
+    .catch(() => {})
+    .then(() => continueTmdbStreamScan(cacheKey, streams, needed, localSort, sortOrder));
+  tmdbListScansInFlight.set(cacheKey, current);
+  try {
+    return await current;
+  } finally {
+    if (tmdbListScansInFlight.get(cacheKey) === current) tmdbListScansInFlight.delete(cacheKey);
+  }
+}
+
+async function continueTmdbStreamScan(cacheKey, streams, needed, localSort, sortOrder) {
+  const scan = tmdbListScanCache.get(cacheKey) || {
+    items: [],
+    cursors: streams.map(() => ({ buffer: [], nextPage: 1, exhausted: false })),
+    turn: 0
+  };
+
+  const readPage = async (cursor, fetchPage) => {
+    const { results, totalPages } = await fetchPage(cursor.nextPage);
+    cursor.nextPage++;
+    cursor.buffer.push(...results);
+    if (results.length === 0 || cursor.nextPage > totalPages || cursor.nextPage > TMDB_LIST_SCAN_MAX_PAGES) {
+      cursor.exhausted = true;
+    }
+  };
+
+  if (localSort) {
+    if (!scan.complete) {
+      await Promise.all(streams.map(async (fetchPage, index) => {
+        const cursor = scan.cursors[index];
+        while (!cursor.exhausted) await readPage(cursor, fetchPage);
+      }));
+      const sortKey = TMDB_LOCAL_SORT_KEYS[localSort];
+      const direction = sortOrder === 'asc' ? 1 : -1;
+      scan.items = scan.cursors.flatMap(cursor => cursor.buffer).sort((a, b) => {
+        const valueA = sortKey(a);
+        const valueB = sortKey(b);
+        return valueA < valueB ? -direction : valueA > valueB ? direction : 0;
+      });
+      scan.cursors.forEach(cursor => { cursor.buffer = []; });
+      scan.complete = true;
+    }
+  } else {
+    while (scan.items.length < needed) {
+      const index = [...Array(streams.length).keys()]
+        .map(offset => (scan.turn + offset) % streams.length)
+        .find(i => scan.cursors[i].buffer.length > 0 || !scan.cursors[i].exhausted);
+      if (index === undefined) break;
+
+      const cursor = scan.cursors[index];
+      if (cursor.buffer.length === 0) {
+        await readPage(cursor, streams[index]);
+        if (cursor.buffer.length === 0) continue;
+      }
+      scan.items.push(cursor.buffer.shift());
+      scan.turn = index + 1;
+    }
+  }
+
+  tmdbListScanCache.set(cacheKey, scan);
+  // A copy, the next scan of this list keeps appending to scan.items
+  return scan.items.slice();
+}
+
 /**
  * Fetch items from a TMDB list
  * @param {string} listId - List identifier
  * @param {Object} userConfig - User configuration
  * @param {number} skip - Number of items to skip
- * @param {string} sortBy - Sort option
+ * @param {string} sortBy - Sort option (see tmdbSortOptions)
  * @param {string} sortOrder - Sort order
  * @param {string} genre - Genre filter
+ * @param {string} itemTypeHint - 'movie', 'series' or 'all'
  * @returns {Promise<Object>} List content
  */
-async function fetchTmdbListItems(listId, userConfig, skip = 0, sortBy = 'created_at', sortOrder = 'desc', genre = null) {
+async function fetchTmdbListItems(listId, userConfig, skip = 0, sortBy = 'added', sortOrder = 'desc', genre = null, itemTypeHint = 'all') {
+  if (listId.startsWith(TMDB_DISCOVER_PREFIX)) {
+    const definition = userConfig.tmdbDiscoverLists?.[listId];
+    if (!definition) return null;
+    try {
+      return await fetchTmdbDiscoverItems(definition, userConfig, skip, genre);
+    } catch (error) {
+      console.error(`Error fetching TMDB discover catalog ${listId}:`, error.response?.status || '', error.message);
+      return null;
+    }
+  }
+
   if (!userConfig.tmdbSessionId || !userConfig.tmdbAccountId) {
     return null;
   }
 
-  const limit = ITEMS_PER_PAGE;
-  const page = Math.floor(skip / limit) + 1;
+  const sort = normalizeTmdbSort(sortBy);
+  const order = sortOrder === 'asc' ? 'asc' : 'desc';
+  const wantsMovies = !itemTypeHint || itemTypeHint === 'all' || itemTypeHint === 'movie';
+  const wantsShows = !itemTypeHint || itemTypeHint === 'all' || itemTypeHint === 'series';
+  const language = userConfig.tmdbLanguage || 'en-US';
+  const cacheKey = `${userConfig.tmdbAccountId}_${listId}_${sort}_${order}_${itemTypeHint || 'all'}_${language}`;
 
-  try {
-    let apiUrl;
-    let params = {
-      session_id: userConfig.tmdbSessionId,
-      page: page,
-      language: userConfig.tmdbLanguage || 'en-US'
-    };
+  const headers = {
+    'accept': 'application/json',
+    'Authorization': `Bearer ${userConfig.tmdbBearerToken || DEFAULT_TMDB_BEARER_TOKEN}`
+  };
 
-    const headers = {
-      'accept': 'application/json',
-      'Authorization': `Bearer ${userConfig.tmdbBearerToken || DEFAULT_TMDB_BEARER_TOKEN}`
-    };
+  try {
+    let items;
 
-    if (listId === 'tmdb_watchlist') {
-      // Fetch watchlist items (both movies and TV shows)
-      const [moviesResponse, tvResponse] = await Promise.all([
-        axios.get(`${TMDB_BASE_URL_V3}/account/${userConfig.tmdbAccountId}/watchlist/movies`, {
+    if (listId === 'tmdb_watchlist' || listId === 'tmdb_favorites') {
+      const accountPath = listId === 'tmdb_watchlist' ? 'watchlist' : 'favorite';
+      // These endpoints can only sort by date added, everything else is sorted locally
+      const accountStream = (mediaPath, mediaType) => async page => {
+        const response = await axios.get(`${TMDB_BASE_URL_V3}/account/${userConfig.tmdbAccountId}/${accountPath}/${mediaPath}`, {
           headers,
-          params,
+          params: {
+            session_id: userConfig.tmdbSessionId,
+            page,
+            language,
+            sort_by: `created_at.${sort === 'added' ? order : 'desc'}`
+          },
           timeout: TMDB_REQUEST_TIMEOUT
-        }),
-        axios.get(`${TMDB_BASE_URL_V3}/account/${userConfig.tmdbAccountId}/watchlist/tv`, {
-          headers,
-          params,
-          timeout: TMDB_REQUEST_TIMEOUT
-        })
-      ]);
+        });
+        return {
+          results: (response.data?.results || []).map(item => ({ ...item, media_type: mediaType })),
+          totalPages: response.data?.total_pages || 1
+        };
+      };
 
-      const movies = moviesResponse.data?.results || [];
-      const tvShows = tvResponse.data?.results || [];
-      
-      const allItems = [
-        ...movies.map(item => ({ ...item, media_type: 'movie' })),
-        ...tvShows.map(item => ({ ...item, media_type: 'tv' }))
+      const streams = [
+        ...(wantsMovies ? [accountStream('movies', 'movie')] : []),
+        ...(wantsShows ? [accountStream('tv', 'tv')] : [])
       ];
+      items = await scanTmdbStreams(cacheKey, streams, skip + ITEMS_PER_PAGE, sort === 'added' ? null : sort, order);
 
-      return processListItems(allItems, userConfig, genre);
-      
-    } else if (listId === 'tmdb_favorites') {
-      // Fetch favorites (both movies and TV shows)
-      const [moviesResponse, tvResponse] = await Promise.all([
-        axios.get(`${TMDB_BASE_URL_V3}/account/${userConfig.tmdbAccountId}/favorite/movies`, {
+    } else if (listId.startsWith('tmdb_list_')) {
+      const tmdbListId = listId.replace('tmdb_list_', '');
+      const v4SortField = TMDB_V4_LIST_SORT_FIELDS[sort];
+      const matchesType = item => (item.media_type === 'tv' ? wantsShows : wantsMovies);
+      const v3FallbackKey = `${userConfig.tmdbAccountId}_${listId}_v3`;
+
+      // v4 lists sort server-side and hold both movies and shows
+      const v4Stream = async page => {
+        const response = await axios.get(`https://api.themoviedb.org/4/list/${tmdbListId}`, {
           headers,
-          params,
+          params: { page, language, ...(v4SortField ? { sort_by: `${v4SortField}.${order}` } : {}) },
           timeout: TMDB_REQUEST_TIMEOUT
-        }),
-        axios.get(`${TMDB_BASE_URL_V3}/account/${userConfig.tmdbAccountId}/favorite/tv`, {
+        });
+        return {
+          results: (response.data?.results || []).filter(matchesType),
+          totalPages: response.data?.total_pages || 1
+        };
+      };
+      const v3Stream = async page => {
+        const response = await axios.get(`${TMDB_BASE_URL_V3}/list/${tmdbListId}`, {
           headers,
-          params,
+          params: { session_id: userConfig.tmdbSessionId, page, language },
           timeout: TMDB_REQUEST_TIMEOUT
-        })
-      ]);
-
-      const movies = moviesResponse.data?.results || [];
-      const tvShows = tvResponse.data?.results || [];
-      
-      const allItems = [
-        ...movies.map(item => ({ ...item, media_type: 'movie' })),
-        ...tvShows.map(item => ({ ...item, media_type: 'tv' }))
-      ];
+        });
+        return {
+          results: (response.data?.items || []).filter(matchesType),
+          totalPages: response.data?.total_pages || 1
+        };
+      };
 
-      return processListItems(allItems, userConfig, genre);
-      
-    } else if (listId.startsWith('tmdb_list_')) {
-      // Fetch custom list
-      const tmdbListId = listId.replace('tmdb_list_', '');
-      apiUrl = `${TMDB_BASE_URL_V3}/list/${tmdbListId}`;
-      
-      const response = await axios.get(apiUrl, {
-        headers,
-        params,
-        timeout: TMDB_REQUEST_TIMEOUT
-      });
+      // Lists v4 can't read with the app token (private lists) are read from v3 with the user's session.
+      // The fallback is remembered next to the scans, and v3 can't sort, so its items are sorted locally.
+      if (!tmdbListScanCache.get(v3FallbackKey)) {
+        try {
+          items = await scanTmdbStreams(cacheKey, [v4Stream], skip + ITEMS_PER_PAGE, v4SortField ? null : sort, order);
+        } catch (error) {
+          if (![401, 403, 404].includes(error.response?.status)) throw error;
+          console.warn(`[TMDB] v4 list ${tmdbListId} not readable (${error.response.status}), falling back to v3`);
+          tmdbListScanCache.set(v3FallbackKey, true);
+        }
+      }
+      if (!items) {
+        items = await scanTmdbStreams(`${cacheKey}_v3`, [v3Stream], skip + ITEMS_PER_PAGE, sort === 'added' ? null : sort, order);
+      }
 
-      const items = response.data?.items || [];
-      return processListItems(items, userConfig, genre);
-      
     } else {
       console.warn(`Unknown TMDB list type: ${listId}`);
       return null;
     }
 
+    return processListItems(items.slice(skip, skip + ITEMS_PER_PAGE), userConfig, genre);
+
   } catch (error) {
     console.error(`Error fetching TMDB list ${listId}:`, error.message);
     return null;
   }
 }
 
+/**
+ * Generate a new unique ID for a TMDB Discover catalog
+ * @returns {string} Catalog ID
+ */
+function generateTmdbDiscoverListId() {
+  return `${TMDB_DISCOVER_PREFIX}${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function toIdList(value) {
+  const values = Array.isArray(value) ? value : String(value ?? '').split(/[,|]/);
+  return Array.from(new Set(values.map(v => parseInt(v, 10)).filter(v => Number.isInteger(v) && v > 0)));
+}
+
+function toNumberInRange(value, min, max) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : undefined;
+}
+
+/**
+ * Validate and normalize the filters of a TMDB Discover catalog
+ * @param {Object} params - Raw filters from the request
+ * @param {string} mediaType - 'movie' or 'series'
+ * @returns {Object} Filters to store in the config
+ * @throws {Error} When the filters are inconsistent
+ */
+function sanitizeTmdbDiscoverParams(params = {}, mediaType = 'movie') {
+  const currentYear = new Date().getFullYear();
+  const sanitized = {};
+
+  // Genres can be TMDB genre ids or names, names are resolved when the catalog is fetched
+  const genres = (Array.isArray(params.genres) ? params.genres : String(params.genres ?? '').split(','))
+    .map(genre => (/^\d+$/.test(String(genre).trim()) ? parseInt(genre, 10) : String(genre).trim()))
+    .filter(Boolean);
+  if (genres.length > 0) sanitized.genres = Array.from(new Set(genres));
+
+  const yearFrom = toNumberInRange(params.yearFrom, 1870, currentYear + 5);
+  const yearTo = toNumberInRange(params.yearTo, 1870, currentYear + 5);
+  if (yearFrom !== undefined) sanitized.yearFrom = Math.floor(yearFrom);
+  if (yearTo !== undefined) sanitized.yearTo = Math.floor(yearTo);
+  if (yearFrom !== undefined && yearTo !== undefined && yearFrom > yearTo) {
+    throw new Error('yearFrom must not be after yearTo');
+  }
+
+  const minRating = toNumberInRange(params.minRating, 0, 10);
+  const maxRating = toNumberInRange(params.maxRating, 0, 10);
+  const minVotes = toNumberInRange(params.minVotes, 0, Number.MAX_SAFE_INTEGER);
+  if (minRating !== undefined) sanitized.minRating = minRating;
+  if (maxRating !== undefined) sanitized.maxRating = maxRating;
+  if (minVotes !== undefined) sanitized.minVotes = Math.floor(minVotes);
+
+  if (params.originalLanguage) {
+    const language = String(params.originalLanguage).trim().toLowerCase();
+    if (!/^[a-z]{2}$/.test(language)) throw new Error('originalLanguage must be an ISO 639-1 code, e.g. "ko"');
+    sanitized.originalLanguage = language;
+  }
+
+  const watchProviders = toIdList(params.watchProviders);
+  if (watchProviders.length > 0) {
+    const watchRegion = String(params.watchRegion || '').trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(watchRegion)) throw new Error('watchRegion (ISO 3166-1 code, e.g. "NL") is required with watchProviders');
+    sanitized.watchProviders = watchProviders;
+    sanitized.watchRegion = watchRegion;
+  }
+
+  const keywords = toIdList(params.keywords);
+  const companies = toIdList(params.companies);
+  const networks = toIdList(params.networks);
+  if (keywords.length > 0) sanitized.keywords = keywords;
+  if (companies.length > 0) sanitized.companies = companies;
+  if (networks.length > 0) {
+    if (mediaType !== 'series') throw new Error('networks can only be used for series catalogs');
+    sanitized.networks = networks;
+  }
+
+  if (params.sortBy) {
+    const [field, order = 'desc'] = String(params.sortBy).split('.');
+    if (!TMDB_DISCOVER_SORT_FIELDS[field] || !['asc', 'desc'].includes(order)) {
+      throw new Error(`sortBy must be one of ${Object.keys(TMDB_DISCOVER_SORT_FIELDS).join(', ')} with .asc or .desc`);
+    }
+    sanitized.sortBy = `${field}.${order}`;
+  }
+
+  return sanitized;
+}
+
+/**
+ * Map of lowercase genre name -> TMDB genre id for one media type
+ * @param {string} endpoint - 'movie' or 'tv'
+ * @param {string} language - Language code
+ * @param {string} bearerToken - TMDB Read Access Token
+ * @returns {Promise<Map<string, number>>}
+ */
+async function fetchTmdbGenreIdMap(endpoint, language, bearerToken) {
+  const cacheKey = `tmdb_genre_ids_${endpoint}_${language}`;
+  const cached = tmdbCache.get(cacheKey);
+  if (cached) return cached;
+
+  const response = await axios.get(`${TMDB_BASE_URL_V3}/genre/${endpoint}/list`, {
+    params: { language },
+    headers: {
+      'accept': 'application/json',
+      'Authorization': `Bearer ${bearerToken}`
+    },
+    timeout: TMDB_REQUEST_TIMEOUT
+  });
+  const genreIdMap = new Map((response.data?.genres || []).map(genre => [genre.name.toLowerCase(), genre.id]));
+  tmdbCache.set(cacheKey, genreIdMap);
+  return genreIdMap;
+}
+
+/**
+ * Resolve a genre name to a TMDB genre id. Tries the user's language, then English, and
+ * matches TV's combined genres ("Action & Adventure") on either half.
+ * @returns {Promise<number|null>}
+ */
+async function resolveTmdbGenreId(genreName, endpoint, language, bearerToken) {
+  const wanted = String(genreName).trim().toLowerCase();
+  const candidates = [wanted, ...(TMDB_GENRE_ALIASES[wanted] || [])];
+  const languages = language && language !== 'en-US' ? [language, 'en-US'] : ['en-US'];
+
+  for (const lang of languages) {
+    const genreIdMap = await fetchTmdbGenreIdMap(endpoint, lang, bearerToken);
+    for (const candidate of candidates) {
+      if (genreIdMap.has(candidate)) return genreIdMap.get(candidate);
+    }
+    for (const [name, id] of genreIdMap) {
+      if (name.split(' & ').some(part => candidates.includes(part))) return id;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the /discover query for a TMDB Discover catalog
+ * @param {Object} definition - { mediaType, params }
+ * @param {Object} userConfig - User configuration
+ * @param {string} genre - Genre picked in the catalog's genre filter
+ * @returns {Promise<Object|null>} Query params, or null if a genre can't be matched
+ */
+async function buildTmdbDiscoverQuery(definition, userConfig, genre) {
+  const endpoint = definition.mediaType === 'series' ? 'tv' : 'movie';
+  const filters = definition.params || {};
+  const language = userConfig.tmdbLanguage || 'en-US';
+  const bearerToken = userConfig.tmdbBearerToken || DEFAULT_TMDB_BEARER_TOKEN;
+  const dateField = endpoint === 'tv' ? 'first_air_date' : 'primary_release_date';
+
+  const [sortField, sortOrder] = (filters.sortBy || 'popularity.desc').split('.');
+  const query = {
+    language,
+    include_adult: false,
+    sort_by: `${TMDB_DISCOVER_SORT_FIELDS[sortField]?.[endpoint] || 'popularity'}.${sortOrder || 'desc'}`
+  };
+
+  const genreNames = [...(filters.genres || [])];
+  if (genre && genre !== 'All') genreNames.push(genre);
+  const genreIds = [];
+  for (const genreName of genreNames) {
+    const genreId = typeof genreName === 'number' ? genreName : await resolveTmdbGenreId(genreName, endpoint, language, bearerToken);
+    if (!genreId) {
+      console.warn(`[TMDB Discover] No TMDB ${endpoint} genre matches "${genreName}"`);
+      return null;
+    }
+    genreIds.push(genreId);
+  }
+  if (genreIds.length > 0) query.with_genres = Array.from(new Set(genreIds)).join(',');
+
+  if (filters.yearFrom) query[`${dateField}.gte`] = `${filters.yearFrom}-01-01`;
+  if (filters.yearTo) query[`${dateField}.lte`] = `${filters.yearTo}-12-31`;
+  if (filters.minRating !== undefined) query['vote_average.gte'] = filters.minRating;
+  if (filters.maxRating !== undefined) query['vote_average.lte'] = filters.maxRating;
+  if (filters.minVotes !== undefined) query['vote_count.gte'] = filters.minVotes;
+  if (filters.originalLanguage) query.with_original_language = filters.originalLanguage;
+  if (filters.watchProviders) {
+    query.with_watch_providers = filters.watchProviders.join('|');
+    query.watch_region = filters.watchRegion;
+  }
+  if (filters.keywords) query.with_keywords = filters.keywords.join('|');
+  if (filters.companies) query.with_companies = filters.companies.join('|');
+  if (filters.networks && endpoint === 'tv') query.with_networks = filters.networks.join('|');
+
+  return query;
+}
+
+/**
+ * Fetch a page of items for a TMDB Discover catalog. Uses the Read Access Token only, no TMDB login needed.
+ * @param {Object} definition - { name, mediaType, params } as stored in userConfig.tmdbDiscoverLists
+ * @param {Object} userConfig - User configuration
+ * @param {number} skip - Number of items to skip
+ * @param {string} genre - Genre filter
+ * @param {number} limit - Number of items to return
+ * @returns {Promise<Object|null>} List content
+ */
+async function fetchTmdbDiscoverItems(definition, userConfig, skip = 0, genre = null, limit = ITEMS_PER_PAGE) {
+  const bearerToken = userConfig.tmdbBearerToken || DEFAULT_TMDB_BEARER_TOKEN;
+  if (!bearerToken) {
+    console.warn('[TMDB Discover] No TMDB Read Access Token available');
+    return null;
+  }
+
+  const endpoint = definition.mediaType === 'series' ? 'tv' : 'movie';
+  const query = await buildTmdbDiscoverQuery(definition, userConfig, genre);
+  if (!query) {
+    return { allItems: [], hasMovies: false, hasShows: false };
+  }
+
+  // TMDB pages hold 20 results, catalog pages hold ITEMS_PER_PAGE, so a catalog page can span two TMDB pages
+  const firstPage = Math.floor(skip / TMDB_DISCOVER_PAGE_SIZE) + 1;
+  const lastPage = Math.min(Math.floor((skip + limit - 1) / TMDB_DISCOVER_PAGE_SIZE) + 1, TMDB_DISCOVER_MAX_PAGE);
+  const results = [];
+
+  for (let page = firstPage; page <= lastPage; page++) {
+    const cacheKey = `tmdb_discover_${endpoint}_${JSON.stringify(query)}_${page}`;
+    let pageData = tmdbCache.get(cacheKey);
+    if (!pageData) {
+      const response = await axios.get(`${TMDB_BASE_URL_V3}/discover/${endpoint}`, {
+        params: { ...query, page },
+        headers: {
+          'accept': 'application/json',
+          'Authorization': `Bearer ${bearerToken}`
+        },
+        timeout: TMDB_REQUEST_TIMEOUT
+      });
+      pageData = { results: response.data?.results || [], totalPages: response.data?.total_pages || 0 };
+      tmdbCache.set(cacheKey, pageData, TMDB_DISCOVER_CACHE_TTL);
+    }
+    results.push(...pageData.results.map(item => ({ ...item, media_type: endpoint })));
+    if (page >= pageData.totalPages) break;
+  }
+
+  const offset = skip - (firstPage - 1) * TMDB_DISCOVER_PAGE_SIZE;
+  return processListItems(results.slice(offset, offset + limit), userConfig, null);
+}
+
+// Talk shows and news programmes would flood a person's filmography with guest appearances
+const TMDB_PERSON_EXCLUDED_GENRE_IDS = [10763, 10767];
+const TMDB_LIST_MAX_PAGES = 25;
+
+/**
+ * Parse a TMDB collection, person, company, network, keyword or list URL
+ * @param {string} url - e.g. https://www.themoviedb.org/collection/10-star-wars-collection
+ * @returns {Object|null} { kind, id, mediaType } where mediaType is 'movie', 'series' or null for both
+ */
+function parseTmdbUrl(url) {
+  if (!url) return null;
+  const match = url.match(/themoviedb\.org\/(collection|person|company|network|keyword|list)\/(\d+)[^/?#]*(?:\/(movie|tv))?/i);
+  if (!match) return null;
+  const [, kind, id, typeSegment] = match;
+  return {
+    kind: kind.toLowerCase(),
+    id,
+    mediaType: typeSegment ? (typeSegment.toLowerCase() === 'tv' ? 'series' : 'movie') : null
+  };
+}
+
+async function tmdbGet(path, userConfig, params = {}) {
+  const response = await axios.get(`${TMDB_BASE_URL_V3}${path}`, {
+    params: { language: userConfig.tmdbLanguage || 'en-US', ...params },
+    headers: {
+      'accept': 'application/json',
+      'Authorization': `Bearer ${userConfig.tmdbBearerToken || DEFAULT_TMDB_BEARER_TOKEN}`
+    },
+    timeout: TMDB_REQUEST_TIMEOUT
+  });
+  return response.data;
+}
+
+/**
+ * All titles of a collection, person or public list, in display order. These are small
+ * enough to fetch in full, so paging and type/genre filtering happen locally.
+ * @returns {Promise<Array>} Raw TMDB items with media_type set
+ */
+async function fetchTmdbUrlImportTitles(source, userConfig) {
+  const cacheKey = `tmdb_url_${source.kind}_${source.id}_${userConfig.tmdbLanguage || 'en-US'}`;
+  const cached = tmdbCache.get(cacheKey);
+  if (cached) return cached;
+
+  let titles = [];
+  if (source.kind === 'collection') {
+    const data = await tmdbGet(`/collection/${source.id}`, userConfig);
+    titles = (data.parts || [])
+      .map(item => ({ ...item, media_type: 'movie' }))
+      .sort((a, b) => (a.release_date || '9999').localeCompare(b.release_date || '9999'));
+  } else if (source.kind === 'person') {
+    const data = await tmdbGet(`/person/${source.id}/combined_credits`, userConfig);
+    const seen = new Set();
+    titles = [...(data.cast || []), ...(data.crew || [])]
+      .filter(item => item.media_type === 'movie' || item.media_type === 'tv')
+      .filter(item => !(item.genre_ids || []).some(genreId => TMDB_PERSON_EXCLUDED_GENRE_IDS.includes(genreId)))
+      .filter(item => {
+        const key = `${item.media_type}_${item.id}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
+  } else if (source.kind === 'list') {
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const data = await tmdbGet(`/list/${source.id}`, userConfig, { page });
+      titles.push(...(data.items || []).filter(item => item.media_type === 'movie' || item.media_type === 'tv'));
+      totalPages = data.total_pages || 1;
+      page++;
+    } while (page <= totalPages && page <= TMDB_LIST_MAX_PAGES);
+  }
+
+  tmdbCache.set(cacheKey, titles, TMDB_DISCOVER_CACHE_TTL);
+  return titles;
+}
+
+/**
+ * Discover filters for the URL kinds that are really a TMDB Discover query
+ * @returns {Object} Discover params
+ */
+function getTmdbUrlImportDiscoverParams(source) {
+  if (source.kind === 'company') return { companies: [parseInt(source.id, 10)] };
+  if (source.kind === 'network') return { networks: [parseInt(source.id, 10)] };
+  return { keywords: [parseInt(source.id, 10)] };
+}
+
+/**
+ * Fetch details for a TMDB URL for importing
+ * @param {string} url - TMDB collection, person, company, network, keyword or list URL
+ * @param {Object} userConfig - User configuration
+ * @returns {Promise<Object>} Import details
+ */
+async function fetchTmdbUrlImportDetails(url, userConfig) {
+  const source = parseTmdbUrl(url);
+  if (!source) {
+    throw new Error('Invalid TMDB URL. Supported: collection, person, company, network, keyword and list URLs.');
+  }
+  if (!userConfig.tmdbBearerToken && !DEFAULT_TMDB_BEARER_TOKEN) {
+    throw new Error('A TMDB Read Access Token is required to import TMDB URLs');
+  }
+
+  try {
+    let listName;
+    let hasMovies;
+    let hasShows;
+
+    if (source.kind === 'collection' || source.kind === 'person' || source.kind === 'list') {
+      const titles = await fetchTmdbUrlImportTitles(source, userConfig);
+      if (source.kind === 'collection') {
+        listName = (await tmdbGet(`/collection/${source.id}`, userConfig)).name;
+      } else if (source.kind === 'person') {
+        listName = `${(await tmdbGet(`/person/${source.id}`, userConfig)).name} Filmography`;
+      } else {
+        listName = (await tmdbGet(`/list/${source.id}`, userConfig)).name;
+      }
+      hasMovies = titles.some(item => item.media_type === 'movie');
+      hasShows = titles.some(item => item.media_type === 'tv');
+    } else {
+      const details = await tmdbGet(`/${source.kind}/${source.id}`, userConfig);
+      listName = source.kind === 'keyword' ? `Keyword: ${details.name}` : details.name;
+
+      const params = getTmdbUrlImportDiscoverParams(source);
+      const mediaTypes = source.kind === 'network' ? ['series'] : (source.mediaType ? [source.mediaType] : ['movie', 'series']);
+      const totals = {};
+      for (const mediaType of mediaTypes) {
+        const query = await buildTmdbDiscoverQuery({ mediaType, params }, userConfig, null);
+        const data = await tmdbGet(`/discover/${mediaType === 'series' ? 'tv' : 'movie'}`, userConfig, query);
+        totals[mediaType] = data.total_results || 0;
+      }
+      hasMovies = totals.movie > 0;
+      hasShows = totals.series > 0;
+    }
+
+    return {
+      listId: `tmdburl_${source.kind}_${source.id}${source.mediaType ? `_${source.mediaType}` : ''}`,
+      listName: listName || `TMDB ${source.kind} ${source.id}`,
+      tmdbKind: source.kind,
+      tmdbId: source.id,
+      tmdbMediaType: source.mediaType,
+      hasMovies,
+      hasShows
+    };
+  } catch (error) {
+    console.error('[TMDB] Exception fetching URL import details:', error.message);
+    const reason = error.response?.status === 404 ? 'Not found' : error.message;
+    throw new Error(`Failed to fetch TMDB ${source.kind}: ${reason}`);
+  }
+}
+
+/**
+ * Fetch a page of items from an imported TMDB URL
+ * @param {Object} addonConfig - Imported list entry (tmdbKind, tmdbId, tmdbMediaType)
+ * @param {Object} userConfig - User configuration
+ * @param {number} skip - Number of items to skip
+ * @param {string} itemTypeHint - 'movie', 'series' or 'all'
+ * @param {string} genre - Genre filter
+ * @returns {Promise<Object|null>} { allItems, hasMovies, hasShows }, null without a TMDB token
+ * @throws {Error} The request error when TMDB can't be read, so the list's health can record it
+ */
+async function fetchTmdbUrlImportItems(addonConfig, userConfig, skip = 0, itemTypeHint = 'all', genre = null) {
+  const source = { kind: addonConfig.tmdbKind, id: addonConfig.tmdbId, mediaType: addonConfig.tmdbMediaType || null };
+
+  try {
+    if (source.kind === 'collection' || source.kind === 'person' || source.kind === 'list') {
+      let titles = await fetchTmdbUrlImportTitles(source, userConfig);
+      if (itemTypeHint === 'movie' || itemTypeHint === 'series') {
+        const wantedMediaType = itemTypeHint === 'series' ? 'tv' : 'movie';
+        titles = titles.filter(item => item.media_type === wantedMediaType);
+      }
+      if (genre && genre !== 'All') {
+        const language = userConfig.tmdbLanguage || 'en-US';
+        const bearerToken = userConfig.tmdbBearerToken || DEFAULT_TMDB_BEARER_TOKEN;
+        const genreIds = {
+          movie: await resolveTmdbGenreId(genre, 'movie', language, bearerToken),
+          tv: await resolveTmdbGenreId(genre, 'tv', language, bearerToken)
+        };
+        titles = titles.filter(item => (item.genre_ids || []).includes(genreIds[item.media_type]));
+      }
+      return processListItems(titles.slice(skip, skip + ITEMS_PER_PAGE), userConfig, null);
+    }
+
+    // Companies, networks and keywords are open-ended, so they page through Discover
+    const params = getTmdbUrlImportDiscoverParams(source);
+    const mediaTypes = (source.kind === 'network' ? ['series'] : (source.mediaType ? [source.mediaType] : ['movie', 'series']))
+      .filter(mediaType => !itemTypeHint || itemTypeHint === 'all' || itemTypeHint === mediaType)
+      .filter(mediaType => (mediaType === 'movie' ? addonConfig.hasMovies : addonConfig.hasShows) !== false);
+    if (mediaTypes.length === 0) {
+      return { allItems: [], hasMovies: false, hasShows: false };
+    }
+
+    // A merged catalog page is half movies, half series, so every page stays the same size
+    const share = Math.floor(ITEMS_PER_PAGE / mediaTypes.length);
+    const results = await Promise.all(mediaTypes.map(mediaType =>
+      fetchTmdbDiscoverItems({ mediaType, params }, userConfig, Math.floor(skip / mediaTypes.length), genre, share)
+    ));
+    const allItems = results.flatMap(result => result?.allItems || []);
+    return {
+      allItems,
+      hasMovies: allItems.some(item => item.type === 'movie'),
+      hasShows: allItems.some(item => item.type === 'series')
+    };
+  } catch (error) {
+    console.error(`[TMDB] Error fetching ${addonConfig.name || addonConfig.id}:`, error.response?.status || '', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Add or remove an item on the user's TMDB watchlist, favorites or one of their lists
+ * @param {string} listId - Catalog ID (tmdb_watchlist, tmdb_favorites or tmdb_list_<id>)
+ * @param {Object} userConfig - User configuration
+ * @param {string} action - 'add' or 'remove'
+ * @param {Object} item - { tmdbId, type } where type is 'movie' or 'series'
+ * @returns {Promise<Object>} TMDB status response
+ */
+async function modifyTmdbListItems(listId, userConfig, action, item) {
+  if (!userConfig.tmdbSessionId || !userConfig.tmdbAccountId) {
+    throw new Error('TMDB is not connected');
+  }
+  if (!item.tmdbId) {
+    throw new Error('Could not resolve a TMDB ID for this item');
+  }
+
+  const isAdd = action !== 'remove';
+  const mediaId = parseInt(item.tmdbId, 10);
+  const mediaType = item.type === 'series' ? 'tv' : 'movie';
+  const requestConfig = {
+    params: { session_id: userConfig.tmdbSessionId },
+    headers: {
+      'accept': 'application/json',
+      'content-type': 'application/json',
+      'Authorization': `Bearer ${userConfig.tmdbBearerToken || DEFAULT_TMDB_BEARER_TOKEN}`
+    },
+    timeout: TMDB_REQUEST_TIMEOUT
+  };
+
+  let response;
+  if (listId === 'tmdb_watchlist') {
+    response = await axios.post(`${TMDB_BASE_URL_V3}/account/${userConfig.tmdbAccountId}/watchlist`,
+      { media_type: mediaType, media_id: mediaId, watchlist: isAdd }, requestConfig);
+  } else if (listId === 'tmdb_favorites') {
+    response = await axios.post(`${TMDB_BASE_URL_V3}/account/${userConfig.tmdbAccountId}/favorite`,
+      { media_type: mediaType, media_id: mediaId, favorite: isAdd }, requestConfig);
+  } else if (listId.startsWith('tmdb_list_')) {
+    // v3 lists only hold movies
+    if (mediaType !== 'movie') {
+      throw new Error('TMDB lists only support movies');
+    }
+    const tmdbListId = listId.replace('tmdb_list_', '');
+    response = await axios.post(`${TMDB_BASE_URL_V3}/list/${tmdbListId}/${isAdd ? 'add_item' : 'remove_item'}`,
+      { media_id: mediaId }, requestConfig);
+  } else {
+    throw new Error(`Unknown TMDB list type: ${listId}`);
+  }
+
+  tmdbListScanCache.clear();
+  return response.data;
+}
+
 /**
  * Process and enrich list items
  * @param {Array} items - Raw TMDB items
@@ -1173,6 +1812,7 @@ async function fetchTmdbGenres(language = 'en-US', userBearerToken = DEFAULT_TMD
 function clearTmdbCaches() {
   tmdbCache.clear();
   imdbToTmdbCache.clear();
+  tmdbListScanCache.clear();
 }
 
 // Test function to verify anime episode numbering fix (for development/debugging)
@@ -1225,6 +1865,13 @@ module.exports = {
   authenticateTmdb,
   fetchTmdbLists,
   fetchTmdbListItems,
+  TMDB_DISCOVER_PREFIX,
+  generateTmdbDiscoverListId,
+  sanitizeTmdbDiscoverParams,
+  parseTmdbUrl,
+  fetchTmdbUrlImportDetails,
+  fetchTmdbUrlImportItems,
+  modifyTmdbListItems,
   validateTMDBKey,
   convertImdbToTmdbId,
   batchConvertImdbToTmdbIds,
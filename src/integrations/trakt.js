@@ -1,7 +1,9 @@
 // src/integrations/trakt.js
 const axios = require('axios');
-const { ITEMS_PER_PAGE, TRAKT_CLIENT_ID, TRAKT_REDIRECT_URI, TRAKT_CONCURRENT_REQUESTS } = require('../config');
-const { getTraktTokens, saveTraktTokens } = require('../utils/remoteStorage');
+const { ITEMS_PER_PAGE, TRAKT_CLIENT_ID, TRAKT_REDIRECT_URI, TRAKT_CLIENT_SECRET, TRAKT_CONCURRENT_REQUESTS } = require('../config');
+const crypto = require('crypto');
+const Cache = require('../utils/cache');
+const { hasTraktTokenStorage, getTraktTokens, saveTraktTokens, deleteTraktTokens } = require('../utils/remoteStorage');
 
 const TRAKT_API_URL = 'https://api.trakt.tv';
 
@@ -40,6 +42,8 @@ async function refreshTraktToken(userConfig) {
     const response = await axios.post(`${TRAKT_API_URL}/oauth/token`, {
       refresh_token: refreshToken,
       client_id: TRAKT_CLIENT_ID,
+      // Trakt refuses refreshes for apps with a secret unless it's sent along
+      ...(TRAKT_CLIENT_SECRET ? { client_secret: TRAKT_CLIENT_SECRET } : {}),
       redirect_uri: TRAKT_REDIRECT_URI,
       grant_type: 'refresh_token'
     });
@@ -55,8 +59,8 @@ async function refreshTraktToken(userConfig) {
       userConfig.traktRefreshToken = newTokens.refreshToken;
       userConfig.traktExpiresAt = newTokens.expiresAt;
 
-      // Only save if Upstash credentials are provided
-      if (userConfig.upstashUrl && userConfig.traktUuid) {
+      // Only save if the tokens live in a vault (the user's Upstash or the server's TOKEN_VAULT)
+      if (hasTraktTokenStorage(userConfig)) {
         await saveTraktTokens(userConfig, newTokens);
       }
       return true;
@@ -67,7 +71,7 @@ async function refreshTraktToken(userConfig) {
       userConfig.traktAccessToken = null;
       userConfig.traktRefreshToken = null;
       userConfig.traktExpiresAt = null;
-      if (userConfig.upstashUrl && userConfig.traktUuid) {
+      if (hasTraktTokenStorage(userConfig)) {
         await saveTraktTokens(userConfig, { accessToken: null, refreshToken: null, expiresAt: null });
       }
     }
@@ -78,8 +82,8 @@ async function refreshTraktToken(userConfig) {
 async function initTraktApi(userConfig) {
 
   
-  // If Upstash credentials are provided, use them as the source of truth
-  if (userConfig.upstashUrl && userConfig.upstashToken && userConfig.traktUuid) {
+  // If the tokens live in a vault, it is the source of truth
+  if (hasTraktTokenStorage(userConfig)) {
     const tokens = await getTraktTokens(userConfig);
     if (tokens) {
       userConfig.traktAccessToken = tokens.accessToken;
@@ -104,6 +108,141 @@ async function initTraktApi(userConfig) {
   return false;
 }
 
+// Extra Trakt accounts (e.g. a household sharing one Stremio profile) live in userConfig.traktAccounts, keyed by a
+// slug of the Trakt username. Their catalogs are namespaced as trakt_<accountKey>_<listId> (trakt_alice_watchlist).
+// Account keys never contain "_" and never equal a built-in catalog word, and Trakt list slugs use "-", so neither
+// trakt_calendar_shows nor trakt_<slug> can be mistaken for another account's catalog.
+const TRAKT_RESERVED_ACCOUNT_KEYS = ['watchlist', 'upnext', 'calendar', 'collection', 'history', 'ratings', 'recommendations', 'trending', 'popular'];
+const TRAKT_ACCOUNT_LIST_REGEX = /^trakt_([a-z0-9-]+)_(.+)$/;
+
+/**
+ * Split a native Trakt catalog ID into its account and the list ID that account's API calls use
+ * @param {string} listId - e.g. 'trakt_watchlist', 'trakt_alice_watchlist', 'trakt_alice_my-list'
+ * @returns {Object} { accountKey, baseListId }; accountKey is null for the main account
+ */
+function parseTraktListId(listId) {
+  const match = String(listId || '').match(TRAKT_ACCOUNT_LIST_REGEX);
+  if (!match || TRAKT_RESERVED_ACCOUNT_KEYS.includes(match[1])) {
+    return { accountKey: null, baseListId: listId };
+  }
+  return { accountKey: match[1], baseListId: `trakt_${match[2]}` };
+}
+
+/**
+ * Pick an account key for a newly added Trakt account
+ * @param {string} username - Trakt username
+ * @param {Object} accounts - Existing userConfig.traktAccounts
+ * @returns {string}
+ */
+function createTraktAccountKey(username, accounts = {}) {
+  const base = String(username || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'account';
+  let key = base;
+  for (let n = 2; TRAKT_RESERVED_ACCOUNT_KEYS.includes(key) || accounts[key]; n++) {
+    key = `${base}-${n}`;
+  }
+  return key;
+}
+
+/**
+ * Build a config that carries an extra account's credentials in the usual trakt* fields,
+ * so initTraktApi, token refresh and the token vault work unchanged for it
+ * @param {Object} userConfig - User configuration
+ * @param {string} accountKey - Key in userConfig.traktAccounts
+ * @returns {Object|null}
+ */
+function getTraktAccountConfig(userConfig, accountKey) {
+  const account = userConfig.traktAccounts?.[accountKey];
+  if (!account) return null;
+  return {
+    ...userConfig,
+    traktAccessToken: account.accessToken || null,
+    traktRefreshToken: account.refreshToken || null,
+    traktExpiresAt: account.expiresAt || null,
+    traktUuid: account.uuid || null,
+    traktUsername: account.username || null,
+    traktVaultKey: account.vaultKey || null
+  };
+}
+
+/**
+ * Copy refreshed tokens from an account config back into userConfig.traktAccounts.
+ * Vault-backed accounts keep their tokens out of the config.
+ * @param {Object} userConfig - User configuration
+ * @param {string} accountKey - Key in userConfig.traktAccounts
+ * @param {Object} accountConfig - Config returned by getTraktAccountConfig
+ */
+function storeTraktAccountTokens(userConfig, accountKey, accountConfig) {
+  const account = userConfig.traktAccounts?.[accountKey];
+  if (!account || hasTraktTokenStorage(accountConfig)) return;
+  account.accessToken = accountConfig.traktAccessToken;
+  account.refreshToken = accountConfig.traktRefreshToken;
+  account.expiresAt = accountConfig.traktExpiresAt;
+}
+
+/**
+ * Resolve the credentials a native Trakt catalog should use
+ * @param {string} listId - Catalog ID
+ * @param {Object} userConfig - User configuration
+ * @returns {Object} Config for the catalog's account (userConfig itself for the main account)
+ */
+function getTraktConfigForList(listId, userConfig) {
+  const { accountKey } = parseTraktListId(listId);
+  return (accountKey && getTraktAccountConfig(userConfig, accountKey)) || userConfig;
+}
+
+/**
+ * Add (or re-authorize) an extra Trakt account. Tokens go to the token vault when one is available.
+ * @param {Object} userConfig - User configuration, updated in place
+ * @param {Object} authResult - Result of authenticateTrakt / authenticateTraktDevice
+ * @returns {Promise<string>} The account key
+ */
+async function addTraktAccount(userConfig, authResult) {
+  const accounts = { ...(userConfig.traktAccounts || {}) };
+  const accountKey = Object.keys(accounts).find(key => accounts[key].uuid === authResult.uuid)
+    || createTraktAccountKey(authResult.username, accounts);
+
+  const account = {
+    uuid: authResult.uuid,
+    username: authResult.username,
+    accessToken: authResult.accessToken,
+    refreshToken: authResult.refreshToken,
+    expiresAt: authResult.expiresAt
+  };
+  userConfig.traktAccounts = { ...accounts, [accountKey]: account };
+
+  const accountConfig = getTraktAccountConfig(userConfig, accountKey);
+  if (hasTraktTokenStorage(accountConfig)) {
+    const saved = await saveTraktTokens(accountConfig, {
+      accessToken: account.accessToken,
+      refreshToken: account.refreshToken,
+      expiresAt: account.expiresAt
+    }, { replace: true });
+    if (saved) {
+      account.vaultKey = accountConfig.traktVaultKey || undefined;
+      account.accessToken = null;
+      account.refreshToken = null;
+      account.expiresAt = null;
+    }
+  }
+  return accountKey;
+}
+
+/**
+ * Remove an extra Trakt account and its vault entry
+ * @param {Object} userConfig - User configuration, updated in place
+ * @param {string} accountKey - Key in userConfig.traktAccounts
+ * @returns {Promise<boolean>} Whether the account existed
+ */
+async function removeTraktAccount(userConfig, accountKey) {
+  const accountConfig = getTraktAccountConfig(userConfig, accountKey);
+  if (!accountConfig) return false;
+  await deleteTraktTokens(accountConfig);
+  const remaining = { ...userConfig.traktAccounts };
+  delete remaining[accountKey];
+  userConfig.traktAccounts = remaining;
+  return true;
+}
+
 function getTraktAuthUrl(state = null) {
   let url = `${TRAKT_API_URL}/oauth/authorize?response_type=code&client_id=${TRAKT_CLIENT_ID}&redirect_uri=${encodeURIComponent(TRAKT_REDIRECT_URI)}`;
   
@@ -115,36 +254,119 @@ function getTraktAuthUrl(state = null) {
   return url;
 }
 
+async function buildTraktAuthResult(tokenData) {
+  const tokens = {
+      accessToken: tokenData.access_token,
+      refreshToken: tokenData.refresh_token,
+      expiresAt: Date.now() + (tokenData.expires_in * 1000)
+  };
+
+  const userSettings = await getTraktUserSettings(tokens.accessToken);
+
+  return {
+    uuid: userSettings.uuid,
+    username: userSettings.username,
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresAt: tokens.expiresAt,
+  };
+}
+
 async function authenticateTrakt(code, userConfig) {
   const response = await axios.post(`${TRAKT_API_URL}/oauth/token`, {
     code,
     client_id: TRAKT_CLIENT_ID,
+    ...(TRAKT_CLIENT_SECRET ? { client_secret: TRAKT_CLIENT_SECRET } : {}),
     grant_type: 'authorization_code',
     redirect_uri: TRAKT_REDIRECT_URI
   });
 
   if (response.status === 200 && response.data) {
-    const tokens = {
-        accessToken: response.data.access_token,
-        refreshToken: response.data.refresh_token,
-        expiresAt: Date.now() + (response.data.expires_in * 1000)
-    };
-
-    const userSettings = await getTraktUserSettings(tokens.accessToken);
-    
-    return {
-      uuid: userSettings.uuid,
-      username: userSettings.username,
-      accessToken: tokens.accessToken,
-      refreshToken: tokens.refreshToken,
-      expiresAt: tokens.expiresAt,
-    };
+    return buildTraktAuthResult(response.data);
   }
   throw new Error('Failed to authenticate with Trakt');
 }
 
-// ... the rest of the file (fetchTraktLists, etc.) remains unchanged ...
+/**
+ * Start a Trakt device-code authorization (the user enters a short code on trakt.tv/activate)
+ * @returns {Promise<Object>} { deviceCode, userCode, verificationUrl, expiresIn, interval }
+ */
+async function getTraktDeviceCode() {
+  if (!TRAKT_CLIENT_SECRET) {
+    throw new Error('Trakt device login is not configured on this server (TRAKT_CLIENT_SECRET is missing).');
+  }
+  const response = await axios.post(`${TRAKT_API_URL}/oauth/device/code`, { client_id: TRAKT_CLIENT_ID }, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: 10000
+  });
+  return {
+    deviceCode: response.data.device_code,
+    userCode: response.data.user_code,
+    verificationUrl: response.data.verification_url || 'https://trakt.tv/activate',
+    expiresIn: response.data.expires_in,
+    interval: response.data.interval
+  };
+}
+
+/**
+ * Check whether the user has approved a Trakt device code yet
+ * @param {string} deviceCode - device_code returned by getTraktDeviceCode
+ * @returns {Promise<Object>} Same result as authenticateTrakt once approved,
+ *   { pending: true, slowDown } while still pending (slowDown when Trakt says we poll too fast)
+ */
+async function authenticateTraktDevice(deviceCode) {
+  let response;
+  try {
+    response = await axios.post(`${TRAKT_API_URL}/oauth/device/token`, {
+      code: deviceCode,
+      client_id: TRAKT_CLIENT_ID,
+      client_secret: TRAKT_CLIENT_SECRET
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 10000
+    });
+  } catch (error) {
+    // 400 = not approved yet, 429 = polling too fast; both mean "ask again later"
+    const status = error.response?.status;
+    if (status === 400 || status === 429) return { pending: true, slowDown: status === 429 };
+    const reasons = { 404: 'Invalid device code', 409: 'Code already used', 410: 'Code expired', 418: 'Authorization denied' };
+    throw new Error(reasons[status] || error.message);
+  }
+  return buildTraktAuthResult(response.data);
+}
+
+/**
+ * Fetch the catalogs of the main Trakt account and every extra account in userConfig.traktAccounts
+ * @param {Object} userConfig - User configuration (refreshed tokens are written back)
+ * @returns {Promise<Array>} List definitions, each tagged with the traktAccount (username) it came from
+ */
 async function fetchTraktLists(userConfig) {
+  const lists = (await fetchTraktAccountLists(userConfig)).map(list => ({ ...list, traktAccount: userConfig.traktUsername || null }));
+  const accountKeys = Object.keys(userConfig.traktAccounts || {});
+  // Extra accounts don't depend on the main one, a failed main fetch must not hide them too
+  if (accountKeys.length === 0) return lists;
+
+  const accountLists = await Promise.all(accountKeys.map(async accountKey => {
+    const accountConfig = getTraktAccountConfig(userConfig, accountKey);
+    const fetched = await fetchTraktAccountLists(accountConfig);
+    storeTraktAccountTokens(userConfig, accountKey, accountConfig);
+
+    const username = accountConfig.traktUsername || accountKey;
+    return fetched
+      // Trending and popular are the same for everyone; the main account already provides them
+      .filter(list => !list.isTraktTrending && !list.isTraktPopular)
+      .map(list => ({
+        ...list,
+        id: `trakt_${accountKey}_${list.id.replace(/^trakt_/, '')}`,
+        name: `${list.name} (${username})`,
+        traktAccount: username,
+        traktAccountKey: accountKey
+      }));
+  }));
+  return [...lists, ...accountLists.flat()];
+}
+
+async function fetchTraktAccountLists(userConfig) {
     if (!await initTraktApi(userConfig)) {
       return [];
     }
@@ -163,8 +385,19 @@ async function fetchTraktLists(userConfig) {
       const lists = response.data.map(list => ({
         id: `trakt_${list.ids.slug}`, name: list.name, updated: list.updated_at, listType: 'T', isTraktList: true, hasMovies: true, hasShows: true
       }));
+      const minRating = getTraktMinRating(userConfig);
+      const ratingSuffix = minRating > 1 ? ` (${minRating === 10 ? '10' : `${minRating}+`})` : '';
       const specialLists = [
         { id: 'trakt_watchlist', name: 'Trakt Watchlist', isTraktWatchlist: true, listType: 'T', hasMovies: true, hasShows: true },
+        { id: 'trakt_upnext', name: 'Up Next', isTraktUpNext: true, listType: 'T', hasMovies: false, hasShows: true },
+        { id: 'trakt_calendar_shows', name: 'Upcoming Episodes', isTraktCalendar: true, listType: 'T', hasMovies: false, hasShows: true },
+        { id: 'trakt_calendar_movies', name: 'Upcoming Movies', isTraktCalendar: true, listType: 'T', hasMovies: true, hasShows: false },
+        { id: 'trakt_collection_movies', name: 'Collected Movies', isTraktLibrary: true, listType: 'T', hasMovies: true, hasShows: false },
+        { id: 'trakt_collection_shows', name: 'Collected Shows', isTraktLibrary: true, listType: 'T', hasMovies: false, hasShows: true },
+        { id: 'trakt_history_movies', name: 'Watched Movies', isTraktLibrary: true, listType: 'T', hasMovies: true, hasShows: false },
+        { id: 'trakt_history_shows', name: 'Watched Shows', isTraktLibrary: true, listType: 'T', hasMovies: false, hasShows: true },
+        { id: 'trakt_ratings_movies', name: `Rated Movies${ratingSuffix}`, isTraktLibrary: true, listType: 'T', hasMovies: true, hasShows: false },
+        { id: 'trakt_ratings_shows', name: `Rated Shows${ratingSuffix}`, isTraktLibrary: true, listType: 'T', hasMovies: false, hasShows: true },
         { id: 'trakt_recommendations_movies', name: 'Recommended Movies', isTraktRecommendations: true, listType: 'T', hasMovies: true, hasShows: false },
         { id: 'trakt_recommendations_shows', name: 'Recommended Shows', isTraktRecommendations: true, listType: 'T', hasMovies: false, hasShows: true },
         { id: 'trakt_trending_movies', name: 'Trending Movies', isTraktTrending: true, listType: 'T', hasMovies: true, hasShows: false },
@@ -233,6 +466,20 @@ async function fetchTraktLists(userConfig) {
     console.error(`[TraktIntegration] Critical error - listId is undefined.`);
     return null;
   }
+
+  if (!isPublicImport) {
+    const { accountKey, baseListId } = parseTraktListId(listId);
+    if (accountKey) {
+      const accountConfig = getTraktAccountConfig(userConfig, accountKey);
+      if (!accountConfig) {
+        console.warn(`[TraktIntegration] No connected Trakt account "${accountKey}" for listId: ${listId}`);
+        return null;
+      }
+      const result = await fetchTraktListItems(baseListId, accountConfig, skip, sortBy, sortOrder, false, null, itemTypeHint, genre, isMetadataCheck);
+      storeTraktAccountTokens(userConfig, accountKey, accountConfig);
+      return result;
+    }
+  }
   
   const limit = isMetadataCheck ? 1 : ITEMS_PER_PAGE;
   const page = isMetadataCheck ? 1 : Math.floor(skip / limit) + 1;
@@ -271,6 +518,12 @@ async function fetchTraktLists(userConfig) {
         requestUrl = `${TRAKT_API_URL}/sync/watchlist/${typeForEndpoint}/${sortForEndpoint}/${sortOrder}`;
         params = { limit, page, extended: 'full' };
         effectiveItemTypeForEndpoint = null; 
+    } else if (listId === 'trakt_upnext') {
+        return await fetchTraktUpNextItems(userConfig, headers, skip, isMetadataCheck);
+    } else if (listId === 'trakt_calendar_shows' || listId === 'trakt_calendar_movies') {
+        return await fetchTraktCalendarItems(listId, userConfig, headers, skip, isMetadataCheck);
+    } else if (TRAKT_LIBRARY_LIST_REGEX.test(listId)) {
+        return await fetchTraktLibraryItems(listId, userConfig, headers, skip, sortBy, sortOrder, isMetadataCheck);
     } else if (listId.startsWith('trakt_recommendations_')) {
         effectiveItemTypeForEndpoint = listId.endsWith('_movies') ? 'movie' : (listId.endsWith('_shows') ? 'series' : null);
         if (!effectiveItemTypeForEndpoint) { 
@@ -391,10 +644,381 @@ async function fetchTraktLists(userConfig) {
       if (error.response) {
           console.error(`[TraktIntegration] Trakt API Error Response: Status ${error.response.status}`, JSON.stringify(error.response.data, null, 2)); 
       }
+      // Public imports are URL imports, their caller records the error against the list's health
+      if (isPublicImport) throw error;
+      return null;
+    }
+  }
+
+// Watched sets are re-validated against /sync/last_activities at most this often
+const WATCHED_CHECK_INTERVAL = 5 * 60 * 1000;
+const traktWatchedCache = new Cache({ defaultTTL: 24 * 60 * 60 * 1000 });
+
+function getTraktUserCacheKey(userConfig) {
+  if (userConfig.traktUuid) return userConfig.traktUuid;
+  if (userConfig.traktUsername) return userConfig.traktUsername;
+  return crypto.createHash('sha1').update(String(userConfig.traktAccessToken)).digest('hex');
+}
+
+/**
+ * Build the set of items the user has finished on Trakt: every watched movie and every show
+ * whose aired episodes (specials excluded) have all been watched. Keys match the IMDb ID and
+ * "tmdb:<movie|series>:<id>" forms used by list items.
+ * @param {Object} userConfig - User configuration (tokens may come from Upstash via initTraktApi)
+ * @returns {Promise<Set<string>|null>} Watched keys, or null if Trakt isn't available
+ */
+async function fetchTraktWatchedKeys(userConfig) {
+  if (!await initTraktApi(userConfig)) {
+    return null;
+  }
+
+  const cacheKey = getTraktUserCacheKey(userConfig);
+  const cached = traktWatchedCache.get(cacheKey);
+  if (cached && (Date.now() - cached.checkedAt) < WATCHED_CHECK_INTERVAL) {
+    return cached.keys;
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'trakt-api-version': '2',
+    'trakt-api-key': TRAKT_CLIENT_ID,
+    'Authorization': `Bearer ${userConfig.traktAccessToken}`
+  };
+
+  try {
+    const activityResponse = await axios.get(`${TRAKT_API_URL}/sync/last_activities`, { headers });
+    const activityStamp = `${activityResponse.data?.movies?.watched_at || ''}|${activityResponse.data?.episodes?.watched_at || ''}`;
+    if (cached && cached.activityStamp === activityStamp) {
+      traktWatchedCache.set(cacheKey, { ...cached, checkedAt: Date.now() });
+      return cached.keys;
+    }
+
+    const [moviesResponse, showsResponse] = await Promise.all([
+      axios.get(`${TRAKT_API_URL}/sync/watched/movies`, { headers }),
+      axios.get(`${TRAKT_API_URL}/sync/watched/shows`, { headers, params: { extended: 'full' } })
+    ]);
+
+    const keys = new Set();
+    const addKeys = (ids, type) => {
+      if (ids?.imdb) keys.add(ids.imdb);
+      if (ids?.tmdb) keys.add(`tmdb:${type}:${ids.tmdb}`);
+    };
+
+    (moviesResponse.data || []).forEach(entry => addKeys(entry.movie?.ids, 'movie'));
+    (showsResponse.data || []).forEach(entry => {
+      const airedEpisodes = entry.show?.aired_episodes || 0;
+      const watchedEpisodes = (entry.seasons || [])
+        .filter(season => season.number > 0)
+        .reduce((count, season) => count + (season.episodes?.length || 0), 0);
+      if (airedEpisodes > 0 && watchedEpisodes >= airedEpisodes) {
+        addKeys(entry.show?.ids, 'series');
+      }
+    });
+
+    traktWatchedCache.set(cacheKey, { keys, activityStamp, checkedAt: Date.now() });
+    return keys;
+  } catch (error) {
+    console.error('[TraktIntegration] Error fetching watched history:', error.response?.status || error.message);
+    // Serve the stale set rather than suddenly showing everything again
+    return cached ? cached.keys : null;
+  }
+}
+
+// Trakt-generated catalogs that can't be edited through the API
+const TRAKT_READ_ONLY_LIST_PREFIXES = ['trakt_recommendations_', 'trakt_trending_', 'trakt_popular_', 'trakt_upnext', 'trakt_calendar_', 'trakt_collection_', 'trakt_history_', 'trakt_ratings_'];
+
+/**
+ * Check whether a Trakt catalog ID points to a list the user can add items to
+ * @param {string} listId - Catalog ID (e.g. "trakt_watchlist", "trakt_my-list", "trakt_alice_watchlist")
+ * @returns {boolean}
+ */
+function isWritableTraktList(listId) {
+  if (!listId || !listId.startsWith('trakt_') || listId.startsWith('traktpublic_')) return false;
+  const { baseListId } = parseTraktListId(listId);
+  return !TRAKT_READ_ONLY_LIST_PREFIXES.some(prefix => baseListId.startsWith(prefix));
+}
+
+/**
+ * Add or remove a movie/show on the user's Trakt watchlist or one of their personal lists
+ * @param {string} listId - Catalog ID ("trakt_watchlist" or "trakt_<slug>", optionally namespaced by account)
+ * @param {Object} userConfig - User configuration
+ * @param {string} action - 'add' or 'remove'
+ * @param {Object} item - { imdbId, tmdbId, type } where type is 'movie' or 'series'
+ * @returns {Promise<Object>} Trakt sync response (added/deleted/not_found counts)
+ */
+async function modifyTraktListItems(listId, userConfig, action, item) {
+  if (!isWritableTraktList(listId)) {
+    throw new Error(`Trakt list ${listId} cannot be modified`);
+  }
+  const { accountKey, baseListId } = parseTraktListId(listId);
+  if (accountKey) {
+    const accountConfig = getTraktAccountConfig(userConfig, accountKey);
+    if (!accountConfig) throw new Error(`Trakt account "${accountKey}" is not connected`);
+    const result = await modifyTraktListItems(baseListId, accountConfig, action, item);
+    storeTraktAccountTokens(userConfig, accountKey, accountConfig);
+    return result;
+  }
+  if (!await initTraktApi(userConfig)) {
+    throw new Error('Trakt is not connected or the token could not be refreshed');
+  }
+
+  const ids = {};
+  if (item.imdbId) ids.imdb = item.imdbId;
+  if (item.tmdbId) ids.tmdb = parseInt(item.tmdbId, 10);
+  const body = { [item.type === 'series' ? 'shows' : 'movies']: [{ ids }] };
+
+  const basePath = listId === 'trakt_watchlist'
+    ? `${TRAKT_API_URL}/sync/watchlist`
+    : `${TRAKT_API_URL}/users/me/lists/${listId.replace('trakt_', '')}/items`;
+  const requestUrl = action === 'remove' ? `${basePath}/remove` : basePath;
+
+  const response = await axios.post(requestUrl, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'trakt-api-version': '2',
+      'trakt-api-key': TRAKT_CLIENT_ID,
+      'Authorization': `Bearer ${userConfig.traktAccessToken}`
+    }
+  });
+  return response.data;
+}
+
+// Next-episode lookups per show, keyed on the show's last watched time so new plays refresh it
+const traktUpNextProgressCache = new Cache({ defaultTTL: 6 * 60 * 60 * 1000 });
+
+/**
+ * Build the "Up Next" list: in-progress shows (most recently watched first) with the next
+ * aired episode the user hasn't seen. Shows hidden from progress on Trakt are skipped.
+ * @param {Object} userConfig - User configuration
+ * @param {Object} headers - Authenticated Trakt request headers
+ * @param {number} skip - Number of items to skip
+ * @param {boolean} isMetadataCheck - Only a single item is needed
+ * @returns {Promise<Object>} { allItems, hasMovies, hasShows }
+ */
+async function fetchTraktUpNextItems(userConfig, headers, skip = 0, isMetadataCheck = false) {
+  const limit = isMetadataCheck ? 1 : ITEMS_PER_PAGE;
+
+  const [watchedResponse, hiddenResponse] = await Promise.all([
+    axios.get(`${TRAKT_API_URL}/sync/watched/shows`, { headers, params: { extended: 'noseasons' } }),
+    axios.get(`${TRAKT_API_URL}/users/hidden/progress_watched`, { headers, params: { type: 'show', limit: 1000 } })
+      .catch(error => {
+        console.warn('[TraktIntegration] Could not fetch hidden progress shows:', error.message);
+        return { data: [] };
+      })
+  ]);
+
+  const hiddenShowIds = new Set((hiddenResponse.data || []).map(entry => entry.show?.ids?.trakt).filter(Boolean));
+  const shows = (watchedResponse.data || [])
+    .filter(entry => entry.show?.ids?.trakt && entry.show.ids.imdb && !hiddenShowIds.has(entry.show.ids.trakt))
+    .sort((a, b) => new Date(b.last_watched_at || 0) - new Date(a.last_watched_at || 0));
+
+  const userKey = getTraktUserCacheKey(userConfig);
+  const fetchNextEpisode = async (entry) => {
+    const cacheKey = `${userKey}_${entry.show.ids.trakt}_${entry.last_watched_at}`;
+    const cached = traktUpNextProgressCache.get(cacheKey);
+    if (cached) return cached === 'none' ? null : cached;
+
+    try {
+      const progressResponse = await axios.get(`${TRAKT_API_URL}/shows/${entry.show.ids.trakt}/progress/watched`, {
+        headers, params: { hidden: false, specials: false, count_specials: false }
+      });
+      const nextEpisode = progressResponse.data?.next_episode;
+      const result = nextEpisode ? { season: nextEpisode.season, number: nextEpisode.number, title: nextEpisode.title } : null;
+      traktUpNextProgressCache.set(cacheKey, result || 'none');
+      return result;
+    } catch (error) {
+      console.error(`[TraktIntegration] Error fetching progress for show ${entry.show.ids.trakt}:`, error.message);
       return null;
     }
+  };
+
+  const allItems = [];
+  let index = 0;
+  while (allItems.length < skip + limit && index < shows.length) {
+    const batch = shows.slice(index, index + TRAKT_CONCURRENT_REQUESTS);
+    index += batch.length;
+    const nextEpisodes = await Promise.all(batch.map(fetchNextEpisode));
+    batch.forEach((entry, i) => {
+      if (!nextEpisodes[i]) return;
+      const show = entry.show;
+      allItems.push({
+        imdb_id: show.ids.imdb, tmdb_id: show.ids.tmdb, title: show.title, year: show.year,
+        type: 'series', listed_at: entry.last_watched_at, next_episode: nextEpisodes[i]
+      });
+    });
   }
 
+  const pageItems = allItems.slice(skip, skip + limit);
+  return { allItems: pageItems, hasMovies: false, hasShows: true };
+}
+
+// Longest calendar we request, a month as on the configure page (Trakt itself allows 33 days)
+const TRAKT_CALENDAR_MAX_DAYS = 31;
+const DEFAULT_TRAKT_CALENDAR_DAYS = 7;
+
+// Calendar responses aren't paginated, so keep them around while Stremio pages through the catalog
+const traktCalendarCache = new Cache({ defaultTTL: 60 * 60 * 1000 });
+
+/**
+ * Build the calendar catalogs from the user's shows and movies on Trakt, starting today.
+ * Episodes are grouped per show so each show appears once, with its next airing episode.
+ * @param {string} listId - 'trakt_calendar_shows' or 'trakt_calendar_movies'
+ * @param {Object} userConfig - User configuration (traktCalendarDays sets the window)
+ * @param {Object} headers - Authenticated Trakt request headers
+ * @param {number} skip - Number of items to skip
+ * @param {boolean} isMetadataCheck - Only a single item is needed
+ * @returns {Promise<Object>} { allItems, hasMovies, hasShows }
+ */
+async function fetchTraktCalendarItems(listId, userConfig, headers, skip = 0, isMetadataCheck = false) {
+  const limit = isMetadataCheck ? 1 : ITEMS_PER_PAGE;
+  const isShows = listId === 'trakt_calendar_shows';
+  const configuredDays = parseInt(userConfig.traktCalendarDays, 10);
+  const days = Math.min(Math.max(configuredDays || DEFAULT_TRAKT_CALENDAR_DAYS, 1), TRAKT_CALENDAR_MAX_DAYS);
+  const startDate = new Date().toISOString().split('T')[0];
+
+  const cacheKey = `${getTraktUserCacheKey(userConfig)}_${listId}_${startDate}_${days}`;
+  let allItems = traktCalendarCache.get(cacheKey);
+
+  if (!allItems) {
+    const response = await axios.get(`${TRAKT_API_URL}/calendars/my/${isShows ? 'shows' : 'movies'}/${startDate}/${days}`, {
+      headers, params: { extended: 'full' }
+    });
+    const entries = Array.isArray(response.data) ? response.data : [];
+
+    if (isShows) {
+      const showsById = new Map();
+      entries
+        .filter(entry => entry.show?.ids?.imdb && entry.episode && entry.first_aired)
+        .sort((a, b) => new Date(a.first_aired) - new Date(b.first_aired))
+        .forEach(entry => {
+          if (showsById.has(entry.show.ids.imdb)) return;
+          const show = entry.show;
+          showsById.set(show.ids.imdb, {
+            imdb_id: show.ids.imdb, tmdb_id: show.ids.tmdb, title: show.title, year: show.year,
+            overview: show.overview, genres: show.genres, runtime: show.runtime, type: 'series',
+            next_episode: {
+              season: entry.episode.season, number: entry.episode.number,
+              title: entry.episode.title, first_aired: entry.first_aired
+            }
+          });
+        });
+      allItems = Array.from(showsById.values());
+    } else {
+      allItems = entries
+        .filter(entry => entry.movie?.ids?.imdb)
+        .sort((a, b) => new Date(a.released || 0) - new Date(b.released || 0))
+        .map(entry => ({
+          imdb_id: entry.movie.ids.imdb, tmdb_id: entry.movie.ids.tmdb, title: entry.movie.title,
+          year: entry.movie.year, overview: entry.movie.overview, genres: entry.movie.genres,
+          runtime: entry.movie.runtime, type: 'movie', calendar_released: entry.released
+        }));
+    }
+
+    traktCalendarCache.set(cacheKey, allItems);
+  }
+
+  return {
+    allItems: allItems.slice(skip, skip + limit),
+    hasMovies: !isShows,
+    hasShows: isShows
+  };
+}
+
+const TRAKT_LIBRARY_LIST_REGEX = /^trakt_(collection|history|ratings)_(movies|shows)$/;
+const TRAKT_LIBRARY_ENDPOINTS = { collection: 'collection', history: 'watched', ratings: 'ratings' };
+
+// Library endpoints return everything at once, so hold the response while Stremio pages through it
+const traktLibraryCache = new Cache({ defaultTTL: 5 * 60 * 1000 });
+
+/**
+ * Minimum rating (1-10) an item needs to show up in the "Rated" catalogs
+ * @param {Object} userConfig - User configuration
+ * @returns {number}
+ */
+function getTraktMinRating(userConfig) {
+  const minRating = parseInt(userConfig.traktMinRating, 10);
+  return Math.min(Math.max(minRating || 1, 1), 10);
+}
+
+/**
+ * Build the collection, history and ratings catalogs from the user's Trakt library.
+ * "rank" keeps Trakt's natural order for each kind: most recently collected or watched first,
+ * highest rated first for ratings.
+ * @param {string} listId - e.g. 'trakt_collection_movies', 'trakt_ratings_shows'
+ * @param {Object} userConfig - User configuration (traktMinRating filters the ratings catalogs)
+ * @param {Object} headers - Authenticated Trakt request headers
+ * @param {number} skip - Number of items to skip
+ * @param {string} sortBy - Sort field
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @param {boolean} isMetadataCheck - Only a single item is needed
+ * @returns {Promise<Object>} { allItems, hasMovies, hasShows }
+ */
+async function fetchTraktLibraryItems(listId, userConfig, headers, skip = 0, sortBy = 'rank', sortOrder = 'asc', isMetadataCheck = false) {
+  const limit = isMetadataCheck ? 1 : ITEMS_PER_PAGE;
+  const [, kind, mediaType] = listId.match(TRAKT_LIBRARY_LIST_REGEX);
+  const isShows = mediaType === 'shows';
+  const minRating = kind === 'ratings' ? getTraktMinRating(userConfig) : 1;
+
+  const cacheKey = `${getTraktUserCacheKey(userConfig)}_${listId}_${minRating}`;
+  let items = traktLibraryCache.get(cacheKey);
+
+  if (!items) {
+    const params = isShows && kind !== 'ratings' ? { extended: 'noseasons' } : {};
+    const response = await axios.get(`${TRAKT_API_URL}/sync/${TRAKT_LIBRARY_ENDPOINTS[kind]}/${mediaType}`, { headers, params });
+    const entries = Array.isArray(response.data) ? response.data : [];
+
+    items = entries
+      .filter(entry => {
+        const media = isShows ? entry.show : entry.movie;
+        if (!media?.ids?.imdb) return false;
+        return kind !== 'ratings' || entry.rating >= minRating;
+      })
+      .map(entry => {
+        const media = isShows ? entry.show : entry.movie;
+        return {
+          imdb_id: media.ids.imdb, tmdb_id: media.ids.tmdb, title: media.title, year: media.year,
+          type: isShows ? 'series' : 'movie',
+          listed_at: entry.rated_at || entry.last_watched_at || entry.last_collected_at || entry.collected_at,
+          my_rating: entry.rating
+        };
+      });
+
+    if (kind === 'ratings') {
+      items.sort((a, b) => (b.my_rating - a.my_rating) || (new Date(b.listed_at || 0) - new Date(a.listed_at || 0)));
+    } else {
+      items.sort((a, b) => new Date(b.listed_at || 0) - new Date(a.listed_at || 0));
+    }
+
+    traktLibraryCache.set(cacheKey, items);
+  }
+
+  let sortedItems = items;
+  if (sortBy && sortBy !== 'rank') {
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const sortValue = {
+      added: item => new Date(item.listed_at || 0).getTime(),
+      collected: item => new Date(item.listed_at || 0).getTime(),
+      watched: item => new Date(item.listed_at || 0).getTime(),
+      released: item => item.year || 0,
+      my_rating: item => item.my_rating || 0
+    }[sortBy.trim()];
+
+    if (sortBy === 'title') {
+      sortedItems = [...items].sort((a, b) => direction * String(a.title || '').localeCompare(String(b.title || '')));
+    } else if (sortBy === 'random') {
+      sortedItems = [...items].sort(() => Math.random() - 0.5);
+    } else if (sortValue) {
+      sortedItems = [...items].sort((a, b) => direction * (sortValue(a) - sortValue(b)));
+    }
+  }
+
+  return {
+    allItems: sortedItems.slice(skip, skip + limit),
+    hasMovies: !isShows,
+    hasShows: isShows
+  };
+}
+
 /**
  * Fetch metadata for a single item from Trakt
  * @param {string} imdbId - IMDb ID (with or without 'tt' prefix)
@@ -607,9 +1231,19 @@ async function validateTraktApi() {
   getTraktAuthUrl,
   getTraktUserSettings,
   authenticateTrakt,
+  getTraktDeviceCode,
+  authenticateTraktDevice,
+  parseTraktListId,
+  getTraktConfigForList,
+  addTraktAccount,
+  removeTraktAccount,
   fetchTraktLists,
   fetchTraktListItems,
   fetchPublicTraktListDetails,
+  isWritableTraktList,
+  modifyTraktListItems,
+  fetchTraktWatchedKeys,
+  TRAKT_CALENDAR_MAX_DAYS,
   fetchTraktMetadata,
   batchFetchTraktMetadata,
   fetchTraktGenres,
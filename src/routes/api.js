@@ -1,27 +1,28 @@
 // src/routes/api.js
 const path = require('path');
-const { defaultConfig, staticGenres, TMDB_BEARER_TOKEN, TMDB_REDIRECT_URI, TRAKT_REDIRECT_URI } = require('../config');
+const express = require('express');
+const { defaultConfig, staticGenres, TMDB_BEARER_TOKEN, TMDB_REDIRECT_URI, TRAKT_REDIRECT_URI, TRAKT_CLIENT_SECRET, SIMKL_CLIENT_ID } = require('../config');
 const { compressConfig, decompressConfig, compressShareableConfig, createShareableConfig } = require('../utils/urlConfig');
 const { createAddon, fetchListContent } = require('../addon/addonBuilder');
 const { convertToStremioFormat } = require('../addon/converters');
-const { setCacheHeaders, isWatchlist: commonIsWatchlist } = require('../utils/common');
+const { setCacheHeaders, isWatchlist: commonIsWatchlist, isLiveContentType, isUrlImport: isUrlImportedAddon, getUrlImportSource, escapeHtml } = require('../utils/common');
 const Cache = require('../utils/cache');
 const { validateRPDBKey } = require('../utils/posters');
 const { validateTMDBKey } = require('../integrations/tmdb');
-const { initTraktApi, authenticateTrakt, getTraktAuthUrl, fetchTraktLists, fetchPublicTraktListDetails, validateTraktApi } = require('../integrations/trakt');
+const { initTraktApi, authenticateTrakt, getTraktAuthUrl, fetchTraktLists, fetchPublicTraktListDetails, validateTraktApi, addTraktAccount, removeTraktAccount } = require('../integrations/trakt');
 const { fetchAllLists: fetchAllMDBLists, validateMDBListKey, extractListFromUrl: extractMDBListFromUrl } = require('../integrations/mdblist');
-const { importExternalAddon: importExtAddon } = require('../integrations/externalAddons');
-const { saveTraktTokens } = require('../utils/remoteStorage');
+const { importExternalAddon: importExtAddon, resyncExternalAddon, getAddonUpdateStatus, isImportedSearchSource, getImportedSearchSourceId, getImportedSearchSources } = require('../integrations/externalAddons');
+const { hasTraktTokenStorage, isServerVaultEnabled, saveTraktTokens, deleteTraktTokens } = require('../utils/remoteStorage');
 
 const manifestCache = new Cache({ defaultTTL: 1 * 60 * 1000 });
 
-// Helper function to create a config copy for storage that excludes sensitive Trakt tokens when using Upstash
+// Helper function to create a config copy for storage that excludes sensitive Trakt tokens when they live in a token vault
 function createConfigForStorage(userConfig) {
   const configForStorage = { ...userConfig };
   
-  // Only exclude Trakt tokens from storage if Upstash is configured and we have a traktUuid
-  // This ensures tokens can be retrieved from Upstash when needed
-  if (configForStorage.upstashUrl && configForStorage.traktUuid) {
+  // Only exclude Trakt tokens from storage if a vault (Upstash or the server's TOKEN_VAULT) holds them for this traktUuid
+  // This ensures tokens can be retrieved from the vault when needed
+  if (hasTraktTokenStorage(configForStorage)) {
     configForStorage.traktAccessToken = null;
     configForStorage.traktRefreshToken = null;
     configForStorage.traktExpiresAt = null;
@@ -30,6 +31,45 @@ function createConfigForStorage(userConfig) {
   return configForStorage;
 }
 
+// Move freshly issued Trakt tokens into the user's token vault, if there is one. On success the
+// tokens are cleared from userConfig so the config hash only carries traktUuid (and traktVaultKey).
+async function moveTraktTokensToVault(userConfig) {
+  if (!userConfig.traktAccessToken || !hasTraktTokenStorage(userConfig)) return false;
+
+  const saved = await saveTraktTokens(userConfig, {
+    accessToken: userConfig.traktAccessToken,
+    refreshToken: userConfig.traktRefreshToken,
+    expiresAt: userConfig.traktExpiresAt
+  }, { replace: true });
+  if (!saved) return false;
+
+  userConfig.traktAccessToken = null;
+  userConfig.traktRefreshToken = null;
+  userConfig.traktExpiresAt = null;
+  return true;
+}
+
+// Store a Trakt authorization as the main account, or as an extra account (traktAccounts) when
+// addAccount is set and a different account is already connected
+async function applyTraktAuthResult(userConfig, authResult, addAccount = false) {
+  const hasMainAccount = !!(userConfig.traktAccessToken || (userConfig.traktUuid && hasTraktTokenStorage(userConfig)));
+  if (addAccount && hasMainAccount && authResult.uuid && authResult.uuid !== userConfig.traktUuid) {
+    return addTraktAccount(userConfig, authResult);
+  }
+
+  userConfig.traktAccessToken = authResult.accessToken;
+  userConfig.traktRefreshToken = authResult.refreshToken;
+  userConfig.traktExpiresAt = authResult.expiresAt;
+  if (authResult.uuid) {
+    userConfig.traktUuid = authResult.uuid;
+  }
+  if (authResult.username) {
+    userConfig.traktUsername = authResult.username; // Store the username for persistence
+  }
+  await moveTraktTokensToVault(userConfig);
+  return null;
+}
+
 // Helper function to update config without rebuilding manifest
 async function updateConfigLightweight(userConfig, changes, changeDescription) {
   // Apply changes to user config
@@ -47,6 +87,23 @@ function clearManifestCache(reason) {
   manifestCache.clear();
 }
 
+/**
+ * Derive hasMovies/hasShows of an imported addon from its catalogs and declared types
+ * @param {Object} addonEntry - importedAddons entry, updated in place
+ */
+function setImportedAddonMediaFlags(addonEntry) {
+  if (!addonEntry || !addonEntry.catalogs) return;
+  const sourceManifestTypes = addonEntry.types || [];
+  addonEntry.hasMovies = addonEntry.catalogs.some(c => {
+      const typeFromCatalog = c.type;
+      return typeFromCatalog === 'movie' || (typeFromCatalog === 'all' && sourceManifestTypes.includes('movie'));
+  });
+  addonEntry.hasShows = addonEntry.catalogs.some(c => {
+      const typeFromCatalog = c.type;
+      return typeFromCatalog === 'series' || typeFromCatalog === 'tv' || (typeFromCatalog === 'all' && (sourceManifestTypes.includes('series') || sourceManifestTypes.includes('tv')));
+  });
+}
+
 function purgeListConfigs(userConfig, listIdPrefixOrExactId, isExactId = false) {
   const idsToRemove = new Set();
 
@@ -116,6 +173,12 @@ function purgeListConfigs(userConfig, listIdPrefixOrExactId, isExactId = false)
           return true;
       });
   }
+  if (userConfig.hideWatchedLists) {
+      userConfig.hideWatchedLists = userConfig.hideWatchedLists.filter(id => {
+          if (filterCondition(id)) { idsToRemove.add(String(id)); return false; }
+          return true;
+      });
+  }
   return idsToRemove;
 }
 
@@ -138,21 +201,22 @@ module.exports = function(router) {
         req.userConfig.searchSources = defaultConfig.searchSources;
       }
       
-      // If Upstash is configured and we have a traktUuid, try to load Trakt tokens before determining shared status
-      if (req.userConfig.upstashUrl && req.userConfig.traktUuid && !req.userConfig.traktAccessToken) {
+      // If a token vault holds this traktUuid's tokens, try to load them before determining shared status
+      if (hasTraktTokenStorage(req.userConfig) && !req.userConfig.traktAccessToken) {
         try {
           await initTraktApi(req.userConfig);
         } catch (error) {
-          console.warn('Failed to load Trakt tokens from Upstash during config param processing:', error.message);
+          console.warn('Failed to load Trakt tokens from the token vault during config param processing:', error.message);
         }
       }
       
-      // Determine if this is a potentially shared config (excludes Upstash-stored tokens)
-      const hasUpstashTraktStorage = req.userConfig.upstashUrl && req.userConfig.traktUuid;
+      // Determine if this is a potentially shared config (excludes vault-stored tokens)
+      const hasVaultTraktStorage = hasTraktTokenStorage(req.userConfig);
       
       req.isPotentiallySharedConfig = (!req.userConfig.apiKey && Object.values(req.userConfig.importedAddons || {}).some(addon => addon.isMDBListUrlImport)) ||
-                                     (!req.userConfig.traktAccessToken && !hasUpstashTraktStorage && Object.values(req.userConfig.importedAddons || {}).some(addon => addon.isTraktPublicList)) ||
-                                     (!req.userConfig.traktAccessToken && !hasUpstashTraktStorage && (req.userConfig.listOrder || []).some(id => id.startsWith('trakt_') && !id.startsWith('traktpublic_')));
+                                     (!req.userConfig.traktAccessToken && !hasVaultTraktStorage && Object.values(req.userConfig.importedAddons || {}).some(addon => addon.isTraktPublicList)) ||
+                                     (!req.userConfig.traktAccessToken && !hasVaultTraktStorage && (req.userConfig.listOrder || []).some(id => id.startsWith('trakt_') && !id.startsWith('traktpublic_'))) ||
+                                     (!req.userConfig.simklAccessToken && (req.userConfig.listOrder || []).some(id => id.startsWith('simkl_')));
       next();
     } catch (error) {
       console.error('Error decompressing configHash:', configHash, error);
@@ -190,6 +254,25 @@ module.exports = function(router) {
     }
   });
 
+  router.post('/:configHash/config/trailer-streams', async (req, res) => {
+    try {
+      const { enable } = req.body;
+      if (typeof enable !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'Invalid value for enable. Must be boolean.' });
+      }
+
+      req.userConfig.enableTrailerStreams = enable;
+      req.userConfig.lastUpdated = new Date().toISOString();
+
+      const newConfigHash = await compressConfig(req.userConfig);
+      manifestCache.clear();
+      res.json({ success: true, configHash: newConfigHash });
+    } catch (error) {
+      console.error('Error updating trailer streams setting:', error);
+      res.status(500).json({ success: false, error: 'Failed to update trailer streams setting' });
+    }
+  });
+
   router.post('/:configHash/config/random-list-feature', async (req, res) => {
     try {
       const { enable, randomMDBListUsernames } = req.body; // Added randomMDBListUsernames
@@ -286,8 +369,9 @@ module.exports = function(router) {
       
       // Handle traditional search sources
       if (searchSources && Array.isArray(searchSources)) {
-        // Temporarily disable 'multi' search option
-        const validSources = searchSources.filter(s => ['cinemeta', 'trakt', 'tmdb'].includes(s));
+        // Temporarily disable 'multi' search option. Imported addons are toggled as 'addon:<id>'.
+        const validSources = searchSources.filter(s => ['cinemeta', 'trakt', 'tmdb'].includes(s) ||
+          (isImportedSearchSource(s) && req.userConfig.importedAddons?.[s.slice(s.indexOf(':') + 1)]?.searchCatalogs?.length > 0));
         req.userConfig.searchSources = validSources;
       }
 
@@ -429,7 +513,7 @@ module.exports = function(router) {
             searchResults = await searchContent({
               query: searchQuery.trim(),
               type: 'anime', // Use anime type for anime search
-              sources: ['anime'], // Use anime source for anime search
+              sources: ['anime', ...getImportedSearchSources(req.userConfig)], // Kitsu plus enabled imported addons
               limit: 20,
               userConfig: req.userConfig
             });
@@ -451,6 +535,7 @@ module.exports = function(router) {
             if (userSearchSources.includes('tmdb') && (req.userConfig.tmdbBearerToken || req.userConfig.tmdbSessionId)) {
               sources.push('tmdb');
             }
+            sources.push(...getImportedSearchSources(req.userConfig));
             
             // If no valid sources are configured, return empty results
             if (sources.length === 0) {
@@ -507,6 +592,7 @@ module.exports = function(router) {
                          catalogId.startsWith('trakt_') && !catalogId.startsWith('traktpublic_') ? 'trakt_native' :
                          catalogId.startsWith('mdblisturl_') ? 'mdblist_url' :
                          catalogId.startsWith('traktpublic_') ? 'trakt_public' :
+                         catalogId.startsWith('simkl_') ? 'simkl_native' :
                          'external_addon';
   
       if (listSource === 'trakt_native') {
@@ -529,6 +615,9 @@ module.exports = function(router) {
       if (listSource === 'trakt_native' && !req.userConfig.traktAccessToken) {
           return res.json({ metas: [] });
       }
+      if (listSource === 'simkl_native' && !req.userConfig.simklAccessToken) {
+          return res.json({ metas: [] });
+      }
   
       if (catalogId === 'random_mdblist_catalog' || commonIsWatchlist(catalogId)) {
         res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
@@ -582,7 +671,7 @@ module.exports = function(router) {
       }
       
       // Apply genre filtering after enrichment (since we removed it from integration layer)
-      if (genre && genre !== 'All' && metas.length > 0) {
+      if (genre && genre !== 'All' && metas.length > 0 && !isLiveContentType(catalogType)) {
           const beforeFilterCount = metas.length;
           metas = metas.filter(meta => {
               if (!meta.genres) return false;
@@ -601,12 +690,51 @@ module.exports = function(router) {
   });
 
   router.get('/:configHash/meta/:type/:id.json', async (req, res) => {
+    // Append "Add to <list>" links for writable lists when the user opted in
+    const withListEditLinks = async (meta) => {
+      if (!req.userConfig.enableListEditLinks || isLiveContentType(req.params.type)) return meta;
+      try {
+        let addonInterface = manifestCache.get(`manifest_${req.configHash}`);
+        if (!addonInterface) {
+          addonInterface = await createAddon(req.userConfig);
+          manifestCache.set(`manifest_${req.configHash}`, addonInterface);
+        }
+        const protocol = (req.headers['x-forwarded-proto'] || req.protocol).split(',')[0];
+        const baseUrl = `${protocol}://${req.get('host')}/${req.params.configHash}`;
+        const { buildListEditLinks } = require('../addon/listWriter');
+        const links = buildListEditLinks(addonInterface.manifest.catalogs, req.userConfig, baseUrl, req.params.id, req.params.type);
+        if (links.length > 0) {
+          meta.links = [...(meta.links || []), ...links];
+        }
+      } catch (error) {
+        console.error(`Error building list edit links for ${req.params.id}:`, error.message);
+      }
+      return meta;
+    };
+
     try {
       const { type, id } = req.params;
-      
-      // Support both IMDB IDs (tt) and TMDB IDs (tmdb:)
+
+      // Kitsu IDs come from anime lists without an IMDb/TMDB match, the Kitsu addon has their metadata
+      if (id.startsWith('kitsu:')) {
+        const { fetchKitsuMeta } = require('../integrations/animeLists');
+        const kitsuMeta = await fetchKitsuMeta(type, id);
+        if (!kitsuMeta) {
+          return res.status(404).json({ meta: null });
+        }
+        res.setHeader('Cache-Control', 'public, max-age=86400'); // 24 hours cache
+        return res.json({ meta: await withListEditLinks(kitsuMeta) });
+      }
+
+      // Other ids come from imported addons, proxy them to where they came from
       if (!id.startsWith('tt') && !id.startsWith('tmdb:')) {
-        return res.status(404).json({ meta: null });
+        const { fetchExternalAddonMeta } = require('../integrations/externalAddons');
+        const proxiedMeta = await fetchExternalAddonMeta(type, id, req.userConfig);
+        if (!proxiedMeta) {
+          return res.status(404).json({ meta: null });
+        }
+        res.setHeader('Cache-Control', 'public, max-age=21600'); // 6 hours cache
+        return res.json({ meta: await withListEditLinks(proxiedMeta) });
       }
 
       // Set cache headers - meta data can be cached longer since it doesn't change often
@@ -628,7 +756,7 @@ module.exports = function(router) {
             if (tmdbMeta) {
               // Ensure the ID matches the request
               tmdbMeta.id = id;
-              return res.json({ meta: tmdbMeta });
+              return res.json({ meta: await withListEditLinks(tmdbMeta) });
             }
           } catch (tmdbError) {
             console.error(`TMDB metadata fetch failed for ${id}:`, tmdbError.message);
@@ -695,7 +823,7 @@ module.exports = function(router) {
           };
           
           Object.keys(meta).forEach(key => meta[key] === undefined && delete meta[key]);
-          return res.json({ meta });
+          return res.json({ meta: await withListEditLinks(meta) });
         }
       }
       
@@ -719,7 +847,181 @@ module.exports = function(router) {
       });
     }
   });
+
+  router.get('/:configHash/stream/:type/:id.json', async (req, res) => {
+    try {
+      const { type, id } = req.params;
+
+      if (isLiveContentType(type)) {
+        res.setHeader('Cache-Control', 'public, max-age=300'); // 5 minutes, live stream urls expire
+        const { fetchExternalAddonStreams } = require('../integrations/externalAddons');
+        return res.json({ streams: await fetchExternalAddonStreams(type, id, req.userConfig) });
+      }
+
+      if (!req.userConfig.enableTrailerStreams || (!id.startsWith('tt') && !id.startsWith('tmdb:'))) {
+        return res.json({ streams: [] });
+      }
+
+      res.setHeader('Cache-Control', 'public, max-age=86400'); // 24 hours cache
+
+      const { getTrailerStreams } = require('../addon/streams');
+      const streams = await getTrailerStreams(type, id, req.userConfig);
+      res.json({ streams });
+    } catch (error) {
+      console.error(`Error in stream endpoint for ${req.params.id}:`, error);
+      res.json({ streams: [] });
+    }
+  });
   
+  const respondToListItemChange = async (req, res, action, id, type) => {
+    const { listId } = req.params;
+    try {
+      if (!id || !type) {
+        return res.status(400).json({ success: false, error: 'Item id and type are required' });
+      }
+
+      const { modifyListItem } = require('../addon/listWriter');
+      const result = await modifyListItem(listId, req.userConfig, action, id, type);
+      manifestCache.clear();
+      res.json({ success: true, listId, action, result });
+    } catch (error) {
+      console.error('Error in /lists/:listId/items:', error);
+      const status = error.response?.status >= 400 ? error.response.status : 500;
+      res.status(status).json({ success: false, error: 'Failed to update list', details: error.response?.data?.status_message || error.message });
+    }
+  };
+
+  router.post('/:configHash/lists/:listId/items', async (req, res) => {
+    const { id, type, action = 'add' } = req.body;
+    await respondToListItemChange(req, res, action, id, type);
+  });
+
+  router.delete('/:configHash/lists/:listId/items', async (req, res) => {
+    const id = req.body?.id || req.query.id;
+    const type = req.body?.type || req.query.type;
+    await respondToListItemChange(req, res, 'remove', id, type);
+  });
+
+  const sendListEditPage = (res, status, message, form = '') => {
+    res.status(status).type('html').send(`<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>AIOLists</title></head><body style="font-family: sans-serif; max-width: 480px; margin: 40px auto; padding: 0 16px;"><p>${message}</p>${form}</body></html>`);
+  };
+
+  // Target of the meta "Add to <list>" links, which Stremio opens in a browser.
+  // Only asks for confirmation, the change itself is made by the POST below.
+  router.get('/:configHash/lists/:listId/items', (req, res) => {
+    const { configHash, listId } = req.params;
+    const { id, type } = req.query;
+    const action = req.query.action === 'remove' ? 'remove' : 'add';
+    if (!id || !type) {
+      return sendListEditPage(res, 400, 'Item id and type are required.');
+    }
+    const formAction = `/${encodeURIComponent(configHash)}/lists/${encodeURIComponent(listId)}/items/confirm`;
+    sendListEditPage(res, 200,
+      `${action === 'remove' ? 'Remove' : 'Add'} <strong>${escapeHtml(id)}</strong> ${action === 'remove' ? 'from' : 'to'} <strong>${escapeHtml(listId)}</strong>?`,
+      `<form method="post" action="${escapeHtml(formAction)}">
+        <input type="hidden" name="id" value="${escapeHtml(id)}">
+        <input type="hidden" name="type" value="${escapeHtml(type)}">
+        <input type="hidden" name="action" value="${action}">
+        <button type="submit">${action === 'remove' ? 'Remove' : 'Add'}</button>
+      </form>`);
+  });
+
+  router.post('/:configHash/lists/:listId/items/confirm', express.urlencoded({ extended: false }), async (req, res) => {
+    const { listId } = req.params;
+    const { id, type } = req.body || {};
+    const action = req.body?.action === 'remove' ? 'remove' : 'add';
+    try {
+      if (!id || !type) {
+        return sendListEditPage(res, 400, 'Item id and type are required.');
+      }
+      const { modifyListItem } = require('../addon/listWriter');
+      await modifyListItem(listId, req.userConfig, action, id, type);
+      manifestCache.clear();
+      sendListEditPage(res, 200, `${action === 'remove' ? 'Removed' : 'Added'} ${escapeHtml(id)} ${action === 'remove' ? 'from' : 'to'} ${escapeHtml(listId)}. You can close this tab.`);
+    } catch (error) {
+      console.error('Error in /lists/:listId/items/confirm:', error);
+      sendListEditPage(res, 500, `Failed to update ${escapeHtml(listId)}: ${escapeHtml(error.response?.data?.status_message || error.message)}`);
+    }
+  });
+
+  router.post('/:configHash/config/list-edit-links', async (req, res) => {
+    try {
+      const { enable } = req.body;
+      if (typeof enable !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'Invalid value for enable. Must be boolean.' });
+      }
+
+      req.userConfig.enableListEditLinks = enable;
+      req.userConfig.lastUpdated = new Date().toISOString();
+
+      const newConfigHash = await compressConfig(req.userConfig);
+      manifestCache.clear();
+      res.json({ success: true, configHash: newConfigHash });
+    } catch (error) {
+      console.error('Error updating list edit links setting:', error);
+      res.status(500).json({ success: false, error: 'Failed to update list edit links setting' });
+    }
+  });
+
+  router.post('/:configHash/config/trakt-calendar', async (req, res) => {
+    try {
+      const { TRAKT_CALENDAR_MAX_DAYS } = require('../integrations/trakt');
+      const days = Number(req.body.days);
+      if (!Number.isInteger(days) || days < 1 || days > TRAKT_CALENDAR_MAX_DAYS) {
+        return res.status(400).json({ success: false, error: `Invalid value for days. Must be a whole number between 1 and ${TRAKT_CALENDAR_MAX_DAYS}.` });
+      }
+
+      req.userConfig.traktCalendarDays = days;
+      req.userConfig.lastUpdated = new Date().toISOString();
+
+      const newConfigHash = await compressConfig(req.userConfig);
+      manifestCache.clear();
+      res.json({ success: true, configHash: newConfigHash });
+    } catch (error) {
+      console.error('Error updating Trakt calendar setting:', error);
+      res.status(500).json({ success: false, error: 'Failed to update Trakt calendar setting' });
+    }
+  });
+
+  router.post('/:configHash/config/auto-hide-failing', async (req, res) => {
+    try {
+      const { AUTO_HIDE_FAILING_MAX_DAYS } = require('../utils/sourceHealth');
+      const days = Number(req.body.days);
+      if (!Number.isInteger(days) || days < 0 || days > AUTO_HIDE_FAILING_MAX_DAYS) {
+        return res.status(400).json({ success: false, error: `Invalid value for days. Must be a whole number between 0 and ${AUTO_HIDE_FAILING_MAX_DAYS}.` });
+      }
+
+      req.userConfig.autoHideFailingDays = days;
+      req.userConfig.lastUpdated = new Date().toISOString();
+
+      const newConfigHash = await compressConfig(req.userConfig);
+      manifestCache.clear();
+      res.json({ success: true, configHash: newConfigHash });
+    } catch (error) {
+      console.error('Error updating auto-hide setting:', error);
+      res.status(500).json({ success: false, error: 'Failed to update auto-hide setting' });
+    }
+  });
+
+  router.post('/:configHash/config/trakt-min-rating', async (req, res) => {
+    try {
+      const minRating = Number(req.body.minRating);
+      if (!Number.isInteger(minRating) || minRating < 1 || minRating > 10) {
+        return res.status(400).json({ success: false, error: 'Invalid value for minRating. Must be a whole number between 1 and 10.' });
+      }
+
+      req.userConfig.traktMinRating = minRating;
+      req.userConfig.lastUpdated = new Date().toISOString();
+
+      const newConfigHash = await compressConfig(req.userConfig);
+      manifestCache.clear();
+      res.json({ success: true, configHash: newConfigHash });
+    } catch (error) {
+      console.error('Error updating Trakt rating threshold:', error);
+      res.status(500).json({ success: false, error: 'Failed to update Trakt rating threshold' });
+    }
+  });
+
   router.get('/:configHash/config', (req, res) => {
     const configToSend = JSON.parse(JSON.stringify(req.userConfig));
     
@@ -728,13 +1030,22 @@ module.exports = function(router) {
       delete configToSend.tmdbBearerToken;
     }
     
-    // Always remove Trakt tokens from API responses if Upstash is configured (tokens should only exist in Upstash)
-    if (req.userConfig.upstashUrl && req.userConfig.traktUuid) {
+    // Always remove Trakt tokens from API responses if they live in a token vault (tokens should only exist there)
+    if (hasTraktTokenStorage(req.userConfig)) {
       delete configToSend.traktAccessToken;
       delete configToSend.traktRefreshToken;
       delete configToSend.traktExpiresAt;
     }
     
+    // The vault key only matters server-side
+    delete configToSend.traktVaultKey;
+    
+    // Extra Trakt accounts: the UI only needs to know who they are
+    if (configToSend.traktAccounts) {
+      configToSend.traktAccounts = Object.fromEntries(Object.entries(configToSend.traktAccounts)
+        .map(([accountKey, account]) => [accountKey, { username: account.username }]));
+    }
+    
     // Only remove sensitive data if this is a potentially shared config
     // Note: Keep usernames (tmdbUsername, traktUsername, mdblistUsername) as they're not sensitive
     if (req.isPotentiallySharedConfig) {
@@ -747,6 +1058,8 @@ module.exports = function(router) {
       delete configToSend.traktRefreshToken;
       delete configToSend.traktExpiresAt;
       delete configToSend.traktUuid;
+      delete configToSend.traktAccounts;
+      delete configToSend.simklAccessToken;
       delete configToSend.upstashUrl;
       delete configToSend.upstashToken;
     }
@@ -754,6 +1067,9 @@ module.exports = function(router) {
     // Remove internal sort options that shouldn't be exposed
     delete configToSend.availableSortOptions;
     delete configToSend.traktSortOptions;
+    delete configToSend.smartListSortOptions;
+    delete configToSend.letterboxdSortOptions;
+    delete configToSend.tmdbSortOptions;
     
     // Clean up arrays
     configToSend.hiddenLists = Array.from(new Set(configToSend.hiddenLists || []));
@@ -766,7 +1082,9 @@ module.exports = function(router) {
       rpdb: !!req.userConfig.rpdbApiKey,
       tmdb: !!(req.userConfig.tmdbSessionId && req.userConfig.tmdbAccountId),
       trakt: !!req.userConfig.traktAccessToken,
-      upstash: !!(req.userConfig.upstashUrl && req.userConfig.upstashToken)
+      simkl: !!req.userConfig.simklAccessToken,
+      upstash: !!(req.userConfig.upstashUrl && req.userConfig.upstashToken),
+      traktPersistent: hasTraktTokenStorage(req.userConfig)
     };
     
     res.json({ 
@@ -777,7 +1095,10 @@ module.exports = function(router) {
       env: {
         hasTmdbBearerToken: !!TMDB_BEARER_TOKEN,
         hasTmdbRedirectUri: !!TMDB_REDIRECT_URI,
-        hasTraktRedirectUri: !!TRAKT_REDIRECT_URI
+        hasTraktRedirectUri: !!TRAKT_REDIRECT_URI,
+        hasTraktDeviceAuth: !!TRAKT_CLIENT_SECRET,
+        hasSimklClientId: !!SIMKL_CLIENT_ID,
+        hasTokenVault: isServerVaultEnabled()
       }
     });
   });
@@ -877,26 +1198,16 @@ module.exports = function(router) {
     try {
         const { upstashUrl, upstashToken } = req.body;
 
+        // Pull the tokens out of whichever vault holds them now, before the credentials change which vault that is
+        if (hasTraktTokenStorage(req.userConfig) && !req.userConfig.traktAccessToken) {
+            await initTraktApi(req.userConfig);
+        }
+
         req.userConfig.upstashUrl = upstashUrl || '';
         req.userConfig.upstashToken = upstashToken || '';
 
-        // Save Trakt tokens to Upstash if available
-        if (upstashUrl && upstashToken && req.userConfig.traktAccessToken && req.userConfig.traktUuid) {
-            const tokensToSave = {
-                accessToken: req.userConfig.traktAccessToken,
-                refreshToken: req.userConfig.traktRefreshToken,
-                expiresAt: req.userConfig.traktExpiresAt
-            };
-            await saveTraktTokens(req.userConfig, tokensToSave);
-            
-            // Immediately verify that tokens are accessible from Upstash
-            await initTraktApi(req.userConfig);
-            
-            // Clear tokens from local config now that they're safely stored in Upstash
-            req.userConfig.traktAccessToken = null;
-            req.userConfig.traktRefreshToken = null;
-            req.userConfig.traktExpiresAt = null;
-        }
+        // Save Trakt tokens to the new vault if available; they're cleared from the local config once stored
+        await moveTraktTokensToVault(req.userConfig);
         
         req.userConfig.lastUpdated = new Date().toISOString();
         
@@ -913,7 +1224,7 @@ module.exports = function(router) {
   router.post('/:configHash/trakt/auth', async (req, res) => {
     try {
       const configHash = req.params.configHash;
-      const { code } = req.body;
+      const { code, addAccount } = req.body;
       
       if (!configHash) {
         return res.status(400).json({ error: 'Config hash is required' });
@@ -937,26 +1248,20 @@ module.exports = function(router) {
         return res.status(400).json({ error: 'Trakt authentication failed - no access token received' });
       }
       
-      // Update userConfig with new tokens
-      userConfig.traktAccessToken = authResult.accessToken;
-      userConfig.traktRefreshToken = authResult.refreshToken;
-      userConfig.traktExpiresAt = authResult.expiresAt;
-      if (authResult.uuid) {
-        userConfig.traktUuid = authResult.uuid;
-      }
-      if (authResult.username) {
-        userConfig.traktUsername = authResult.username; // Store the username for persistence
-      }
+      // Update userConfig with new tokens (main account, or an extra one when adding)
+      const accountKey = await applyTraktAuthResult(userConfig, authResult, !!addAccount);
       
       // Compress and return new config hash
       const newConfigHash = await compressConfig(userConfig);
+      clearManifestCache('Trakt connected');
       
       res.json({
         success: true,
         configHash: newConfigHash,
         message: 'Successfully connected to Trakt!',
         uuid: authResult.uuid,
-        username: authResult.username
+        username: authResult.username,
+        accountKey
       });
       
     } catch (error) {
@@ -965,6 +1270,65 @@ module.exports = function(router) {
     }
   });
   
+  // Device-code flow: the UI shows the code, the user enters it on trakt.tv/activate (e.g. from a TV),
+  // and the UI polls /trakt/device/auth until the approval comes through
+  router.get('/trakt/device/code', async (req, res) => {
+    try {
+      const { getTraktDeviceCode } = require('../integrations/trakt');
+      res.json({ success: true, ...(await getTraktDeviceCode()) });
+    } catch (error) {
+      console.error('Error in /trakt/device/code:', error);
+      res.status(500).json({ error: error.message || 'Failed to get Trakt device code' });
+    }
+  });
+
+  router.post('/:configHash/trakt/device/auth', async (req, res) => {
+    try {
+      const { deviceCode, addAccount } = req.body;
+      if (!deviceCode) return res.status(400).json({ error: 'Trakt device code is required' });
+
+      const { authenticateTraktDevice } = require('../integrations/trakt');
+      const authResult = await authenticateTraktDevice(deviceCode);
+      if (authResult.pending) {
+        return res.json({ success: false, pending: true, slowDown: authResult.slowDown });
+      }
+
+      const accountKey = await applyTraktAuthResult(req.userConfig, authResult, !!addAccount);
+
+      req.userConfig.lastUpdated = new Date().toISOString();
+      const newConfigHash = await compressConfig(req.userConfig);
+      clearManifestCache('Trakt connected');
+      res.json({ success: true, configHash: newConfigHash, uuid: authResult.uuid, username: authResult.username, accountKey, message: 'Successfully connected to Trakt!' });
+    } catch (error) {
+      console.error('Error in /trakt/device/auth:', error);
+      res.status(400).json({ error: `Trakt authentication failed: ${error.message}` });
+    }
+  });
+
+  router.post('/:configHash/trakt/accounts/remove', async (req, res) => {
+    try {
+      const { accountKey } = req.body;
+      if (!accountKey || !await removeTraktAccount(req.userConfig, String(accountKey))) {
+        return res.status(404).json({ error: 'Trakt account not found' });
+      }
+
+      purgeListConfigs(req.userConfig, `trakt_${accountKey}_`);
+      if (req.userConfig.listsMetadata) {
+        Object.keys(req.userConfig.listsMetadata).forEach(key => {
+          if (key.startsWith(`trakt_${accountKey}_`)) delete req.userConfig.listsMetadata[key];
+        });
+      }
+
+      req.userConfig.lastUpdated = new Date().toISOString();
+      const newConfigHash = await compressConfig(req.userConfig);
+      clearManifestCache('Trakt account removed');
+      res.json({ success: true, configHash: newConfigHash, message: 'Trakt account removed.' });
+    } catch (error) {
+      console.error('Error in /trakt/accounts/remove:', error);
+      res.status(500).json({ error: 'Failed to remove Trakt account', details: error.message });
+    }
+  });
+
   // Trakt callback redirect handler (for when user is redirected back from Trakt)
   router.get('/trakt/callback', async (req, res) => {
     try {
@@ -1003,7 +1367,14 @@ module.exports = function(router) {
 
   router.post('/:configHash/trakt/disconnect', async (req, res) => {
     try {
+        await deleteTraktTokens(req.userConfig);
+        // Extra accounts hang off the main one, so disconnecting removes them too
+        for (const accountKey of Object.keys(req.userConfig.traktAccounts || {})) {
+          await removeTraktAccount(req.userConfig, accountKey);
+        }
+        delete req.userConfig.traktAccounts;
         req.userConfig.traktUuid = null;
+        req.userConfig.traktVaultKey = null;
         req.userConfig.traktAccessToken = null;
         req.userConfig.traktRefreshToken = null;
         req.userConfig.traktExpiresAt = null;
@@ -1036,6 +1407,64 @@ module.exports = function(router) {
     }
   });
 
+  // Simkl uses the PIN flow: the UI shows the code, the user approves it on simkl.com/pin,
+  // and the UI polls /simkl/auth until the approval comes through
+  router.get('/simkl/pin', async (req, res) => {
+    try {
+      const { getSimklPinCode } = require('../integrations/simkl');
+      const pin = await getSimklPinCode();
+      res.json({ success: true, ...pin });
+    } catch (error) {
+      console.error('Error in /simkl/pin:', error);
+      res.status(500).json({ error: `Failed to start Simkl authentication: ${error.message}` });
+    }
+  });
+
+  router.post('/:configHash/simkl/auth', async (req, res) => {
+    try {
+      const { userCode } = req.body;
+      if (!userCode) return res.status(400).json({ error: 'Simkl user code is required' });
+
+      const { authenticateSimkl } = require('../integrations/simkl');
+      const authResult = await authenticateSimkl(userCode);
+      if (!authResult) {
+        return res.json({ success: false, pending: true });
+      }
+
+      req.userConfig.simklAccessToken = authResult.accessToken;
+      req.userConfig.simklUsername = authResult.username;
+      req.userConfig.lastUpdated = new Date().toISOString();
+      const newConfigHash = await compressConfig(req.userConfig);
+      clearManifestCache('Simkl connected');
+      res.json({ success: true, configHash: newConfigHash, username: authResult.username, message: 'Successfully connected to Simkl!' });
+    } catch (error) {
+      console.error('Error in /simkl/auth:', error);
+      res.status(500).json({ error: `Simkl authentication failed: ${error.message}` });
+    }
+  });
+
+  router.post('/:configHash/simkl/disconnect', async (req, res) => {
+    try {
+        req.userConfig.simklAccessToken = null;
+        req.userConfig.simklUsername = null;
+
+        purgeListConfigs(req.userConfig, 'simkl_');
+        if (req.userConfig.listsMetadata) {
+          Object.keys(req.userConfig.listsMetadata).forEach(key => {
+            if (key.startsWith('simkl_')) delete req.userConfig.listsMetadata[key];
+          });
+        }
+
+        req.userConfig.lastUpdated = new Date().toISOString();
+        const newConfigHash = await compressConfig(req.userConfig);
+        clearManifestCache('Simkl disconnected');
+        res.json({ success: true, configHash: newConfigHash, message: 'Disconnected from Simkl.' });
+    } catch (error) {
+        console.error('Error in /simkl/disconnect:', error);
+        res.status(500).json({ error: 'Failed to disconnect from Simkl', details: error.message });
+    }
+  });
+
   // Add MDBList disconnect endpoint
   router.post('/:configHash/mdblist/disconnect', async (req, res) => {
     try {
@@ -1169,6 +1598,84 @@ module.exports = function(router) {
                     ...(importedListDetails.hasShows ? ['series'] : [])
                 ],
             };
+        } else if (url.includes('letterboxd.com/')) {
+            const { fetchLetterboxdListDetails } = require('../integrations/letterboxd');
+            importedListDetails = await fetchLetterboxdListDetails(url);
+            addonId = importedListDetails.listId;
+            listNameForDisplay = importedListDetails.listName;
+            sourceSystem = "Letterboxd";
+            addonToStore = {
+                id: addonId,
+                name: `${listNameForDisplay}`,
+                hasMovies: importedListDetails.hasMovies,
+                hasShows: importedListDetails.hasShows,
+                isLetterboxdList: true,
+                letterboxdUser: importedListDetails.letterboxdUser,
+                letterboxdKind: importedListDetails.letterboxdKind,
+                letterboxdSlug: importedListDetails.letterboxdSlug,
+                types: ['movie'],
+            };
+        } else if (url.includes('imdb.com/')) {
+            const { fetchImdbListDetails } = require('../integrations/imdb');
+            importedListDetails = await fetchImdbListDetails(url);
+            addonId = importedListDetails.listId;
+            listNameForDisplay = importedListDetails.listName;
+            sourceSystem = "IMDb";
+            addonToStore = {
+                id: addonId,
+                name: `${listNameForDisplay}`,
+                hasMovies: importedListDetails.hasMovies,
+                hasShows: importedListDetails.hasShows,
+                isImdbList: true,
+                imdbListId: importedListDetails.imdbListId,
+                imdbUserId: importedListDetails.imdbUserId,
+                types: [
+                    ...(importedListDetails.hasMovies ? ['movie'] : []),
+                    ...(importedListDetails.hasShows ? ['series'] : [])
+                ],
+            };
+        } else if (url.includes('anilist.co/') || url.includes('myanimelist.net/')) {
+            const { parseAnimeListUrl, fetchAnimeListDetails, ANIME_SERVICES } = require('../integrations/animeLists');
+            const animeSource = parseAnimeListUrl(url);
+            if (!animeSource) return res.status(400).json({ error: 'Invalid anime list URL. Use an AniList or MyAnimeList anime list URL.' });
+            importedListDetails = await fetchAnimeListDetails(animeSource.service, animeSource.username, animeSource.status);
+            addonId = importedListDetails.listId;
+            listNameForDisplay = importedListDetails.listName;
+            sourceSystem = ANIME_SERVICES[animeSource.service].name;
+            addonToStore = {
+                id: addonId,
+                name: `${listNameForDisplay}`,
+                hasMovies: importedListDetails.hasMovies,
+                hasShows: importedListDetails.hasShows,
+                isAnimeList: true,
+                animeService: animeSource.service,
+                animeUsername: animeSource.username,
+                animeStatus: animeSource.status,
+                types: [
+                    ...(importedListDetails.hasMovies ? ['movie'] : []),
+                    ...(importedListDetails.hasShows ? ['series'] : [])
+                ],
+            };
+        } else if (url.includes('themoviedb.org/')) {
+            const { fetchTmdbUrlImportDetails } = require('../integrations/tmdb');
+            importedListDetails = await fetchTmdbUrlImportDetails(url, req.userConfig);
+            addonId = importedListDetails.listId;
+            listNameForDisplay = importedListDetails.listName;
+            sourceSystem = "TMDB";
+            addonToStore = {
+                id: addonId,
+                name: `${listNameForDisplay}`,
+                hasMovies: importedListDetails.hasMovies,
+                hasShows: importedListDetails.hasShows,
+                isTmdbUrlImport: true,
+                tmdbKind: importedListDetails.tmdbKind,
+                tmdbId: importedListDetails.tmdbId,
+                tmdbMediaType: importedListDetails.tmdbMediaType,
+                types: [
+                    ...(importedListDetails.hasMovies ? ['movie'] : []),
+                    ...(importedListDetails.hasShows ? ['series'] : [])
+                ],
+            };
         } else {
             return res.status(400).json({ error: 'Invalid or unsupported URL.' });
         }
@@ -1191,6 +1698,86 @@ module.exports = function(router) {
     }
   });
 
+  // Username-based import, for anime lists that aren't easy to link to (e.g. MAL's Plan to Watch tab)
+  router.post('/:configHash/import-anime-list', async (req, res) => {
+    try {
+        const { service, username, status } = req.body;
+        if (!service || !username || !status) {
+            return res.status(400).json({ error: 'Service, username and list are required' });
+        }
+
+        const { fetchAnimeListDetails, ANIME_SERVICES } = require('../integrations/animeLists');
+        const importedListDetails = await fetchAnimeListDetails(service, String(username).trim(), status);
+        const addonId = importedListDetails.listId;
+        const sourceSystem = ANIME_SERVICES[service].name;
+
+        if (!req.userConfig.importedAddons) req.userConfig.importedAddons = {};
+        if (req.userConfig.importedAddons[addonId]) {
+            return res.status(400).json({ error: `List "${importedListDetails.listName}" from ${sourceSystem} is already imported.` });
+        }
+
+        req.userConfig.importedAddons[addonId] = {
+            id: addonId,
+            name: importedListDetails.listName,
+            hasMovies: importedListDetails.hasMovies,
+            hasShows: importedListDetails.hasShows,
+            isAnimeList: true,
+            animeService: service,
+            animeUsername: String(username).trim(),
+            animeStatus: status,
+            types: [
+                ...(importedListDetails.hasMovies ? ['movie'] : []),
+                ...(importedListDetails.hasShows ? ['series'] : [])
+            ],
+        };
+        req.userConfig.lastUpdated = new Date().toISOString();
+        const newConfigHash = await compressConfig(req.userConfig);
+        manifestCache.clear();
+        res.json({ success: true, configHash: newConfigHash, addon: req.userConfig.importedAddons[addonId], message: `Imported ${importedListDetails.listName} from ${sourceSystem}` });
+    } catch (error) {
+        console.error('Error in /import-anime-list:', error);
+        res.status(400).json({ error: error.message || 'Failed to import anime list' });
+    }
+  });
+
+  // IMDb CSV exports can be large, so they're posted as raw text instead of going through the JSON parser
+  router.post('/:configHash/import-imdb-csv', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    try {
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({ error: 'CSV file required' });
+        }
+
+        const { parseImdbCsv } = require('../integrations/imdb');
+        const importedListDetails = parseImdbCsv(req.body, req.query.name);
+        const addonId = importedListDetails.listId;
+
+        if (!req.userConfig.importedAddons) req.userConfig.importedAddons = {};
+        if (req.userConfig.importedAddons[addonId]) {
+            return res.status(400).json({ error: `List "${importedListDetails.listName}" from IMDb CSV is already imported.` });
+        }
+
+        req.userConfig.importedAddons[addonId] = {
+            id: addonId,
+            name: importedListDetails.listName,
+            hasMovies: importedListDetails.hasMovies,
+            hasShows: importedListDetails.hasShows,
+            isImdbList: true,
+            imdbCsvItems: importedListDetails.items,
+            types: [
+                ...(importedListDetails.hasMovies ? ['movie'] : []),
+                ...(importedListDetails.hasShows ? ['series'] : [])
+            ],
+        };
+        req.userConfig.lastUpdated = new Date().toISOString();
+        const newConfigHash = await compressConfig(req.userConfig);
+        manifestCache.clear();
+        res.json({ success: true, configHash: newConfigHash, addon: req.userConfig.importedAddons[addonId], message: `Imported ${importedListDetails.listName} (${importedListDetails.items.length} titles) from IMDb CSV` });
+    } catch (error) {
+        console.error('Error in /import-imdb-csv:', error);
+        res.status(400).json({ error: error.message || 'Failed to import CSV' });
+    }
+  });
+
   router.post('/:configHash/import-addon', async (req, res) => {
     try {
         const { manifestUrl } = req.body;
@@ -1209,18 +1796,12 @@ module.exports = function(router) {
             req.userConfig.importedAddons[addonInfo.id] = addonInfo;
         }
 
-        const finalAddonEntry = req.userConfig.importedAddons[addonInfo.id];
-        if (finalAddonEntry && finalAddonEntry.catalogs) {
-            finalAddonEntry.hasMovies = finalAddonEntry.catalogs.some(c => {
-                const typeFromCatalog = c.type;
-                const sourceManifestTypes = addonInfo.types || [];
-                return typeFromCatalog === 'movie' || (typeFromCatalog === 'all' && sourceManifestTypes.includes('movie'));
-            });
-            finalAddonEntry.hasShows = finalAddonEntry.catalogs.some(c => {
-                const typeFromCatalog = c.type;
-                const sourceManifestTypes = addonInfo.types || [];
-                return typeFromCatalog === 'series' || typeFromCatalog === 'tv' || (typeFromCatalog === 'all' && (sourceManifestTypes.includes('series') || sourceManifestTypes.includes('tv')));
-            });
+        setImportedAddonMediaFlags(req.userConfig.importedAddons[addonInfo.id]);
+
+        // Search catalogs are switched on by default, the toggle lives in the search settings
+        const searchSourceId = getImportedSearchSourceId(addonInfo.id);
+        if (addonInfo.searchCatalogs?.length > 0 && !(req.userConfig.searchSources || []).includes(searchSourceId)) {
+            req.userConfig.searchSources = [...(req.userConfig.searchSources || []), searchSourceId];
         }
 
         req.userConfig.lastUpdated = new Date().toISOString();
@@ -1233,6 +1814,71 @@ module.exports = function(router) {
     }
   });
 
+  router.get('/:configHash/health', (req, res) => {
+    try {
+      const { getSourceHealthKey, getSourceHealth, isSourceFailingFor } = require('../utils/sourceHealth');
+      const autoHideFailingDays = req.userConfig.autoHideFailingDays || 0;
+      const sources = Object.values(req.userConfig.importedAddons || {}).map(addon => {
+        const healthKey = getSourceHealthKey(addon);
+        return {
+          id: addon.id,
+          name: addon.name,
+          kind: isUrlImportedAddon(addon) ? 'url_import' : 'addon',
+          source: isUrlImportedAddon(addon) ? getUrlImportSource(addon) : addon.apiBaseUrl,
+          ...getSourceHealth(healthKey),
+          autoHidden: isSourceFailingFor(healthKey, autoHideFailingDays)
+        };
+      });
+
+      res.json({ success: true, autoHideFailingDays, sources });
+    } catch (error) {
+      console.error('Error in /health:', error);
+      res.status(500).json({ success: false, error: 'Failed to get source health' });
+    }
+  });
+
+  router.post('/:configHash/resync-addon', async (req, res) => {
+    try {
+        const { addonId } = req.body;
+        const importedAddons = req.userConfig.importedAddons || {};
+        const addonIds = addonId ? [addonId] : Object.keys(importedAddons).filter(id => importedAddons[id]?.apiBaseUrl);
+        if (addonId && !importedAddons[addonId]?.apiBaseUrl) {
+            return res.status(400).json({ error: 'Invalid addon ID or not an addon imported by manifest.' });
+        }
+
+        const results = {};
+        for (const id of addonIds) {
+            try {
+                const previousAddon = importedAddons[id];
+                const { addon, changes } = await resyncExternalAddon(previousAddon, req.userConfig);
+                setImportedAddonMediaFlags(addon);
+                importedAddons[id] = addon;
+
+                // Catalogs that are gone upstream take their names, types, order and sort settings with them
+                changes.removed.forEach(catalog => purgeListConfigs(req.userConfig, String(catalog.id), true));
+
+                // Search catalogs that are new upstream start switched on, like on import
+                const searchSourceId = getImportedSearchSourceId(id);
+                if (addon.searchCatalogs?.length > 0 && !(previousAddon.searchCatalogs?.length > 0) && !(req.userConfig.searchSources || []).includes(searchSourceId)) {
+                    req.userConfig.searchSources = [...(req.userConfig.searchSources || []), searchSourceId];
+                }
+                results[id] = { success: true, changes };
+            } catch (error) {
+                console.error(`Error re-syncing addon ${id}:`, error.message);
+                results[id] = { success: false, error: error.message };
+            }
+        }
+
+        req.userConfig.lastUpdated = new Date().toISOString();
+        const newConfigHash = await compressConfig(req.userConfig);
+        manifestCache.clear();
+        res.json({ success: true, configHash: newConfigHash, results });
+    } catch (error) {
+        console.error('Error in /resync-addon:', error);
+        res.status(500).json({ error: 'Failed to re-sync addon', details: error.message });
+    }
+  });
+
   router.post('/:configHash/remove-addon', async (req, res) => {
     try {
         const { addonId } = req.body;
@@ -1242,6 +1888,9 @@ module.exports = function(router) {
 
         const addonToRemove = req.userConfig.importedAddons[addonId];
         delete req.userConfig.importedAddons[addonId];
+        if (Array.isArray(req.userConfig.searchSources)) {
+            req.userConfig.searchSources = req.userConfig.searchSources.filter(source => source !== getImportedSearchSourceId(addonId));
+        }
 
         purgeListConfigs(req.userConfig, addonId, true);
 
@@ -1271,7 +1920,7 @@ module.exports = function(router) {
         const { order } = req.body;
         if (!Array.isArray(order)) return res.status(400).json({ error: 'Order must be an array of strings.' });
         
-        if (req.userConfig.upstashUrl) {
+        if (hasTraktTokenStorage(req.userConfig)) {
             await initTraktApi(req.userConfig);
         }
 
@@ -1333,7 +1982,7 @@ module.exports = function(router) {
       const { hiddenLists } = req.body;
       if (!Array.isArray(hiddenLists)) return res.status(400).json({ error: 'Hidden lists must be an array of strings.' });
       
-      if (req.userConfig.upstashUrl) {
+      if (hasTraktTokenStorage(req.userConfig)) {
           await initTraktApi(req.userConfig);
       }
       
@@ -1377,20 +2026,24 @@ module.exports = function(router) {
         const idStr = String(listIdToRemove);
 
         const addonDetails = req.userConfig.importedAddons?.[idStr];
-        const isUrlImport = addonDetails && (addonDetails.isMDBListUrlImport || addonDetails.isTraktPublicList);
+        const isUrlImport = isUrlImportedAddon(addonDetails);
 
         const isNativeMDBList = idStr.startsWith('aiolists-');
         const isNativeTrakt = idStr.startsWith('trakt_') && !idStr.startsWith('traktpublic_');
+        const isNativeSimkl = idStr.startsWith('simkl_');
         const isRandomCatalog = idStr === 'random_mdblist_catalog';
+        const isSmartList = idStr.startsWith('smartlist_') && !!req.userConfig.smartLists?.[idStr];
+        const isCombinedList = idStr.startsWith('combinedlist_') && !!req.userConfig.combinedLists?.[idStr];
+        const isTmdbDiscoverList = idStr.startsWith('tmdbdiscover_') && !!req.userConfig.tmdbDiscoverLists?.[idStr];
 
         let isSubCatalog = false;
         let parentAddonIdForSubCatalog = null;
         let subCatalogOriginalId = null;
 
-        if (!isNativeMDBList && !isNativeTrakt && !isUrlImport && !isRandomCatalog) {
+        if (!isNativeMDBList && !isNativeTrakt && !isNativeSimkl && !isUrlImport && !isRandomCatalog && !isSmartList && !isCombinedList && !isTmdbDiscoverList) {
             for (const importedAddonId in req.userConfig.importedAddons) {
                 const parentAddon = req.userConfig.importedAddons[importedAddonId];
-                if (parentAddon && !(parentAddon.isMDBListUrlImport || parentAddon.isTraktPublicList) && parentAddon.catalogs) {
+                if (parentAddon && !isUrlImportedAddon(parentAddon) && parentAddon.catalogs) {
                     const foundCatalog = parentAddon.catalogs.find(cat => String(cat.id) === idStr);
                     if (foundCatalog) {
                         isSubCatalog = true;
@@ -1404,6 +2057,15 @@ module.exports = function(router) {
 
         if (isRandomCatalog) {
             req.userConfig.enableRandomListFeature = false;
+        } else if (isSmartList) {
+          delete req.userConfig.smartLists[idStr];
+          purgeListConfigs(req.userConfig, idStr, true);
+        } else if (isCombinedList) {
+          delete req.userConfig.combinedLists[idStr];
+          purgeListConfigs(req.userConfig, idStr, true);
+        } else if (isTmdbDiscoverList) {
+          delete req.userConfig.tmdbDiscoverLists[idStr];
+          purgeListConfigs(req.userConfig, idStr, true);
         } else if (isUrlImport) {
           if (req.userConfig.importedAddons) delete req.userConfig.importedAddons[idStr];
           purgeListConfigs(req.userConfig, idStr, true);
@@ -1416,7 +2078,7 @@ module.exports = function(router) {
             req.userConfig.importedAddons[parentAddonIdForSubCatalog].catalogs =
               req.userConfig.importedAddons[parentAddonIdForSubCatalog].catalogs.filter(cat => String(cat.id) !== idStr);
           }
-        } else if (isNativeMDBList || isNativeTrakt) {
+        } else if (isNativeMDBList || isNativeTrakt || isNativeSimkl) {
           currentRemoved.add(idStr);
           if (req.userConfig.hiddenLists) {
             req.userConfig.hiddenLists = req.userConfig.hiddenLists.filter(id => String(id) !== idStr);
@@ -1457,9 +2119,35 @@ module.exports = function(router) {
     }
   });
 
+  router.post('/:configHash/lists/hide-watched', async (req, res) => {
+    try {
+      const { listId, hideWatched } = req.body;
+      if (!listId || typeof hideWatched !== 'boolean') {
+        return res.status(400).json({ error: 'List ID (manifestId) and hideWatched (boolean) required' });
+      }
+
+      if (hasTraktTokenStorage(req.userConfig)) {
+        await initTraktApi(req.userConfig);
+      }
+      if (hideWatched && !req.userConfig.traktAccessToken) {
+        return res.status(400).json({ error: 'Connect Trakt to hide watched items.' });
+      }
+
+      const hideWatchedLists = new Set((req.userConfig.hideWatchedLists || []).map(String));
+      if (hideWatched) hideWatchedLists.add(String(listId));
+      else hideWatchedLists.delete(String(listId));
+
+      const newConfigHash = await updateConfigLightweight(req.userConfig, { hideWatchedLists: Array.from(hideWatchedLists) }, 'hide watched update');
+      res.json({ success: true, configHash: newConfigHash, message: `Watched items ${hideWatched ? 'hidden' : 'shown'}` });
+    } catch (error) {
+        console.error('[LISTS] Failed to update hide watched preference:', error);
+        res.status(500).json({ error: 'Failed to update hide watched preference' });
+    }
+  });
+
   router.post('/:configHash/lists/merge', async (req, res) => {
     try {
-      if (req.userConfig.upstashUrl) {
+      if (hasTraktTokenStorage(req.userConfig)) {
         await initTraktApi(req.userConfig);
       }
 
@@ -1474,8 +2162,14 @@ module.exports = function(router) {
           canBeMerged = true;
       } else {
           const listInfoFromImported = req.userConfig.importedAddons?.[String(listId)];
+          const smartListInfo = req.userConfig.smartLists?.[String(listId)];
+          const combinedListInfo = req.userConfig.combinedLists?.[String(listId)];
           if (listInfoFromImported && listInfoFromImported.hasMovies && listInfoFromImported.hasShows) {
               canBeMerged = true;
+          } else if (smartListInfo && (!smartListInfo.rules?.type || smartListInfo.rules.type === 'all')) {
+              canBeMerged = true;
+          } else if (combinedListInfo && combinedListInfo.hasMovies !== false && combinedListInfo.hasShows !== false) {
+              canBeMerged = true;
           }
       }
       
@@ -1506,6 +2200,221 @@ module.exports = function(router) {
     }
   });
       
+  router.post('/:configHash/smart-lists', async (req, res) => {
+    try {
+      const { id, name, sources, rules, maxItemsPerSource } = req.body;
+      const { generateSmartListId, isVirtualListId, sanitizeSmartListRules, clearVirtualListCache } = require('../addon/virtualLists');
+
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Smart list name required' });
+      }
+      if (!Array.isArray(sources) || sources.length === 0) {
+        return res.status(400).json({ error: 'At least one source list is required' });
+      }
+      const sourceIds = Array.from(new Set(sources.map(String)));
+      if (sourceIds.some(sourceId => isVirtualListId(sourceId))) {
+        return res.status(400).json({ error: 'Smart lists can only be built from regular lists' });
+      }
+      if (id && !req.userConfig.smartLists?.[String(id)]) {
+        return res.status(404).json({ error: 'Smart list not found' });
+      }
+
+      const sanitizedRules = sanitizeSmartListRules(rules || {});
+      if (sanitizedRules.unwatched && !req.userConfig.traktAccessToken && !hasTraktTokenStorage(req.userConfig)) {
+        return res.status(400).json({ error: 'Connect Trakt to use the unwatched rule' });
+      }
+
+      const smartListId = id ? String(id) : generateSmartListId();
+      const parsedMaxItems = parseInt(maxItemsPerSource);
+      if (!req.userConfig.smartLists) req.userConfig.smartLists = {};
+      req.userConfig.smartLists[smartListId] = {
+        id: smartListId,
+        name: name.trim(),
+        sources: sourceIds,
+        rules: sanitizedRules,
+        ...(isNaN(parsedMaxItems) ? {} : { maxItemsPerSource: parsedMaxItems })
+      };
+
+      req.userConfig.lastUpdated = new Date().toISOString();
+      const newConfigHash = await compressConfig(req.userConfig);
+      manifestCache.clear();
+      clearVirtualListCache();
+      res.json({ success: true, configHash: newConfigHash, smartList: req.userConfig.smartLists[smartListId], message: `Smart list "${name.trim()}" saved` });
+    } catch (error) {
+      console.error('Error in /smart-lists:', error);
+      res.status(500).json({ error: 'Failed to save smart list', details: error.message });
+    }
+  });
+
+  router.delete('/:configHash/smart-lists/:id', async (req, res) => {
+    try {
+      const { clearVirtualListCache } = require('../addon/virtualLists');
+      const smartListId = String(req.params.id);
+      if (!req.userConfig.smartLists?.[smartListId]) {
+        return res.status(404).json({ error: 'Smart list not found' });
+      }
+
+      delete req.userConfig.smartLists[smartListId];
+      purgeListConfigs(req.userConfig, smartListId, true);
+
+      req.userConfig.lastUpdated = new Date().toISOString();
+      const newConfigHash = await compressConfig(req.userConfig);
+      manifestCache.clear();
+      clearVirtualListCache();
+      res.json({ success: true, configHash: newConfigHash, message: 'Smart list deleted' });
+    } catch (error) {
+      console.error('Error deleting smart list:', error);
+      res.status(500).json({ error: 'Failed to delete smart list', details: error.message });
+    }
+  });
+      
+  router.post('/:configHash/combined-lists', async (req, res) => {
+    try {
+      const { id, name, operation, sources, maxItemsPerSource } = req.body;
+      const { generateCombinedListId, COMBINED_LIST_PREFIX, COMBINED_LIST_OPERATIONS, fetchCombinedListItems, clearVirtualListCache } = require('../addon/virtualLists');
+
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Combined list name required' });
+      }
+      if (!COMBINED_LIST_OPERATIONS.includes(operation)) {
+        return res.status(400).json({ error: `Operation must be one of: ${COMBINED_LIST_OPERATIONS.join(', ')}` });
+      }
+      if (!Array.isArray(sources)) {
+        return res.status(400).json({ error: 'Sources must be an array of list IDs' });
+      }
+      const sourceIds = Array.from(new Set(sources.map(String)));
+      if (sourceIds.length < 2) {
+        return res.status(400).json({ error: 'A combined list needs at least two different source lists' });
+      }
+      if (sourceIds.some(sourceId => sourceId.startsWith(COMBINED_LIST_PREFIX))) {
+        return res.status(400).json({ error: 'Combined lists cannot use other combined lists as a source' });
+      }
+      if (id && !req.userConfig.combinedLists?.[String(id)]) {
+        return res.status(404).json({ error: 'Combined list not found' });
+      }
+
+      const combinedListId = id ? String(id) : generateCombinedListId();
+      const parsedMaxItems = parseInt(maxItemsPerSource);
+      const combinedListDefinition = {
+        id: combinedListId,
+        name: name.trim(),
+        operation,
+        sources: sourceIds,
+        ...(isNaN(parsedMaxItems) ? {} : { maxItemsPerSource: parsedMaxItems })
+      };
+
+      // Resolve once so the manifest knows which types the combined list produces
+      clearVirtualListCache();
+      try {
+        const tempUserConfigForFetch = { ...req.userConfig, rpdbApiKey: null };
+        const content = await fetchCombinedListItems(combinedListId, combinedListDefinition, tempUserConfigForFetch, 0);
+        combinedListDefinition.hasMovies = content ? content.hasMovies : true;
+        combinedListDefinition.hasShows = content ? content.hasShows : true;
+      } catch (error) {
+        console.error(`[CombinedLists] Could not resolve ${combinedListId} while saving:`, error.message);
+        combinedListDefinition.hasMovies = true;
+        combinedListDefinition.hasShows = true;
+      }
+
+      if (!req.userConfig.combinedLists) req.userConfig.combinedLists = {};
+      req.userConfig.combinedLists[combinedListId] = combinedListDefinition;
+
+      req.userConfig.lastUpdated = new Date().toISOString();
+      const newConfigHash = await compressConfig(req.userConfig);
+      manifestCache.clear();
+      res.json({ success: true, configHash: newConfigHash, combinedList: combinedListDefinition, message: `Combined list "${name.trim()}" saved` });
+    } catch (error) {
+      console.error('Error in /combined-lists:', error);
+      res.status(500).json({ error: 'Failed to save combined list', details: error.message });
+    }
+  });
+
+  router.delete('/:configHash/combined-lists/:id', async (req, res) => {
+    try {
+      const { clearVirtualListCache } = require('../addon/virtualLists');
+      const combinedListId = String(req.params.id);
+      if (!req.userConfig.combinedLists?.[combinedListId]) {
+        return res.status(404).json({ error: 'Combined list not found' });
+      }
+
+      delete req.userConfig.combinedLists[combinedListId];
+      purgeListConfigs(req.userConfig, combinedListId, true);
+
+      req.userConfig.lastUpdated = new Date().toISOString();
+      const newConfigHash = await compressConfig(req.userConfig);
+      manifestCache.clear();
+      clearVirtualListCache();
+      res.json({ success: true, configHash: newConfigHash, message: 'Combined list deleted' });
+    } catch (error) {
+      console.error('Error deleting combined list:', error);
+      res.status(500).json({ error: 'Failed to delete combined list', details: error.message });
+    }
+  });
+
+  router.post('/:configHash/tmdb-discover', async (req, res) => {
+    try {
+      const { id, name, mediaType, params } = req.body;
+      const { generateTmdbDiscoverListId, sanitizeTmdbDiscoverParams } = require('../integrations/tmdb');
+
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Catalog name required' });
+      }
+      if (!['movie', 'series'].includes(mediaType)) {
+        return res.status(400).json({ error: 'mediaType must be "movie" or "series"' });
+      }
+      if (!req.userConfig.tmdbBearerToken && !TMDB_BEARER_TOKEN) {
+        return res.status(400).json({ error: 'A TMDB Read Access Token is required for Discover catalogs' });
+      }
+      if (id && !req.userConfig.tmdbDiscoverLists?.[String(id)]) {
+        return res.status(404).json({ error: 'Discover catalog not found' });
+      }
+
+      let sanitizedParams;
+      try {
+        sanitizedParams = sanitizeTmdbDiscoverParams(params || {}, mediaType);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+
+      const discoverListId = id ? String(id) : generateTmdbDiscoverListId();
+      if (!req.userConfig.tmdbDiscoverLists) req.userConfig.tmdbDiscoverLists = {};
+      req.userConfig.tmdbDiscoverLists[discoverListId] = {
+        id: discoverListId,
+        name: name.trim(),
+        mediaType,
+        params: sanitizedParams
+      };
+
+      req.userConfig.lastUpdated = new Date().toISOString();
+      const newConfigHash = await compressConfig(req.userConfig);
+      manifestCache.clear();
+      res.json({ success: true, configHash: newConfigHash, discoverList: req.userConfig.tmdbDiscoverLists[discoverListId], message: `Discover catalog "${name.trim()}" saved` });
+    } catch (error) {
+      console.error('Error in /tmdb-discover:', error);
+      res.status(500).json({ error: 'Failed to save discover catalog', details: error.message });
+    }
+  });
+
+  router.delete('/:configHash/tmdb-discover/:id', async (req, res) => {
+    try {
+      const discoverListId = String(req.params.id);
+      if (!req.userConfig.tmdbDiscoverLists?.[discoverListId]) {
+        return res.status(404).json({ error: 'Discover catalog not found' });
+      }
+
+      delete req.userConfig.tmdbDiscoverLists[discoverListId];
+      purgeListConfigs(req.userConfig, discoverListId, true);
+
+      req.userConfig.lastUpdated = new Date().toISOString();
+      const newConfigHash = await compressConfig(req.userConfig);
+      manifestCache.clear();
+      res.json({ success: true, configHash: newConfigHash, message: 'Discover catalog deleted' });
+    } catch (error) {
+      console.error('Error deleting discover catalog:', error);
+      res.status(500).json({ error: 'Failed to delete discover catalog', details: error.message });
+    }
+  });
+      
   router.post('/config/create', async (req, res) => {
     try {
       let newConfig = { 
@@ -1610,6 +2519,7 @@ module.exports = function(router) {
         configHash: configHash,
         timestamp: Date.now()
       };
+      if (req.query.addAccount) stateObject.addAccount = true;
       
       // Convert state to base64 string
       const stateString = Buffer.from(JSON.stringify(stateObject)).toString('base64');
@@ -1687,6 +2597,12 @@ module.exports = function(router) {
       allUserLists.push(...traktLists.map(l => ({...l, source: 'trakt'})));
   }
 
+    if (req.userConfig.simklAccessToken) {
+      const { fetchSimklLists } = require('../integrations/simkl');
+      const simklLists = await fetchSimklLists(req.userConfig);
+      allUserLists.push(...simklLists.map(l => ({...l, source: 'simkl'})));
+    }
+
     // Fetch from TMDB
     const { fetchTmdbLists } = require('../integrations/tmdb');
     const tmdbResult = await fetchTmdbLists(req.userConfig);
@@ -1834,6 +2750,12 @@ module.exports = function(router) {
                   lastChecked: new Date().toISOString()
               };
           }
+      } else if (list.source === 'simkl') {
+          // Simkl catalogs are fixed per type, so their content types are known up front
+          manifestListId = list.id;
+          tagType = 'S';
+          determinedHasMovies = list.hasMovies;
+          determinedHasShows = list.hasShows;
       } else { 
           determinedHasMovies = false;
           determinedHasShows = false;
@@ -1846,6 +2768,7 @@ module.exports = function(router) {
       const isUserMerged = actualCanBeMerged ? (req.userConfig.mergedLists?.[manifestListId] !== false) : false;
       let defaultSort = { sort: (list.source === 'trakt') ? 'rank' : 'default', order: (list.source === 'trakt') ? 'asc' : 'desc' };
       if (list.source === 'trakt' && list.isTraktWatchlist) { defaultSort = { sort: 'added', order: 'desc' }; }
+      if (list.source === 'tmdb') { defaultSort = { sort: 'added', order: 'desc' }; }
                       const customTypeName = req.userConfig.customMediaTypeNames?.[manifestListId];
                 let effectiveMediaTypeDisplay;
                 if (customTypeName) {
@@ -1861,11 +2784,13 @@ module.exports = function(router) {
       let tagImage = null;
       if (list.source === 'trakt') {
           tagImage = 'https://walter.trakt.tv/hotlink-ok/public/favicon.ico';
+      } else if (list.source === 'simkl') {
+          tagImage = 'https://simkl.com/favicon.ico';
       } else if (list.source === 'tmdb') {
           tagImage = 'https://www.themoviedb.org/assets/2/v4/logos/v2/blue_square_2-d537fb228cf3ded904ef09b136fe3fec72548ebc1fea3fbbd1ad9e36364db38b.svg';
       }
 
-      return { id: manifestListId, originalId: originalListIdStr, name: list.name, customName: req.userConfig.customListNames?.[manifestListId] || null, effectiveMediaTypeDisplay: effectiveMediaTypeDisplay, isHidden: (req.userConfig.hiddenLists || []).includes(manifestListId), hasMovies: determinedHasMovies, hasShows: determinedHasShows, canBeMerged: actualCanBeMerged, isMerged: isUserMerged, isTraktList: list.source === 'trakt' && list.isTraktList, isTraktWatchlist: list.source === 'trakt' && list.isTraktWatchlist, isTraktRecommendations: list.isTraktRecommendations, isTraktTrending: list.isTraktTrending, isTraktPopular: list.isTraktPopular, isWatchlist: !!list.isWatchlist || !!list.isTraktWatchlist || (list.source === 'tmdb' && (list.isTmdbWatchlist || list.id === 'tmdb_watchlist')), tag: tagType, listType: list.listType, tagImage: tagImage, sortPreferences: req.userConfig.sortPreferences?.[originalListIdStr] || defaultSort, source: list.source, dynamic: list.dynamic, mediatype: list.mediatype };
+      return { id: manifestListId, originalId: originalListIdStr, name: list.name, customName: req.userConfig.customListNames?.[manifestListId] || null, effectiveMediaTypeDisplay: effectiveMediaTypeDisplay, isHidden: (req.userConfig.hiddenLists || []).includes(manifestListId), hasMovies: determinedHasMovies, hasShows: determinedHasShows, canBeMerged: actualCanBeMerged, isMerged: isUserMerged, isTraktList: list.source === 'trakt' && list.isTraktList, isTraktWatchlist: list.source === 'trakt' && list.isTraktWatchlist, isTraktRecommendations: list.isTraktRecommendations, isTraktUpNext: list.isTraktUpNext, isTraktCalendar: list.isTraktCalendar, isTraktLibrary: list.isTraktLibrary, isTraktTrending: list.isTraktTrending, isTraktPopular: list.isTraktPopular, traktAccount: list.source === 'trakt' ? list.traktAccount || null : undefined, isSimklWatchlist: list.isSimklWatchlist, isSimklTrending: list.isSimklTrending, isWatchlist: !!list.isWatchlist || !!list.isTraktWatchlist || (list.source === 'tmdb' && (list.isTmdbWatchlist || list.id === 'tmdb_watchlist')), tag: tagType, listType: list.listType, tagImage: tagImage, sortPreferences: req.userConfig.sortPreferences?.[originalListIdStr] || defaultSort, source: list.source, dynamic: list.dynamic, mediatype: list.mediatype };
       });
       const activeListsResults = (await Promise.all(activeListsProcessingPromises)).filter(p => p !== null);
       processedLists.push(...activeListsResults);
@@ -1880,7 +2805,7 @@ module.exports = function(router) {
             const isMDBListUrlImport = !!addon.isMDBListUrlImport;
             const isTraktPublicList = !!addon.isTraktPublicList;
 
-            if (isMDBListUrlImport || isTraktPublicList) {
+            if (isUrlImportedAddon(addon)) {
                 // These are treated as single, manageable list entries in the UI
                 if ((req.userConfig.hiddenLists || []).includes(addonGroupId)) continue; // Skip if hidden
 
@@ -1893,6 +2818,10 @@ module.exports = function(router) {
                 let tagImage = addon.logo || null; // Use addon logo if available
                 if(isMDBListUrlImport) { tagType = 'L'; tagImage = null; }
                 else if (isTraktPublicList) { tagType = 'T'; tagImage = 'https://walter.trakt.tv/hotlink-ok/public/favicon.ico'; }
+                else if (addon.isLetterboxdList) { tagType = 'B'; tagImage = 'https://letterboxd.com/favicon.ico'; }
+                else if (addon.isImdbList) { tagType = 'I'; tagImage = 'https://www.imdb.com/favicon.ico'; }
+                else if (addon.isAnimeList) { tagType = 'N'; tagImage = addon.animeService === 'mal' ? 'https://myanimelist.net/favicon.ico' : 'https://anilist.co/favicon.ico'; }
+                else if (addon.isTmdbUrlImport) { tagType = 'M'; tagImage = 'https://www.themoviedb.org/assets/2/v4/logos/v2/blue_square_2-d537fb228cf3ded904ef09b136fe3fec72548ebc1fea3fbbd1ad9e36364db38b.svg'; }
 
                 // Sort preferences for URL imports should ideally use a stable original ID
                 // For MDBList URL, mdblistId is good. For Trakt Public, the addonGroupId itself is fine as it's unique.
@@ -1928,12 +2857,13 @@ module.exports = function(router) {
                     sortPreferences: req.userConfig.sortPreferences?.[sortOriginalIdForUrl] ||
                                      { sort: (isTraktPublicList ? 'rank' : 'default'),
                                        order: (isTraktPublicList ? 'asc' : 'desc') },
-                    source: isMDBListUrlImport ? 'mdblist_url' : (isTraktPublicList ? 'trakt_public' : 'addon_url_import'),
+                    source: getUrlImportSource(addon),
                     isUrlImportedType: true,
                     dynamic: isMDBListUrlImport ? addon.dynamic : undefined,
                     mediatype: isMDBListUrlImport ? addon.mediatype : undefined,
                     traktUser: isTraktPublicList ? addon.traktUser : undefined,
                     traktListSlug: isTraktPublicList ? addon.traktListSlug : undefined,
+                    letterboxdKind: addon.isLetterboxdList ? addon.letterboxdKind : undefined,
                 });
 
             } else if (addon.catalogs && addon.catalogs.length > 0) {
@@ -2004,6 +2934,112 @@ module.exports = function(router) {
         }
       }
 
+      for (const smartList of Object.values(req.userConfig.smartLists || {})) {
+        const smartListIdStr = String(smartList.id);
+        if (removedListsSet.has(smartListIdStr)) continue;
+
+        const smartListType = smartList.rules?.type || 'all';
+        const smartListHasMovies = smartListType !== 'series';
+        const smartListHasShows = smartListType !== 'movie';
+        const smartListCanBeMerged = smartListHasMovies && smartListHasShows;
+        const customTypeName = req.userConfig.customMediaTypeNames?.[smartListIdStr];
+        let effectiveMediaTypeDisplay;
+        if (customTypeName) {
+            effectiveMediaTypeDisplay = customTypeName.charAt(0).toUpperCase() + customTypeName.slice(1);
+        } else {
+            effectiveMediaTypeDisplay = smartListCanBeMerged ? 'All' : (smartListHasMovies ? 'Movie' : 'Series');
+        }
+
+        processedLists.push({
+            id: smartListIdStr,
+            originalId: smartListIdStr,
+            name: smartList.name,
+            customName: req.userConfig.customListNames?.[smartListIdStr] || null,
+            effectiveMediaTypeDisplay: effectiveMediaTypeDisplay,
+            isHidden: (req.userConfig.hiddenLists || []).includes(smartListIdStr),
+            hasMovies: smartListHasMovies,
+            hasShows: smartListHasShows,
+            canBeMerged: smartListCanBeMerged,
+            isMerged: smartListCanBeMerged ? (req.userConfig.mergedLists?.[smartListIdStr] !== false) : false,
+            tag: 'S',
+            tagImage: null,
+            sortPreferences: req.userConfig.sortPreferences?.[smartListIdStr] || { sort: 'default', order: 'desc' },
+            source: 'smartlist',
+            smartListSources: smartList.sources,
+            smartListRules: smartList.rules,
+            smartListMaxItemsPerSource: smartList.maxItemsPerSource || null
+        });
+      }
+
+      for (const combinedList of Object.values(req.userConfig.combinedLists || {})) {
+        const combinedListIdStr = String(combinedList.id);
+        if (removedListsSet.has(combinedListIdStr)) continue;
+
+        const combinedListHasMovies = combinedList.hasMovies !== false;
+        const combinedListHasShows = combinedList.hasShows !== false;
+        const combinedListCanBeMerged = combinedListHasMovies && combinedListHasShows;
+        const customTypeName = req.userConfig.customMediaTypeNames?.[combinedListIdStr];
+        let effectiveMediaTypeDisplay;
+        if (customTypeName) {
+            effectiveMediaTypeDisplay = customTypeName.charAt(0).toUpperCase() + customTypeName.slice(1);
+        } else {
+            effectiveMediaTypeDisplay = combinedListCanBeMerged ? 'All' : (combinedListHasMovies ? 'Movie' : (combinedListHasShows ? 'Series' : 'N/A'));
+        }
+
+        processedLists.push({
+            id: combinedListIdStr,
+            originalId: combinedListIdStr,
+            name: combinedList.name,
+            customName: req.userConfig.customListNames?.[combinedListIdStr] || null,
+            effectiveMediaTypeDisplay: effectiveMediaTypeDisplay,
+            isHidden: (req.userConfig.hiddenLists || []).includes(combinedListIdStr),
+            hasMovies: combinedListHasMovies,
+            hasShows: combinedListHasShows,
+            canBeMerged: combinedListCanBeMerged,
+            isMerged: combinedListCanBeMerged ? (req.userConfig.mergedLists?.[combinedListIdStr] !== false) : false,
+            tag: 'C',
+            tagImage: null,
+            sortPreferences: req.userConfig.sortPreferences?.[combinedListIdStr] || { sort: 'default', order: 'desc' },
+            source: 'combinedlist',
+            combinedListOperation: combinedList.operation,
+            combinedListSources: combinedList.sources,
+            combinedListMaxItemsPerSource: combinedList.maxItemsPerSource || null
+        });
+      }
+
+      for (const discoverList of Object.values(req.userConfig.tmdbDiscoverLists || {})) {
+        const discoverListIdStr = String(discoverList.id);
+        if (removedListsSet.has(discoverListIdStr)) continue;
+
+        const discoverListHasMovies = discoverList.mediaType === 'movie';
+        const customTypeName = req.userConfig.customMediaTypeNames?.[discoverListIdStr];
+        let effectiveMediaTypeDisplay;
+        if (customTypeName) {
+            effectiveMediaTypeDisplay = customTypeName.charAt(0).toUpperCase() + customTypeName.slice(1);
+        } else {
+            effectiveMediaTypeDisplay = discoverListHasMovies ? 'Movie' : 'Series';
+        }
+
+        processedLists.push({
+            id: discoverListIdStr,
+            originalId: discoverListIdStr,
+            name: discoverList.name,
+            customName: req.userConfig.customListNames?.[discoverListIdStr] || null,
+            effectiveMediaTypeDisplay: effectiveMediaTypeDisplay,
+            isHidden: (req.userConfig.hiddenLists || []).includes(discoverListIdStr),
+            hasMovies: discoverListHasMovies,
+            hasShows: !discoverListHasMovies,
+            canBeMerged: false,
+            isMerged: false,
+            tag: 'M',
+            tagImage: 'https://www.themoviedb.org/assets/2/v4/logos/v2/blue_square_2-d537fb228cf3ded904ef09b136fe3fec72548ebc1fea3fbbd1ad9e36364db38b.svg',
+            sortPreferences: req.userConfig.sortPreferences?.[discoverListIdStr] || { sort: 'default', order: 'desc' },
+            source: 'tmdb_discover',
+            tmdbDiscoverMediaType: discoverList.mediaType,
+            tmdbDiscoverParams: discoverList.params
+        });
+      }
+
       // Auto-populate listOrder if empty to preserve natural order and allow appending new lists
       if ((!req.userConfig.listOrder || req.userConfig.listOrder.length === 0) && processedLists.length > 0) {
           // Create initial order with random catalog first (if exists), then natural order
@@ -2060,10 +3096,18 @@ module.exports = function(router) {
           configChangedByThisRequest = true; // Set if metadata content itself changed
       }
       
+      // Upstream catalog changes found by the background update check, keyed by addon id
+      const addonUpdates = {};
+      Object.values(req.userConfig.importedAddons || {}).forEach(addon => {
+        const updateStatus = getAddonUpdateStatus(addon);
+        if (updateStatus) addonUpdates[addon.id] = updateStatus;
+      });
+
       let responsePayload = {
         success: true,
         lists: processedLists,
         importedAddons: req.userConfig.importedAddons || {},
+        addonUpdates,
         listsMetadata: req.userConfig.listsMetadata,
         isPotentiallySharedConfig: req.isPotentiallySharedConfig,
         randomMDBListUsernames: (req.userConfig.randomMDBListUsernames && req.userConfig.randomMDBListUsernames.length > 0) 
@@ -2079,9 +3123,8 @@ module.exports = function(router) {
                  const newConfigHash = await compressConfig(createConfigForStorage(req.userConfig));
         responsePayload.newConfigHash = newConfigHash;
         
-        if (req.configHash !== newConfigHash) {
-            manifestCache.clear();
-        }
+        // Stored configs keep the same hash across updates, so always drop cached manifests
+        manifestCache.clear();
       }
     
       res.json(responsePayload);
@@ -2225,7 +3268,7 @@ module.exports = function(router) {
       }
 
       const trimmedQuery = query.trim();
-      const validSources = sources.filter(s => ['cinemeta', 'trakt', 'tmdb'].includes(s));
+      const validSources = sources.filter(s => ['cinemeta', 'trakt', 'tmdb'].includes(s) || getImportedSearchSources(req.userConfig).includes(s));
       
       if (validSources.length === 0) {
         return res.status(400).json({ error: 'At least one valid search source must be specified' });
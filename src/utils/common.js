@@ -1,5 +1,11 @@
 // src/utils/common.js
 
+// Cache-tid (sekunder) för Trakt-kalendrar
+const TRAKT_CALENDAR_CACHE_MAX_AGE = 60 * 60;
+
+// Stremio-typer för linjär TV och liveevenemang, de har inga IMDb-id:n att berika
+const LIVE_CONTENT_TYPES = ['tv', 'channel', 'events'];
+
 /**
  * Kontrollerar om ett list-ID representerar en watchlist.
  * @param {string} listId - List-ID att kontrollera.
@@ -11,6 +17,49 @@ function isWatchlist(listId) {
            listId.endsWith('watchlist-W') ||
            listId.includes('trakt_watchlist'); // Täcker både trakt_watchlist och aiolists-trakt_watchlist-T etc.
   }
+
+  /**
+   * Kontrollerar om ett list-ID är en Trakt-kalender (kommande avsnitt/filmer).
+   * @param {string} listId - List-ID att kontrollera.
+   * @returns {boolean}
+   */
+  function isTraktCalendar(listId) {
+    if (!listId) return false;
+    return listId.includes('trakt_calendar_');
+  }
+  
+  /**
+   * Kontrollerar om en Stremio-typ är TV-kanaler eller liveevenemang.
+   * @param {string} type - Stremio-typ, t.ex. 'tv'.
+   * @returns {boolean}
+   */
+  function isLiveContentType(type) {
+    return LIVE_CONTENT_TYPES.includes(type);
+  }
+
+  /**
+   * Kontrollerar om ett importerat tillägg är en enskild lista importerad via URL
+   * (MDBList, publik Trakt-lista, Letterboxd, IMDb, AniList, MyAnimeList eller TMDB) snarare än ett manifest.
+   * @param {Object} addon - Post från userConfig.importedAddons.
+   * @returns {boolean}
+   */
+  function isUrlImport(addon) {
+    return !!addon && !!(addon.isMDBListUrlImport || addon.isTraktPublicList || addon.isLetterboxdList || addon.isImdbList || addon.isAnimeList || addon.isTmdbUrlImport);
+  }
+  
+  /**
+   * Returnerar källnamnet (source) som används för en URL-importerad lista.
+   * @param {Object} addon - Post från userConfig.importedAddons.
+   * @returns {string} 'mdblist_url', 'trakt_public', 'imdb_url', 'anime_list', 'tmdb_url' eller 'letterboxd_url'.
+   */
+  function getUrlImportSource(addon) {
+    if (addon.isMDBListUrlImport) return 'mdblist_url';
+    if (addon.isTraktPublicList) return 'trakt_public';
+    if (addon.isImdbList) return 'imdb_url';
+    if (addon.isAnimeList) return 'anime_list';
+    if (addon.isTmdbUrlImport) return 'tmdb_url';
+    return 'letterboxd_url';
+  }
   
   /**
    * Sätter lämpliga cache-rubriker.
@@ -24,13 +73,34 @@ function isWatchlist(listId) {
       res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
       res.setHeader('Pragma', 'no-cache');
       res.setHeader('Expires', '0');
+    } else if (isTraktCalendar(listId)) {
+      // Kalendern ändras i praktiken bara när dagen byts, så en timme räcker
+      res.setHeader('Cache-Control', `public, max-age=${TRAKT_CALENDAR_CACHE_MAX_AGE}`);
     } else {
       // Kort cache-tid (t.ex. 5 minuter) för att förlita sig på Stremio
       res.setHeader('Cache-Control', `public, max-age=${5 * 60}`); 
     }
   }
   
+  /**
+   * Escapar text som ska skrivas in i HTML, t.ex. värden från query-strängen.
+   * @param {*} value - Värde att escapa.
+   * @returns {string}
+   */
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  }
+
   module.exports = {
     isWatchlist,
-    setCacheHeaders
+    isTraktCalendar,
+    isLiveContentType,
+    LIVE_CONTENT_TYPES,
+    isUrlImport,
+    getUrlImportSource,
+    TRAKT_CALENDAR_CACHE_MAX_AGE,
+    setCacheHeaders,
+    escapeHtml
   };
\ No newline at end of file
@@ -0,0 +1,173 @@
+// src/utils/configStore.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const Cache = require('./cache');
+const {
+  CONFIG_STORE, CONFIG_STORE_PATH, CONFIG_STORE_SECRET,
+  UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN
+} = require('../config');
+
+const STORE_HASH_PREFIX = 's_';
+const STORE_HASH_REGEX = /^s_([a-f0-9]{16})_([A-Za-z0-9_-]{16})$/;
+const UPSTASH_KEY_PREFIX = 'config:';
+
+// Short-lived cache so catalog/meta bursts don't hit the backend on every request
+const storedConfigCache = new Cache({ defaultTTL: 60 * 1000 });
+
+let backend;
+
+function createFileBackend() {
+  const baseDir = CONFIG_STORE_PATH || path.join(process.cwd(), 'data', 'configs');
+  const getFilePath = (id) => path.join(baseDir, `${id}.json`);
+
+  return {
+    name: 'file',
+    async get(id) {
+      try {
+        const content = await fs.readFile(getFilePath(id), 'utf-8');
+        return JSON.parse(content);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async set(id, config) {
+      await fs.mkdir(baseDir, { recursive: true });
+      // Write to a temp file first so a crash never leaves a half-written config behind
+      const tempPath = `${getFilePath(id)}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(config), 'utf-8');
+      await fs.rename(tempPath, getFilePath(id));
+    }
+  };
+}
+
+function createUpstashBackend() {
+  const { Redis } = require('@upstash/redis');
+  const redis = new Redis({ url: UPSTASH_REDIS_REST_URL, token: UPSTASH_REDIS_REST_TOKEN });
+
+  return {
+    name: 'upstash',
+    async get(id) {
+      const data = await redis.get(`${UPSTASH_KEY_PREFIX}${id}`);
+      if (!data) return null;
+      return typeof data === 'string' ? JSON.parse(data) : data;
+    },
+    async set(id, config) {
+      await redis.set(`${UPSTASH_KEY_PREFIX}${id}`, JSON.stringify(config));
+    }
+  };
+}
+
+/**
+ * Resolve the configured storage backend once. Returns null when the store is disabled
+ * or misconfigured, in which case configs keep living entirely in the URL.
+ * @returns {Object|null} Backend with get(id) and set(id, config)
+ */
+function getBackend() {
+  if (backend !== undefined) return backend;
+  backend = null;
+
+  if (!CONFIG_STORE) return backend;
+
+  if (!CONFIG_STORE_SECRET) {
+    console.warn('[ConfigStore] CONFIG_STORE is set but CONFIG_STORE_SECRET is missing. Falling back to URL-only configs.');
+    return backend;
+  }
+
+  if (CONFIG_STORE === 'file') {
+    backend = createFileBackend();
+  } else if (CONFIG_STORE === 'upstash') {
+    if (!UPSTASH_REDIS_REST_URL || !UPSTASH_REDIS_REST_TOKEN) {
+      console.warn('[ConfigStore] CONFIG_STORE=upstash requires UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN. Falling back to URL-only configs.');
+      return backend;
+    }
+    backend = createUpstashBackend();
+  } else {
+    console.warn(`[ConfigStore] Unknown CONFIG_STORE "${CONFIG_STORE}". Supported: file, upstash. Falling back to URL-only configs.`);
+  }
+
+  return backend;
+}
+
+function isConfigStoreEnabled() {
+  return !!getBackend();
+}
+
+function signStoreId(id) {
+  return crypto.createHmac('sha256', CONFIG_STORE_SECRET).update(id).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Check whether a config hash is a (syntactically valid) stored config reference
+ * @param {string} configHash - Config hash from the URL
+ * @returns {boolean}
+ */
+function isStoredConfigHash(configHash) {
+  return typeof configHash === 'string' && configHash.startsWith(STORE_HASH_PREFIX) && STORE_HASH_REGEX.test(configHash);
+}
+
+/**
+ * Verify a stored config hash signature and return its id
+ * @param {string} configHash - Stored config hash (s_<id>_<signature>)
+ * @returns {string|null} Store id, or null if the hash is malformed or the signature doesn't match
+ */
+function verifyStoredConfigHash(configHash) {
+  if (!isConfigStoreEnabled()) return null;
+  const match = typeof configHash === 'string' ? configHash.match(STORE_HASH_REGEX) : null;
+  if (!match) return null;
+
+  const [, id, signature] = match;
+  const expected = Buffer.from(signStoreId(id));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+  return id;
+}
+
+/**
+ * Load a config by its stored config hash
+ * @param {string} configHash - Stored config hash
+ * @returns {Promise<Object|null>} Stored config (a fresh copy), or null if invalid or not found
+ */
+async function loadStoredConfig(configHash) {
+  const id = verifyStoredConfigHash(configHash);
+  if (!id) return null;
+
+  let stored = storedConfigCache.get(id);
+  if (!stored) {
+    stored = await getBackend().get(id);
+    if (!stored) return null;
+    storedConfigCache.set(id, stored);
+  }
+  return JSON.parse(JSON.stringify(stored));
+}
+
+/**
+ * Persist a config. Reuses the id of the hash it was loaded from (config.configStoreHash)
+ * when that hash verifies, so the addon URL stays the same across updates.
+ * @param {Object} config - Serializable config
+ * @returns {Promise<string>} Stored config hash (s_<id>_<signature>)
+ */
+async function saveStoredConfig(config) {
+  let id = verifyStoredConfigHash(config.configStoreHash);
+  if (!id) {
+    id = crypto.randomBytes(8).toString('hex');
+  }
+
+  const configToStore = JSON.parse(JSON.stringify(config));
+  delete configToStore.configStoreHash;
+
+  await getBackend().set(id, configToStore);
+  storedConfigCache.set(id, configToStore);
+
+  return `${STORE_HASH_PREFIX}${id}_${signStoreId(id)}`;
+}
+
+module.exports = {
+  isConfigStoreEnabled,
+  isStoredConfigHash,
+  loadStoredConfig,
+  saveStoredConfig
+};
@@ -2,6 +2,7 @@
 const axios = require('axios');
 const { batchFetchPosters } = require('./posters');
 const { METADATA_BATCH_SIZE } = require('../config');
+const { isLiveContentType } = require('./common');
 
 // Import TMDB functions that use the built-in Bearer token
 const { 
@@ -92,6 +93,13 @@ async function enrichItemsWithMetadata(items, metadataSource = 'cinemeta', hasTm
   if (metadataSource === 'none') {
     return items;
   }
+
+  // TV channels and live events have no IMDb/TMDB ids, keep them as the source addon sent them
+  if (items.some(item => isLiveContentType(item.type))) {
+    const enrichedOthers = await enrichItemsWithMetadata(items.filter(item => !isLiveContentType(item.type)), metadataSource, hasTmdbOAuth, tmdbLanguage, tmdbBearerToken);
+    let nextIndex = 0;
+    return items.map(item => isLiveContentType(item.type) ? item : enrichedOthers[nextIndex++]);
+  }
   
   const enrichStartTime = Date.now();
   
@@ -1,71 +1,214 @@
 // src/utils/remoteStorage.js
-const { Redis } = require('@upstash/redis');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { TOKEN_VAULT, TOKEN_VAULT_PATH, UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN } = require('../config');
 
-async function getTraktTokens(userConfig) {
-    if (!userConfig.upstashUrl || !userConfig.upstashToken || !userConfig.traktUuid) {
-        console.log('[UPSTASH] getTraktTokens: Missing required credentials');
-        return null;
+const TRAKT_KEY_PREFIX = 'trakt:';
+
+let serverVault;
+
+function createFileVault() {
+  const baseDir = TOKEN_VAULT_PATH || path.join(process.cwd(), 'data', 'tokens');
+  const getFilePath = (key) => path.join(baseDir, `${key.replace(/[^\w-]/g, '_')}.json`);
+
+  return {
+    name: 'file',
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(getFilePath(key), 'utf-8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async set(key, value) {
+      await fs.mkdir(baseDir, { recursive: true });
+      // Same temp-file-then-rename dance as the config store, so a crash never leaves half-written tokens
+      const tempPath = `${getFilePath(key)}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(value), { encoding: 'utf-8', mode: 0o600 });
+      await fs.rename(tempPath, getFilePath(key));
+    },
+    async delete(key) {
+      try {
+        await fs.unlink(getFilePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+}
+
+function createUpstashVault(url, token) {
+  const { Redis } = require('@upstash/redis');
+  const redis = new Redis({ url, token });
+
+  return {
+    name: 'upstash',
+    async get(key) {
+      const data = await redis.get(key);
+      if (!data) return null;
+      return typeof data === 'string' ? JSON.parse(data) : data;
+    },
+    async set(key, value) {
+      await redis.set(key, value);
+    },
+    async delete(key) {
+      await redis.del(key);
+    }
+  };
+}
+
+/**
+ * Resolve the operator's token vault once. Returns null when TOKEN_VAULT is unset or misconfigured.
+ * @returns {Object|null} Vault with get(key), set(key, value) and delete(key)
+ */
+function getServerVault() {
+  if (serverVault !== undefined) return serverVault;
+  serverVault = null;
+
+  if (!TOKEN_VAULT) return serverVault;
+
+  if (TOKEN_VAULT === 'file') {
+    serverVault = createFileVault();
+  } else if (TOKEN_VAULT === 'upstash') {
+    if (!UPSTASH_REDIS_REST_URL || !UPSTASH_REDIS_REST_TOKEN) {
+      console.warn('[TokenVault] TOKEN_VAULT=upstash requires UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN. Trakt tokens stay in the config.');
+      return serverVault;
     }
+    serverVault = createUpstashVault(UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN);
+  } else {
+    console.warn(`[TokenVault] Unknown TOKEN_VAULT "${TOKEN_VAULT}". Supported: file, upstash. Trakt tokens stay in the config.`);
+  }
+
+  return serverVault;
+}
 
-    try {
-        const redis = new Redis({
-            url: userConfig.upstashUrl,
-            token: userConfig.upstashToken,
-        });
-
-        const redisKey = `trakt:${userConfig.traktUuid}`;
-        console.log(`[UPSTASH] Attempting to get tokens from Redis key: ${redisKey}`);
-        
-        const data = await redis.get(redisKey);
-        console.log(`[UPSTASH] Retrieved tokens:`, {
-            found: !!data,
-            hasAccessToken: !!data?.accessToken,
-            hasRefreshToken: !!data?.refreshToken,
-            expiresAt: data?.expiresAt
-        });
-        
-        return data;
-    } catch (error) {
-        console.error('Upstash Error: Failed to get Trakt tokens:', error.message);
+/**
+ * Pick the vault holding a user's Trakt tokens. The user's own Upstash wins over the server vault.
+ * Records in the server vault are shared by every user of the instance, so they are locked to the
+ * traktVaultKey of the config that connected the account.
+ * @param {Object} userConfig - User configuration
+ * @returns {Object|null} { vault, isServerVault }
+ */
+function resolveVault(userConfig) {
+  if (!userConfig?.traktUuid) return null;
+  if (userConfig.upstashUrl && userConfig.upstashToken) {
+    return { vault: createUpstashVault(userConfig.upstashUrl, userConfig.upstashToken), isServerVault: false };
+  }
+  const vault = getServerVault();
+  return vault ? { vault, isServerVault: true } : null;
+}
+
+function hashVaultKey(vaultKey) {
+  return crypto.createHash('sha256').update(String(vaultKey)).digest('hex');
+}
+
+/**
+ * Check whether a user's Trakt tokens live in a vault rather than in the config hash
+ * @param {Object} userConfig - User configuration
+ * @returns {boolean}
+ */
+function hasTraktTokenStorage(userConfig) {
+  return !!resolveVault(userConfig);
+}
+
+function isServerVaultEnabled() {
+  return !!getServerVault();
+}
+
+/**
+ * Read a user's Trakt tokens from their vault
+ * @param {Object} userConfig - User configuration (traktUuid, and traktVaultKey for the server vault)
+ * @returns {Promise<Object|null>} { accessToken, refreshToken, expiresAt }, or null if none are stored
+ */
+async function getTraktTokens(userConfig) {
+  const resolved = resolveVault(userConfig);
+  if (!resolved) return null;
+
+  try {
+    const record = await resolved.vault.get(`${TRAKT_KEY_PREFIX}${userConfig.traktUuid}`);
+    if (!record) return null;
+
+    if (resolved.isServerVault) {
+      if (!userConfig.traktVaultKey || record.keyHash !== hashVaultKey(userConfig.traktVaultKey)) {
+        console.warn(`[TokenVault] Vault key mismatch for Trakt user ${userConfig.traktUuid}, ignoring stored tokens`);
         return null;
+      }
     }
+    return { accessToken: record.accessToken, refreshToken: record.refreshToken, expiresAt: record.expiresAt };
+  } catch (error) {
+    console.error(`[TokenVault] Failed to get Trakt tokens (${resolved.vault.name}):`, error.message);
+    return null;
+  }
 }
 
-async function saveTraktTokens(userConfig, tokens) {
-    if (!userConfig.upstashUrl || !userConfig.upstashToken || !userConfig.traktUuid) {
-        console.log('[UPSTASH] saveTraktTokens: Missing required credentials');
-        return;
+/**
+ * Store a user's Trakt tokens in their vault
+ * @param {Object} userConfig - User configuration. Gets a new traktVaultKey when `replace` claims a server vault record.
+ * @param {Object} tokens - { accessToken, refreshToken, expiresAt }
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Take over the record (a fresh connect) instead of only updating one this config owns
+ * @returns {Promise<boolean>} Whether the tokens were stored
+ */
+async function saveTraktTokens(userConfig, tokens, { replace = false } = {}) {
+  const resolved = resolveVault(userConfig);
+  if (!resolved) return false;
+
+  const key = `${TRAKT_KEY_PREFIX}${userConfig.traktUuid}`;
+  const record = {
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresAt: tokens.expiresAt
+  };
+
+  try {
+    if (resolved.isServerVault) {
+      if (replace) {
+        userConfig.traktVaultKey = crypto.randomBytes(24).toString('base64url');
+      } else {
+        const existing = await resolved.vault.get(key);
+        if (!userConfig.traktVaultKey || (existing && existing.keyHash !== hashVaultKey(userConfig.traktVaultKey))) {
+          console.warn(`[TokenVault] Not updating Trakt tokens for ${userConfig.traktUuid}: owned by another config`);
+          return false;
+        }
+      }
+      record.keyHash = hashVaultKey(userConfig.traktVaultKey);
     }
 
-     try {
-        const redis = new Redis({
-            url: userConfig.upstashUrl,
-            token: userConfig.upstashToken,
-        });
-
-        const redisKey = `trakt:${userConfig.traktUuid}`;
-        console.log(`[UPSTASH] Saving tokens to Redis key: ${redisKey}`);
-        console.log(`[UPSTASH] Tokens being saved:`, {
-            hasAccessToken: !!tokens.accessToken,
-            hasRefreshToken: !!tokens.refreshToken,
-            expiresAt: tokens.expiresAt
-        });
-        
-        await redis.set(redisKey, tokens);
-        console.log(`[UPSTASH] Successfully saved tokens to Redis`);
-        
-        // Verify the save by reading back immediately
-        const verification = await redis.get(redisKey);
-        console.log(`[UPSTASH] Verification read back:`, {
-            hasAccessToken: !!verification?.accessToken,
-            hasRefreshToken: !!verification?.refreshToken,
-            expiresAt: verification?.expiresAt
-        });
-        
-    } catch (error) {
-        console.error('Upstash Error: Failed to save Trakt tokens:', error.message);
-        throw error; // Re-throw to ensure calling code knows it failed
+    await resolved.vault.set(key, record);
+    return true;
+  } catch (error) {
+    console.error(`[TokenVault] Failed to save Trakt tokens (${resolved.vault.name}):`, error.message);
+    throw error; // Re-throw to ensure calling code knows it failed
+  }
+}
+
+/**
+ * Remove a user's Trakt tokens from their vault (on disconnect)
+ * @param {Object} userConfig - User configuration
+ * @returns {Promise<void>}
+ */
+async function deleteTraktTokens(userConfig) {
+  const resolved = resolveVault(userConfig);
+  if (!resolved) return;
+
+  try {
+    const key = `${TRAKT_KEY_PREFIX}${userConfig.traktUuid}`;
+    if (resolved.isServerVault) {
+      const existing = await resolved.vault.get(key);
+      if (!existing || !userConfig.traktVaultKey || existing.keyHash !== hashVaultKey(userConfig.traktVaultKey)) return;
     }
+    await resolved.vault.delete(key);
+  } catch (error) {
+    console.error(`[TokenVault] Failed to delete Trakt tokens (${resolved.vault.name}):`, error.message);
+  }
 }
 
-module.exports = { getTraktTokens, saveTraktTokens };
\ No newline at end of file
+module.exports = {
+  hasTraktTokenStorage,
+  isServerVaultEnabled,
+  getTraktTokens,
+  saveTraktTokens,
+  deleteTraktTokens
+};
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { TRAKT_CLIENT_ID, TMDB_BEARER_TOKEN } = require('../config');
+const { isImportedSearchSource, searchExternalAddon } = require('../integrations/externalAddons');
 
 const CINEMETA_BASE = 'https://v3-cinemeta.strem.io';
 const TMDB_BASE_URL_V3 = 'https://api.themoviedb.org/3';
@@ -13,7 +14,7 @@ const externalIdCache = new Map();
  * @param {Object} params - Search parameters
  * @param {string} params.query - Search query
  * @param {string} params.type - Content type ('movie', 'series', 'all', 'search', 'anime')
- * @param {Array} params.sources - Search sources (['cinemeta', 'trakt', 'tmdb', 'multi', 'anime'])
+ * @param {Array} params.sources - Search sources (['cinemeta', 'trakt', 'tmdb', 'multi', 'anime'], plus 'addon:<id>' for imported addons)
  * @param {number} params.limit - Maximum results
  * @param {Object} params.userConfig - User configuration
  * @returns {Promise<Object>} Search results
@@ -23,9 +24,20 @@ async function searchContent({ query, type = 'all', sources = ['cinemeta'], limi
     return { results: [], totalResults: 0, sources: [] };
   }
 
+  const importedSources = sources.filter(isImportedSearchSource);
+
   // Handle anime search specifically
   if (type === 'anime' || sources.includes('anime')) {
-    return await searchAnime(query, limit, userConfig);
+    const animeResults = await searchAnime(query, limit, userConfig);
+    if (importedSources.length === 0) return animeResults;
+
+    const addonSearch = await searchImportedAddons(query, 'anime', limit, userConfig, importedSources);
+    const uniqueAnimeResults = dedupeSearchResults([...animeResults.results, ...addonSearch.results]);
+    return {
+      results: uniqueAnimeResults.slice(0, limit),
+      totalResults: uniqueAnimeResults.length,
+      sources: [...animeResults.sources, ...addonSearch.sources]
+    };
   }
 
   // Handle merged multi search
@@ -60,6 +72,14 @@ async function searchContent({ query, type = 'all', sources = ['cinemeta'], limi
     searchSources.push('tmdb');
   }
 
+  // Search catalogs of imported addons, after the built-in sources so those win deduplication
+  importedSources.forEach(source => {
+    const addon = userConfig.importedAddons?.[source.slice(source.indexOf(':') + 1)];
+    if (!addon) return;
+    searchPromises.push(searchExternalAddon(addon, query, searchType, limit));
+    searchSources.push(source);
+  });
+
   try {
     const searchResults = await Promise.allSettled(searchPromises);
     const allResults = [];
@@ -76,17 +96,8 @@ async function searchContent({ query, type = 'all', sources = ['cinemeta'], limi
       }
     });
 
-    // Simple deduplication by IMDb ID - keep first occurrence (Cinemeta wins)
-    const seen = new Set();
-    const uniqueResults = [];
-    
-    for (const item of allResults) {
-      const id = item.id || item.imdb_id;
-      if (id && !seen.has(id)) {
-        seen.add(id);
-        uniqueResults.push(item);
-      }
-    }
+    // Deduplication by IMDb ID - keep first occurrence (Cinemeta wins)
+    const uniqueResults = dedupeSearchResults(allResults);
 
     // Enhance TMDB results with full metadata if TMDB language is configured
     const tmdbLanguage = userConfig.tmdbLanguage;
@@ -123,6 +134,55 @@ async function searchContent({ query, type = 'all', sources = ['cinemeta'], limi
   }
 }
 
+/**
+ * Drop repeated titles, keeping the first occurrence. Items are matched on their IMDb id when
+ * they have one (imported addons often use their own ids with an imdb_id alongside), otherwise on id.
+ * @param {Array} items - Search results in source priority order
+ * @returns {Array} Unique results
+ */
+function dedupeSearchResults(items) {
+  const seen = new Set();
+  const uniqueResults = [];
+
+  for (const item of items) {
+    const imdbId = [item.imdb_id, item.id].find(id => typeof id === 'string' && /^tt\d+$/.test(id));
+    const key = imdbId || item.id;
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      uniqueResults.push(item);
+    }
+  }
+  return uniqueResults;
+}
+
+/**
+ * Search the enabled imported addons in parallel
+ * @param {string} query - Search query
+ * @param {string} type - 'movie', 'series', 'all' or 'anime'
+ * @param {number} limit - Maximum results per addon
+ * @param {Object} userConfig - User configuration
+ * @param {Array<string>} importedSources - 'addon:<id>' search sources
+ * @returns {Promise<Object>} { results, sources }
+ */
+async function searchImportedAddons(query, type, limit, userConfig, importedSources) {
+  const addons = importedSources
+    .map(source => userConfig.importedAddons?.[source.slice(source.indexOf(':') + 1)])
+    .filter(Boolean);
+  const searchResults = await Promise.allSettled(addons.map(addon => searchExternalAddon(addon, query, type, limit)));
+
+  const results = [];
+  const sources = [];
+  searchResults.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      results.push(...result.value.results);
+      sources.push(result.value.source);
+    } else {
+      console.error(`[Search] ${addons[index].name} failed:`, result.reason?.message || 'Unknown error');
+    }
+  });
+  return { results, sources };
+}
+
 /**
  * Multi search combining Trakt and TMDB for both movies and series
  * @param {string} query - Search query
@@ -0,0 +1,136 @@
+// src/utils/sourceHealth.js
+
+// Health of the sources behind imported addons and URL imports, per source rather than per user,
+// so every config importing the same addon sees the same state. Kept in memory and reset on restart.
+const sourceHealth = new Map();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AUTO_HIDE_FAILING_MAX_DAYS = 30;
+// How often a catalog hidden for failing is tried again in the background
+const HIDDEN_SOURCE_PROBE_INTERVAL = 60 * 60 * 1000;
+// Network errors that say the source itself is down or unreachable
+const SOURCE_SIDE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Key an imported entry by its source: the addon's base URL, or the list id of a URL import
+ * @param {Object} addon - importedAddons entry
+ * @returns {string|null}
+ */
+function getSourceHealthKey(addon) {
+  if (!addon) return null;
+  if (addon.apiBaseUrl) return `addon:${addon.apiBaseUrl}`;
+  return addon.id ? `list:${addon.id}` : null;
+}
+
+/**
+ * Whether an error is the source's fault. Health is shared by every config using the source, so errors
+ * that can come from one user's setup (401/403 from bad credentials, 429 rate limits, local bugs) don't count.
+ * @param {Error|string} error - What went wrong, a string describes a bad response from the source
+ * @returns {boolean}
+ */
+function isSourceSideFailure(error) {
+  if (typeof error === 'string') return true;
+  const status = error?.response?.status;
+  if (status) return status === 404 || status >= 500;
+  return SOURCE_SIDE_ERROR_CODES.includes(error?.code);
+}
+
+function getOrCreateRecord(key) {
+  let record = sourceHealth.get(key);
+  if (!record) {
+    record = {
+      lastSuccess: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      failingSince: null,
+      latencyMs: null,
+      lastAttemptAt: null
+    };
+    sourceHealth.set(key, record);
+  }
+  return record;
+}
+
+/**
+ * Record a successful fetch from a source
+ * @param {string} key - Key from getSourceHealthKey
+ * @param {number} latencyMs - Time the fetch took
+ */
+function recordSourceSuccess(key, latencyMs) {
+  if (!key) return;
+  const record = getOrCreateRecord(key);
+  const now = new Date().toISOString();
+  record.lastSuccess = now;
+  record.lastAttemptAt = now;
+  record.latencyMs = latencyMs;
+  record.consecutiveFailures = 0;
+  record.failingSince = null;
+}
+
+/**
+ * Record a failed fetch from a source. Ignored unless isSourceSideFailure says it's the source's fault.
+ * @param {string} key - Key from getSourceHealthKey
+ * @param {Error|string} error - What went wrong
+ * @param {number} latencyMs - Time until the fetch failed
+ */
+function recordSourceFailure(key, error, latencyMs) {
+  if (!key || !isSourceSideFailure(error)) return;
+  const record = getOrCreateRecord(key);
+  const now = new Date().toISOString();
+  const status = error?.response?.status;
+  const message = typeof error === 'string' ? error : (error?.message || 'Unknown error');
+  record.lastError = { message: status ? `HTTP ${status}: ${message}` : message, at: now };
+  record.lastAttemptAt = now;
+  record.latencyMs = latencyMs;
+  record.consecutiveFailures++;
+  if (!record.failingSince) record.failingSince = now;
+}
+
+/**
+ * Current health of a source
+ * @param {string} key - Key from getSourceHealthKey
+ * @returns {Object} { status: 'ok'|'failing'|'unknown', lastSuccess, lastError, consecutiveFailures, failingSince, latencyMs, lastAttemptAt }
+ */
+function getSourceHealth(key) {
+  const record = key && sourceHealth.get(key);
+  if (!record) {
+    return { status: 'unknown', lastSuccess: null, lastError: null, consecutiveFailures: 0, failingSince: null, latencyMs: null, lastAttemptAt: null };
+  }
+  return { status: record.consecutiveFailures > 0 ? 'failing' : 'ok', ...record };
+}
+
+/**
+ * Whether a source has been failing without a single success for at least the given number of days
+ * @param {string} key - Key from getSourceHealthKey
+ * @param {number} days - autoHideFailingDays from the user config, 0 turns auto-hide off
+ * @returns {boolean}
+ */
+function isSourceFailingFor(key, days) {
+  if (!days || days <= 0) return false;
+  const record = key && sourceHealth.get(key);
+  if (!record?.failingSince) return false;
+  return Date.now() - new Date(record.failingSince).getTime() >= days * DAY_MS;
+}
+
+/**
+ * Whether a hidden source is due for another background attempt. Claims the slot when it is.
+ * @param {string} key - Key from getSourceHealthKey
+ * @returns {boolean}
+ */
+function claimSourceProbe(key) {
+  const record = key && sourceHealth.get(key);
+  if (!record) return false;
+  if (record.lastAttemptAt && Date.now() - new Date(record.lastAttemptAt).getTime() < HIDDEN_SOURCE_PROBE_INTERVAL) return false;
+  record.lastAttemptAt = new Date().toISOString();
+  return true;
+}
+
+module.exports = {
+  AUTO_HIDE_FAILING_MAX_DAYS,
+  getSourceHealthKey,
+  recordSourceSuccess,
+  recordSourceFailure,
+  getSourceHealth,
+  isSourceFailingFor,
+  claimSourceProbe
+};
@@ -1,36 +1,176 @@
 const zlib = require('zlib');
+const crypto = require('crypto');
 const { promisify } = require('util');
-const { defaultConfig } = require('../config'); // Ensures defaultConfig is from the backend
+const { defaultConfig, CONFIG_ENCRYPTION_KEY } = require('../config'); // Ensures defaultConfig is from the backend
+const { isConfigStoreEnabled, isStoredConfigHash, loadStoredConfig, saveStoredConfig } = require('./configStore');
 
 const gzip = promisify(zlib.gzip);
 const gunzip = promisify(zlib.gunzip);
 
+// Credentials and account identifiers. These are stripped from shareable configs and,
+// when CONFIG_ENCRYPTION_KEY is set, encrypted inside the config hash.
+const SENSITIVE_CONFIG_KEYS = [
+  'apiKey',
+  'rpdbApiKey',
+  'tmdbBearerToken',
+  'tmdbSessionId',
+  'tmdbAccountId',
+  'traktAccessToken',
+  'traktRefreshToken',
+  'traktExpiresAt',
+  'traktUuid',
+  'traktVaultKey',
+  'traktAccounts',
+  'simklAccessToken',
+  'mdblistUsername',
+  'upstashUrl',
+  'upstashToken',
+  'configStoreHash'
+];
+
+const SORT_OPTION_KEYS = ['availableSortOptions', 'traktSortOptions', 'smartListSortOptions', 'letterboxdSortOptions', 'tmdbSortOptions'];
+
+const ENCRYPTED_SECRETS_KEY = '_secrets';
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const ENCRYPTION_IV_LENGTH = 12;
+const ENCRYPTION_TAG_LENGTH = 16;
+const encryptionKey = CONFIG_ENCRYPTION_KEY
+  ? crypto.createHash('sha256').update(CONFIG_ENCRYPTION_KEY).digest()
+  : null;
+
+/**
+ * Move sensitive fields into a single AES-256-GCM encrypted blob.
+ * Without an encryption key the config is returned unchanged.
+ * @param {Object} config Serializable configuration object
+ * @returns {Object} Config with sensitive fields replaced by `_secrets`
+ */
+function encryptSensitiveFields(config) {
+  if (!encryptionKey) return config;
+
+  const secrets = {};
+  const result = { ...config };
+  SENSITIVE_CONFIG_KEYS.forEach(key => {
+    if (result[key] !== undefined && result[key] !== null && result[key] !== '') {
+      secrets[key] = result[key];
+    }
+    delete result[key];
+  });
+  delete result[ENCRYPTED_SECRETS_KEY];
+
+  if (Object.keys(secrets).length === 0) return result;
+
+  const iv = crypto.randomBytes(ENCRYPTION_IV_LENGTH);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf-8'), cipher.final()]);
+  result[ENCRYPTED_SECRETS_KEY] = Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+  return result;
+}
+
+/**
+ * Restore sensitive fields from the `_secrets` blob. Configs saved before encryption
+ * was enabled have no blob and pass through untouched (they get encrypted on next save).
+ * If the blob can't be authenticated the secrets are dropped rather than trusted.
+ * @param {Object} config Parsed configuration object
+ * @returns {Object} Config with sensitive fields in plain form
+ */
+function decryptSensitiveFields(config) {
+  if (!config || !config[ENCRYPTED_SECRETS_KEY]) return config;
+
+  const { [ENCRYPTED_SECRETS_KEY]: blob, ...result } = config;
+  if (!encryptionKey) {
+    console.warn('DecompressConfig: Config contains encrypted secrets but CONFIG_ENCRYPTION_KEY is not set. Secrets ignored.');
+    return result;
+  }
+
+  try {
+    const buffer = Buffer.from(blob, 'base64url');
+    const iv = buffer.subarray(0, ENCRYPTION_IV_LENGTH);
+    const tag = buffer.subarray(ENCRYPTION_IV_LENGTH, ENCRYPTION_IV_LENGTH + ENCRYPTION_TAG_LENGTH);
+    const encrypted = buffer.subarray(ENCRYPTION_IV_LENGTH + ENCRYPTION_TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf-8');
+    const secrets = JSON.parse(decrypted);
+
+    SENSITIVE_CONFIG_KEYS.forEach(key => {
+      if (secrets[key] !== undefined) result[key] = secrets[key];
+    });
+  } catch (error) {
+    console.error('DecompressConfig: Failed to decrypt config secrets:', error.message);
+  }
+  return result;
+}
+
+/**
+ * Strip keys that never get serialized (sort options are rebuilt from defaultConfig).
+ * @param {Object} config Configuration object
+ * @returns {Object} Shallow copy ready for serialization
+ */
+function getSerializableConfig(config) {
+  const configToSerialize = { ...config };
+  SORT_OPTION_KEYS.forEach(key => delete configToSerialize[key]);
+  return configToSerialize;
+}
+
+/**
+ * Gzip a configuration object into a self-contained URL-safe string.
+ * @param {Object} config Configuration object to encode
+ * @returns {Promise<string>} URL-safe compressed string
+ */
+async function encodeConfig(config) {
+  const configToSerialize = getSerializableConfig(config);
+  delete configToSerialize.configStoreHash;
+
+  const configString = JSON.stringify(encryptSensitiveFields(configToSerialize));
+  const compressed = await gzip(Buffer.from(configString, 'utf-8'));
+  // Convert to base64 and make URL safe
+  return compressed.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
 /**
  * Compress configuration object into a URL-safe string.
  * Sort options are excluded from the compressed string.
+ * When a config store is configured the config is persisted there instead and
+ * a short signed reference is returned, which stays stable across updates.
  * @param {Object} config Configuration object to compress
- * @returns {Promise<string>} URL-safe compressed string
+ * @returns {Promise<string>} URL-safe compressed string or stored config hash
  */
 async function compressConfig(config) {
   try {
-    // Create a shallow copy for serialization, excluding specific keys
-    const configToSerialize = { ...config };
-    delete configToSerialize.availableSortOptions;
-    delete configToSerialize.traktSortOptions;
-
-    const configString = JSON.stringify(configToSerialize);
-    const compressed = await gzip(Buffer.from(configString, 'utf-8'));
-    // Convert to base64 and make URL safe
-    return compressed.toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=+$/, '');
+    if (isConfigStoreEnabled()) {
+      // configStoreHash must stay readable so the store can reuse the existing id
+      const { configStoreHash } = config;
+      const configToStore = encryptSensitiveFields(getSerializableConfig(config));
+      return await saveStoredConfig({ ...configToStore, configStoreHash });
+    }
+    return await encodeConfig(config);
   } catch (error) {
     console.error('Error compressing config:', error);
     throw new Error('Failed to compress configuration');
   }
 }
 
+/**
+ * Merge a parsed config with defaultConfig, preserving environment-provided values.
+ * @param {Object} parsedConfig Parsed user configuration
+ * @returns {Object} Merged configuration
+ */
+function mergeWithDefaults(parsedConfig) {
+  // Merge configs, but preserve environment variables when user config has null/undefined values
+  const mergedConfig = { ...defaultConfig, ...parsedConfig };
+
+  // If tmdbBearerToken is null/undefined in user config but we have it in environment, use environment value
+  if (!parsedConfig.tmdbBearerToken && defaultConfig.tmdbBearerToken) {
+    mergedConfig.tmdbBearerToken = defaultConfig.tmdbBearerToken;
+  }
+
+  return mergedConfig;
+}
+
 /**
  * Decompress URL-safe string back into configuration object.
  * Merges with defaultConfig to ensure all fields, including sort options, are present.
@@ -54,6 +194,15 @@ async function decompressConfig(compressed) {
       return { ...defaultConfig };
     }
 
+    if (isStoredConfigHash(cleanCompressed)) {
+      const storedConfig = await loadStoredConfig(cleanCompressed);
+      if (!storedConfig) {
+        console.warn('DecompressConfig: Stored config not found or signature invalid, returning default config.');
+        return { ...defaultConfig };
+      }
+      return mergeWithDefaults({ ...decryptSensitiveFields(storedConfig), configStoreHash: cleanCompressed });
+    }
+
     const base64 = cleanCompressed
       .replace(/-/g, '+')
       .replace(/_/g, '/');
@@ -77,15 +226,7 @@ async function decompressConfig(compressed) {
       return { ...defaultConfig };
     }
     
-    // Merge configs, but preserve environment variables when user config has null/undefined values
-    const mergedConfig = { ...defaultConfig, ...parsedConfig };
-    
-    // If tmdbBearerToken is null/undefined in user config but we have it in environment, use environment value
-    if (!parsedConfig.tmdbBearerToken && defaultConfig.tmdbBearerToken) {
-      mergedConfig.tmdbBearerToken = defaultConfig.tmdbBearerToken;
-    }
-    
-    return mergedConfig;
+    return mergeWithDefaults(decryptSensitiveFields(parsedConfig));
 
   } catch (error) {
     console.error('Unexpected error in decompressConfig:', error);
@@ -101,20 +242,9 @@ async function decompressConfig(compressed) {
 function createShareableConfig(config) {
   const shareableConfig = JSON.parse(JSON.stringify(config)); 
 
-  delete shareableConfig.apiKey;
-  delete shareableConfig.rpdbApiKey;
-  delete shareableConfig.tmdbBearerToken;
-  delete shareableConfig.tmdbSessionId;
-  delete shareableConfig.tmdbAccountId;
-  delete shareableConfig.traktAccessToken;
-  delete shareableConfig.traktRefreshToken;
-  delete shareableConfig.traktExpiresAt;
-  delete shareableConfig.mdblistUsername; 
-  delete shareableConfig.availableSortOptions;
-  delete shareableConfig.traktSortOptions;
-  delete shareableConfig.traktUuid;
-  delete shareableConfig.upstashUrl;
-  delete shareableConfig.upstashToken;
+  SENSITIVE_CONFIG_KEYS.forEach(key => delete shareableConfig[key]);
+  SORT_OPTION_KEYS.forEach(key => delete shareableConfig[key]);
+  delete shareableConfig[ENCRYPTED_SECRETS_KEY];
 
   return shareableConfig;
 }
@@ -126,8 +256,13 @@ function createShareableConfig(config) {
  */
 async function compressShareableConfig(config) {
   const shareable = createShareableConfig(config); 
-  // The main compressConfig already omits sort options, but createShareableConfig also ensures API keys are gone.
-  return compressConfig(shareable); 
+  // Shareable configs are always self-contained so they never point at (or overwrite) the owner's stored config.
+  try {
+    return await encodeConfig(shareable);
+  } catch (error) {
+    console.error('Error compressing shareable config:', error);
+    throw new Error('Failed to compress configuration');
+  }
 }
 
 module.exports = {
@@ -135,4 +270,5 @@ module.exports = {
   decompressConfig,
   createShareableConfig,
   compressShareableConfig,
+  SENSITIVE_CONFIG_KEYS,
 };
\ No newline at end of file